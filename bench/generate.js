@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// Usage: node bench/generate.js [tasks=10000] [out.bpmn|-] [--seed=1]
+//
+// Writes a synthetic process with about `tasks` tasks for benchmarking: runs
+// of tasks, exclusive and parallel blocks and data objects, with random
+// cpl:coupling and cpl:privacy values and a full BPMN-DI layout in rows.
+// The same seed always gives the same model.
+
+const fs = require('fs');
+
+const ROW_BLOCKS = 40; // blocks per row of the layout
+const COL = 150; // x distance of two columns
+const LANE = 120; // y distance of two branches
+const ROW = 520; // y distance of two rows
+
+// mulberry32
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function generate(taskCount, seed = 1) {
+  const rnd = random(seed);
+  const pick = (n) => Math.floor(rnd() * n);
+  const value = () => String(Math.round(rnd() * 100) / 100);
+  const nodes = [];
+  const flows = [];
+  const shapes = [];
+  const edges = [];
+  let tasks = 0;
+  let n = 0;
+
+  const node = (type, x, y, attrs = '') => {
+    const id = `${type === 'task' ? 'Task' : type.replace(/^\w/, (c) => c.toUpperCase())}_${++n}`;
+    const [w, h] = type === 'task' ? [100, 80] : type.endsWith('Gateway') ? [50, 50] : [36, 36];
+    nodes.push(`    <bpmn:${type} id="${id}"${attrs}/>`);
+    shapes.push(
+      `      <bpmndi:BPMNShape id="${id}_di" bpmnElement="${id}"><dc:Bounds x="${x}" y="${y - h / 2}" width="${w}" height="${h}"/></bpmndi:BPMNShape>`
+    );
+    return { id, x, y, w, h };
+  };
+  const task = (x, y) => {
+    tasks++;
+    return node('task', x, y, ` name="Task ${tasks}" cpl:privacy="${value()}"`);
+  };
+  const flow = (a, b) => {
+    const id = `Flow_${flows.length + 1}`;
+    const coupling = a.id.startsWith('Task') && b.id.startsWith('Task') ? ` cpl:coupling="${value()}"` : '';
+    flows.push(`    <bpmn:sequenceFlow id="${id}" sourceRef="${a.id}" targetRef="${b.id}"${coupling}/>`);
+    const pts =
+      a.y === b.y
+        ? [[a.x + a.w, a.y], [b.x, b.y]]
+        : b.x > a.x
+          ? [[a.x + a.w / 2, a.y + Math.sign(b.y - a.y) * (a.h / 2)], [a.x + a.w / 2, b.y], [b.x, b.y]]
+          : [[a.x + a.w, a.y], [a.x + a.w + 20, a.y], [a.x + a.w + 20, b.y - 60], [b.x - 20, b.y - 60], [b.x - 20, b.y], [b.x, b.y]];
+    edges.push(
+      `      <bpmndi:BPMNEdge id="${id}_di" bpmnElement="${id}">${pts.map(([x, y]) => `<di:waypoint x="${x}" y="${y}"/>`).join('')}</bpmndi:BPMNEdge>`
+    );
+  };
+
+  let row = 0;
+  let col = 0;
+  const at = () => ({ x: 100 + col * COL, y: 200 + row * ROW });
+  let prev = node('startEvent', 40, 200);
+  while (tasks < taskCount) {
+    if (col >= ROW_BLOCKS) {
+      row++;
+      col = 0;
+    }
+    const { x, y } = at();
+    const kind = pick(10);
+    if (kind < 6) {
+      // a run of tasks
+      const t = task(x, y);
+      flow(prev, t);
+      prev = t;
+      col++;
+    } else {
+      // exclusive or parallel block with two or three branches of one or two tasks
+      const type = kind < 8 ? 'exclusiveGateway' : 'parallelGateway';
+      const split = node(type, x + 25, y);
+      flow(prev, split);
+      const branches = 2 + pick(2);
+      const length = 1 + pick(2);
+      const ends = [];
+      for (let b = 0; b < branches; b++) {
+        let last = split;
+        for (let k = 0; k < length; k++) {
+          const t = task(x + COL * (k + 1), y + (b - 1) * LANE);
+          flow(last, t);
+          last = t;
+        }
+        ends.push(last);
+      }
+      const join = node(type, x + COL * (length + 1) + 25, y);
+      ends.forEach((e) => flow(e, join));
+      prev = join;
+      col += length + 2;
+    }
+  }
+  const end = node('endEvent', at().x, at().y);
+  flow(prev, end);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="http://www.omg.org/spec/BPMN/20100524/MODEL"
+  xmlns:bpmndi="http://www.omg.org/spec/BPMN/20100524/DI"
+  xmlns:dc="http://www.omg.org/spec/DD/20100524/DC"
+  xmlns:di="http://www.omg.org/spec/DD/20100524/DI"
+  xmlns:cpl="http://example.com/schema/coupling"
+  id="Defs_Bench" targetNamespace="http://bpmn.io/schema/bpmn">
+  <bpmn:process id="Process_Bench" isExecutable="false">
+${nodes.join('\n')}
+${flows.join('\n')}
+  </bpmn:process>
+  <bpmndi:BPMNDiagram id="BPMNDiagram_Bench">
+    <bpmndi:BPMNPlane id="BPMNPlane_Bench" bpmnElement="Process_Bench">
+${shapes.join('\n')}
+${edges.join('\n')}
+    </bpmndi:BPMNPlane>
+  </bpmndi:BPMNDiagram>
+</bpmn:definitions>
+`;
+}
+
+module.exports = { generate };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const seedArg = args.find((a) => a.startsWith('--seed='));
+  const [count = '10000', out = '-'] = args.filter((a) => !a.startsWith('--'));
+  const xml = generate(parseInt(count, 10), seedArg ? parseInt(seedArg.slice(7), 10) : 1);
+  if (out === '-') process.stdout.write(xml);
+  else fs.writeFileSync(out, xml, 'utf8');
+}
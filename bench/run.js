@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+// Usage: node bench/run.js [tasks=10000] [--seed=1] [--threshold=0.5] [--privacy=0.5]
+//
+// Generates a model with bench/generate.js and times fragmenting and masking
+// it through the library API. Timings include parsing and serializing.
+
+const { generate } = require('./generate');
+const { fragment, mask } = require('../transform');
+
+const args = process.argv.slice(2);
+const opt = (name, def) => {
+  const a = args.find((x) => x.startsWith(`--${name}=`));
+  return a ? parseFloat(a.slice(name.length + 3)) : def;
+};
+const tasks = parseInt(args.find((a) => !a.startsWith('--')) || '10000', 10);
+
+const xml = generate(tasks, opt('seed', 1));
+console.log(`model: ${tasks} tasks, ${(xml.length / 1024 / 1024).toFixed(1)} MB`);
+
+const time = (label, run) => {
+  const start = process.hrtime.bigint();
+  run();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(10)} ${(ms / 1000).toFixed(2)} s`);
+};
+
+time('fragment', () => fragment(xml, { threshold: opt('threshold', 0.5) }));
+time('mask', () => mask(xml, { privacy: opt('privacy', 0.5) }));
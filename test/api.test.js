@@ -0,0 +1,293 @@
+// Library API on the example models: node --test (npm test)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { fragment, mask, unmask, clear, sweep, pipeline, validate, validatePipeline, projectLog } = require('..');
+const { TransformError, OptionError, ModelError, UnmaskError } = require('..');
+
+const example = (name) => fs.readFileSync(path.join(__dirname, '..', 'examples', name), 'utf8');
+const small = example('small.bpmn');
+const bigger = example('bigger.bpmn');
+const errorsOf = (xml) => validate(xml).problems.filter((p) => p.severity === 'error');
+// as xmldom writes it: attributes on one line, no final newline
+const roundTrip = (xml) => new XMLSerializer().serializeToString(new DOMParser().parseFromString(xml, 'text/xml'));
+
+test('fragment groups every task of small.bpmn once', () => {
+  const r = fragment(small, { threshold: 0.7 });
+  assert.equal(r.count, 1);
+  assert.deepEqual(r.groups.map((g) => g.members), [['Task_A', 'Task_B', 'Task_C', 'Task_D']]);
+  assert.match(r.groups[0].id, /^Fragment_[0-9a-f]{8}$/);
+  assert.match(r.xml, new RegExp(`<bpmn:group id="${r.groups[0].id}"`));
+  assert.deepEqual(errorsOf(r.xml), []);
+});
+
+test('fragment splits bigger.bpmn at the threshold', () => {
+  const r = fragment(bigger, { threshold: 0.7 });
+  assert.deepEqual(
+    r.groups.map((g) => g.members),
+    [['Task_A', 'Task_B'], ['Task_C', 'Task_D', 'Task_E'], ['Task_F', 'Task_G', 'Task_H']]
+  );
+  assert.equal(r.report.mode, 'fragment');
+  assert.deepEqual(r.perProcess.map((p) => p.count), [3]);
+  assert.deepEqual(errorsOf(r.xml), []);
+
+  const louvain = fragment(bigger, { threshold: 0.7, algorithm: 'louvain', includeSingletons: false });
+  assert.ok(louvain.groups.every((g) => g.members.length > 1));
+});
+
+test('fragment ids stay the same across runs', () => {
+  const a = fragment(bigger, { threshold: 0.7 });
+  const b = fragment(a.xml, { threshold: 0.7, clearOld: true });
+  assert.deepEqual(b.groups.map((g) => g.id), a.groups.map((g) => g.id));
+});
+
+test('mask removes private tasks and bypasses them', () => {
+  const r = mask(small, { privacy: 0.5, privacyDir: 'below' });
+  assert.deepEqual(r.masked.map((m) => m.id), ['Task_B', 'Task_D']);
+  assert.equal(r.count, 2);
+  assert.ok(r.autoFlows.length > 0);
+  assert.doesNotMatch(r.xml, /id="Task_B"|id="Task_D"/);
+  r.autoFlows.forEach((f) => assert.match(r.xml, new RegExp(`id="${f.id}"`)));
+  assert.deepEqual(errorsOf(r.xml), []);
+});
+
+test('mask on bigger.bpmn follows the privacy direction', () => {
+  const below = mask(bigger, { privacy: 0.5, privacyDir: 'below' });
+  const above = mask(bigger, { privacy: 0.5, privacyDir: 'above' });
+  const ids = (r) => r.masked.map((m) => m.id);
+  assert.deepEqual(ids(below), ['Task_A', 'Task_C', 'Task_D', 'Task_E', 'Task_G']);
+  assert.equal(ids(below).filter((id) => ids(above).includes(id)).length, 0);
+  assert.deepEqual(errorsOf(below.xml), []);
+  assert.deepEqual(errorsOf(above.xml), []);
+});
+
+test('mask with maskIds masks exactly those tasks', () => {
+  const r = mask(bigger, { maskIds: ['Task_B', 'Task_F'] });
+  assert.deepEqual(r.masked.map((m) => m.id), ['Task_B', 'Task_F']);
+  assert.throws(() => mask(bigger, { maskIds: ['Task_Nope'] }), OptionError);
+});
+
+test('unmask gives back the input', () => {
+  [small, bigger].forEach((xml) => {
+    ['remove', 'placeholder', 'collapse'].forEach((maskStyle) => {
+      const m = mask(xml, { privacy: 0.5, privacyDir: 'below', maskStyle, passphrase: 'secret' });
+      assert.ok(m.unmaskKey);
+      const u = unmask(m.xml, m.unmaskKey, 'secret');
+      assert.equal(u.xml, roundTrip(xml), maskStyle);
+      assert.equal(u.edited, false);
+    });
+  });
+  const m = mask(small, { privacy: 0.5, passphrase: 'secret' });
+  assert.throws(() => unmask(m.xml, m.unmaskKey, 'wrong'), UnmaskError);
+  assert.equal(mask(small, { privacy: 0.5 }).unmaskKey, null);
+});
+
+test('unmask keeps later edits and refuses edits to what masking changed', () => {
+  const m = mask(bigger, { maskIds: ['Task_C'], passphrase: 'secret' });
+  const renamed = (xml) => xml.replace('id="Task_F" name="', 'id="Task_F" name="Renamed ');
+  const u = unmask(renamed(m.xml), m.unmaskKey, 'secret');
+  assert.equal(u.edited, true);
+  assert.equal(u.xml, renamed(roundTrip(bigger)));
+
+  const [flow] = m.autoFlows;
+  const moved = m.xml.replace(`id="${flow.id}" `, `id="${flow.id}" name="moved" `);
+  assert.throws(() => unmask(moved, m.unmaskKey, 'secret'), (e) => e instanceof UnmaskError && e.ids[0] === flow.id);
+  const reused = m.xml.replace('<bpmn:process id="Process_1" isExecutable="false">', '$&<bpmn:task id="Task_C"/>');
+  assert.throws(() => unmask(reused, m.unmaskKey, 'secret'), (e) => e instanceof UnmaskError && e.ids[0] === 'Task_C');
+});
+
+test('the unmask key holds what masking changed, not the model', () => {
+  // a long documentation on a task masking leaves alone
+  const padded = small.replace(
+    '<bpmn:task id="Task_A" name="A"/>',
+    `<bpmn:task id="Task_A" name="A"><bpmn:documentation>${'x'.repeat(20000)}</bpmn:documentation></bpmn:task>`
+  );
+  assert.notEqual(padded, small);
+  const key = (xml) => mask(xml, { maskIds: ['Task_C'], passphrase: 'secret' }).unmaskKey;
+  assert.equal(key(padded).length, key(small).length);
+});
+
+test('fragment followed by clear gives back the input', () => {
+  const examples = fs.readdirSync(path.join(__dirname, '..', 'examples')).filter((f) => f.endsWith('.bpmn'));
+  examples.forEach((name) => {
+    const xml = example(name);
+    const input = roundTrip(xml);
+    [
+      { threshold: 0.7 },
+      { threshold: 0.5, annotateStats: true, colorFragments: true, dataCoupling: true, writeCoupling: true },
+      { threshold: 0.6, algorithm: 'louvain', expandCollapsed: true, includeSingletons: false },
+    ].forEach((options) => {
+      const f = fragment(xml, options);
+      const c = clear(f.xml);
+      assert.equal(c.count, f.count, name);
+      assert.equal(c.masking, 0, name);
+      assert.equal(c.xml, input, `${name} ${JSON.stringify(options)}`);
+    });
+  });
+});
+
+test('clear keeps what masking added unless asked to remove it', () => {
+  const cleared = pipeline(small, { steps: [{ mask: { privacy: 0.5 } }, 'clear', { fragment: {} }] });
+  assert.equal(cleared.steps[1].summary, 'removed 0 fragment(s)');
+  assert.match(cleared.xml, /AutoFlow_1/);
+  assert.deepEqual(errorsOf(cleared.xml), []);
+
+  const idsOf = (xml) => new Set(xml.match(/ id="[^"]+"/g));
+  ['gateways.bpmn', 'collaboration.bpmn', 'bigger.bpmn', 'subprocess.bpmn'].forEach((name) => {
+    const xml = example(name);
+    ['remove', 'placeholder', 'collapse'].forEach((maskStyle) => {
+      const m = mask(xml, { privacy: 0.5, maskStyle });
+      const f = fragment(m.xml, { threshold: 0.5, annotateStats: true });
+      assert.equal(clear(f.xml).xml, clear(m.xml).xml);
+      const c = clear(f.xml, { clearMasking: true });
+      assert.ok(c.masking > 0, `${name} ${maskStyle}`);
+      assert.doesNotMatch(c.xml, /AutoFlow_|AutoGateway_|MaskedSubProcess_|cpl:masked|Private task/);
+      // only what the input had is left: the masked tasks stay gone
+      const before = idsOf(xml);
+      assert.deepEqual([...idsOf(c.xml)].filter((id) => !before.has(id)), [], `${name} ${maskStyle}`);
+      m.masked.forEach((t) => assert.doesNotMatch(c.xml, new RegExp(`"${t.id}"`)));
+      // nothing dangles, but the gaps the masked tasks left are reported
+      const errors = errorsOf(c.xml);
+      assert.ok(errors.length > 0, `${name} ${maskStyle}`);
+      assert.deepEqual([...new Set(errors.map((p) => p.rule))], ['disconnected'], `${name} ${maskStyle}`);
+    });
+  });
+});
+
+test('validate reports flow nodes cut off from the start or end', () => {
+  const cut = small.replace(/<bpmn:sequenceFlow id="Flow_3"[^>]*\/>/, '');
+  assert.notEqual(cut, small);
+  const problems = validate(cut).problems.filter((p) => p.rule === 'disconnected');
+  assert.deepEqual(
+    problems.map((p) => p.id),
+    ['StartEvent_1', 'Task_A', 'Task_B', 'Task_C', 'Task_D', 'EndEvent_1']
+  );
+  assert.match(problems.find((p) => p.id === 'Task_B').message, /reaches no end event/);
+  assert.match(problems.find((p) => p.id === 'Task_C').message, /no start event reaches it/);
+});
+
+test('sweep takes lists of numbers between 0 and 1 only', () => {
+  [{ sweepThresholds: '0.5' }, { sweepThresholds: [5] }, { sweepPrivacy: [NaN] }, { sweepPrivacy: [] }].forEach((options) =>
+    assert.throws(() => sweep(small, options), (e) => e instanceof OptionError && /expected a list of numbers between 0 and 1/.test(e.message))
+  );
+  assert.deepEqual(sweep(small, { sweepPrivacy: [0.5] }).rows.map((r) => r.privacy), [0.5]);
+});
+
+test('a Document is left as it was when a mask run or pipeline fails', () => {
+  const doc = new DOMParser().parseFromString(bigger, 'text/xml');
+  const before = new XMLSerializer().serializeToString(doc);
+  assert.throws(() => mask(doc, { maskIds: ['Task_B', 'Nope'] }), (e) => e instanceof OptionError && /Nope/.test(e.message));
+  assert.equal(new XMLSerializer().serializeToString(doc), before);
+
+  const rejects = (steps, pattern) => {
+    assert.throws(() => pipeline(doc, { steps }), (e) => e instanceof OptionError && pattern.test(e.message));
+    assert.equal(new XMLSerializer().serializeToString(doc), before);
+  };
+  rejects([{ mask: { privacy: 0.5 } }, { mask: { maskIds: ['Task_Nope'] } }], /steps\[1\]\.mask\.maskIds: no task to mask with id Task_Nope/);
+  rejects([{ fragment: {} }, { clear: { participants: ['Nope'] } }], /steps\[1\]\.clear\.participants: No participant or process with id "Nope"/);
+  // found in the model, but masked by the step before: the run fails half-way
+  assert.throws(() => pipeline(doc, { steps: [{ mask: { maskIds: ['Task_B'] } }, { mask: { maskIds: ['Task_B'] } }] }), OptionError);
+  assert.equal(new XMLSerializer().serializeToString(doc), before);
+
+  const r = pipeline(doc, { steps: [{ mask: { maskIds: ['Task_B'] } }] });
+  assert.equal(r.doc, doc);
+  assert.doesNotMatch(new XMLSerializer().serializeToString(doc), /id="Task_B"/);
+});
+
+test('tasks left out under minSize are listed, not dropped silently', () => {
+  const r = fragment(example('gateways.bpmn'), { minSize: 3 });
+  const placed = new Set(r.groups.flatMap((g) => g.members));
+  assert.equal(r.unplaced.length, 8);
+  assert.equal(r.report.model.unplaced, 8);
+  r.unplaced.forEach((u) => {
+    assert.ok(u.size < 3, u.id);
+    assert.ok(!placed.has(u.id), u.id);
+  });
+  assert.deepEqual(r.report.unplaced, r.unplaced);
+  assert.equal(fragment(example('gateways.bpmn')).report.unplaced, undefined);
+});
+
+test('a Document is changed in place', () => {
+  const doc = new DOMParser().parseFromString(bigger, 'text/xml');
+  const r = fragment(doc, { threshold: 0.7 });
+  assert.equal(r.doc, doc);
+  assert.equal(doc.getElementsByTagName('bpmn:group').length, r.groups.length);
+});
+
+test('a masked Document lists the same children as its sibling links', () => {
+  const doc = new DOMParser().parseFromString(bigger, 'text/xml');
+  mask(doc, { privacy: 0.3, leaks: 'scrub' });
+  const check = (el) => {
+    const linked = [];
+    for (let c = el.firstChild; c; c = c.nextSibling) linked.push(c);
+    assert.deepEqual(Array.from(el.childNodes), linked);
+    linked.filter((c) => c.nodeType === 1).forEach(check);
+  };
+  check(doc.documentElement);
+});
+
+test('errors are typed', () => {
+  assert.throws(() => fragment('<not-bpmn'), ModelError);
+  assert.throws(() => mask('<root/>'), (e) => e instanceof ModelError && e.code === 'EMODEL');
+  assert.throws(
+    () => fragment(small, { algorithm: 'kmeans' }),
+    (e) => e instanceof OptionError && e.code === 'EOPTION'
+  );
+  assert.throws(() => mask(small, { maskStyle: 'blur' }), TransformError);
+  assert.throws(() => fragment(small, { participants: ['Nope'] }), ModelError);
+});
+
+test('bad options are rejected before anything runs', () => {
+  const rejects = (run, pattern) => assert.throws(run, (e) => e instanceof OptionError && pattern.test(e.message));
+  rejects(() => fragment(small, { threshold: 2 }), /threshold: expected a number between 0 and 1/);
+  rejects(() => fragment(small, { threshold: '0.5' }), /threshold/);
+  rejects(() => mask(small, { privacy: -0.1 }), /privacy: expected a number between 0 and 1/);
+  rejects(() => mask(small, { privacy: NaN }), /privacy/);
+  rejects(() => mask(small, { privacyDir: 'up' }), /privacyDir: expected one of above\|below/);
+  rejects(() => mask(small, { treshold: 0.5 }), /treshold: unknown option/);
+  rejects(() => clear(small, { participant: ['Process_1'] }), /participant: unknown option/);
+  rejects(() => fragment(small, { minSize: 1.5, colour: true }), /minSize[\s\S]*colour: unknown option/);
+  rejects(() => mask(small, { passphrase: 42 }), /passphrase/);
+  rejects(() => unmask(mask(small, { passphrase: 'secret' }).xml, '{}'), /passphrase/);
+  rejects(() => fragment(small, 0.7), /Options must be an object/);
+  rejects(() => fragment(small, { minSize: 3, maxSize: 2 }), /minSize 3 is above maxSize 2/);
+  rejects(
+    () => validatePipeline({ defaults: { minSize: 4 }, steps: [{ fragment: { maxSize: 3 } }] }),
+    /steps\[0\]\.fragment: minSize 4 is above maxSize 3/
+  );
+});
+
+test('a pipeline config with figures out of range does not run', () => {
+  const config = (defaults, fragmentOptions) => ({ defaults, steps: ['clear', { mask: {} }, { fragment: fragmentOptions }] });
+  assert.throws(
+    () => validatePipeline(config({ privacy: 1.5 }, { threshold: 2 })),
+    (e) =>
+      e instanceof OptionError &&
+      /defaults\.privacy: expected a number between 0 and 1/.test(e.message) &&
+      /steps\[2\]\.fragment\.threshold: expected a number between 0 and 1/.test(e.message)
+  );
+  assert.deepEqual(
+    validatePipeline(config({ privacy: 0.8 }, { threshold: 0.6 })).map((s) => s.options),
+    [{}, { privacy: 0.8 }, { threshold: 0.6 }]
+  );
+});
+
+test('unset options keep their defaults', () => {
+  assert.equal(fragment(small, { threshold: undefined }).xml, fragment(small).xml);
+  assert.equal(mask(small, { participants: null, maskIds: null, passphrase: null }).count, 2);
+  assert.equal(mask(small, { maskIds: [] }).count, 0);
+});
+
+test('projectLog replays dropped events past placeholders and collapsed runs', () => {
+  const model = example('gateways.bpmn');
+  ['gateways.csv', 'gateways.xes'].forEach((name) => {
+    ['remove', 'placeholder', 'collapse'].forEach((maskStyle) => {
+      const r = projectLog(model, example(name), { maskStyle, logStyle: 'drop' });
+      assert.ok(r.dropped > 0);
+      assert.equal(r.fitting, r.traces, `${name} ${maskStyle}: ${JSON.stringify(r.failing)}`);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// Command line: flags are checked before anything is read or written
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const cli = path.join(__dirname, '..', 'transform.js');
+const example = (name) => path.join(__dirname, '..', 'examples', name);
+const runOn = (input, ...args) => spawnSync(process.execPath, [cli, input, ...args], { encoding: 'utf8' });
+const run = (...args) => runOn(example('small.bpmn'), ...args);
+const tmpDir = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bpmn-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const fails = (r, pattern) => {
+  assert.equal(r.status, 1, r.stdout);
+  assert.match(r.stderr, pattern);
+  assert.equal(r.stdout, '');
+};
+
+test('a minimum fragment size above the maximum is an error', () => {
+  fails(
+    run('out.bpmn', '--min-fragment-size=3', '--max-fragment-size=2'),
+    /^Error: --min-fragment-size=3 is above --max-fragment-size=2/
+  );
+  // 0 means no maximum
+  assert.equal(run('--mode=validate', '--min-fragment-size=3', '--max-fragment-size=0').status, 0);
+});
+
+test('unknown --mode and choice values are errors that list the allowed ones', () => {
+  fails(
+    run('out.bpmn', '--mode=bogus'),
+    /--mode=bogus: expected one of fragment\|mask\|unmask\|clear\|sweep\|validate\|log\|diff\|views/
+  );
+  fails(
+    run('out.bpmn', '--mode=mask', '--mask-style=foo'),
+    /--mask-style=foo: expected one of remove\|placeholder\|collapse/
+  );
+  fails(run('out.bpmn', '--mode=mask', '--privacy-dir=up'), /--privacy-dir=up: expected one of above\|below/);
+  fails(run('out.bpmn', '--algorithm=kmeans'), /--algorithm=kmeans: expected one of components\|/);
+  fails(run('--mode=validate', '--format=xml'), /--format=xml: expected one of text\|json/);
+  ['--message-flows=drop', '--log-style=hash', '--propagate=min', '--leaks=fix'].forEach((flag) =>
+    fails(run('out.bpmn', '--mode=mask', flag), new RegExp(`${flag}: expected one of`))
+  );
+});
+
+test('tasks below --min-fragment-size that could not merge are listed', (t) => {
+  const out = path.join(tmpDir(t), 'out.bpmn');
+  const r = runOn(example('subprocess.bpmn'), out, '--min-fragment-size=3');
+  assert.equal(r.status, 0, r.stderr);
+  assert.match(
+    r.stdout,
+    /^Left 3 task\(s\) out of every fragment, below --min-fragment-size=3 with no neighbour to join: Task_Register, CallActivity_Pay, SubProcess_Archive$/m
+  );
+});
+
+test('unknown flags and values that are no numbers are errors', () => {
+  fails(run('out.bpmn', '--treshold=0.9'), /^Error: --treshold=0\.9: unknown option/);
+  fails(run('out.bpmn', '--min-fragment-size=abc'), /--min-fragment-size=abc: expected a whole number/);
+  fails(run('out.bpmn', '--max-fragment-size=abc'), /--max-fragment-size=abc: expected a whole number/);
+  fails(run('out.bpmn', '--privacy-bands=x'), /--privacy-bands=x: expected numbers/);
+});
+
+test('sweep values that are no numbers between 0 and 1 are errors', () => {
+  fails(run('-', '--mode=sweep', '--sweep-thresholds=abc'), /--sweep-thresholds=abc: expected numbers/);
+  fails(run('-', '--mode=sweep', '--sweep-privacy=0.9:0.1:0.1'), /Bad sweep range "0\.9:0\.1:0\.1"/);
+  fails(run('-', '--mode=sweep', '--sweep-thresholds=0.5,2'), /sweepThresholds: expected a list of numbers between 0 and 1/);
+  const r = run('-', '--mode=sweep', '--sweep-privacy=0.1:0.3:0.1');
+  assert.equal(r.status, 0, r.stderr);
+  assert.match(r.stdout, /^-\s+0\.3\s/m);
+});
+
+test('--export-fragments wires the fragment inside an expanded sub-process', (t) => {
+  const dir = tmpDir(t);
+  const r = runOn(example('subprocess.bpmn'), path.join(dir, 'out.bpmn'), `--export-fragments=${path.join(dir, 'exp')}`);
+  assert.equal(r.status, 0, r.stderr);
+  const collaboration = fs.readFileSync(path.join(dir, 'exp', 'collaboration.bpmn'), 'utf8');
+  const wires = [...collaboration.matchAll(/<bpmn:messageFlow [^>]*sourceRef="([^"]+)" targetRef="([^"]+)"/g)].map(
+    (m) => `${m[1]} -> ${m[2]}`
+  );
+  // Register claim | Collect, Assess, Decide (in Review claim) | Pay out, Archive claim
+  assert.deepEqual(wires, ['Exit_Flow_2 -> Entry_Flow_R1', 'Exit_Flow_R4 -> Entry_Flow_3']);
+  ['Exit_Flow_2', 'Entry_Flow_R1', 'Exit_Flow_R4', 'Entry_Flow_3'].forEach((id) =>
+    assert.match(collaboration, new RegExp(`id="${id}"[^>]*>\\s*<bpmn:messageEventDefinition`))
+  );
+});
+
+test('--mode=clear removes what masking added only with --clear-masking', (t) => {
+  const dir = tmpDir(t);
+  const masked = path.join(dir, 'masked.bpmn');
+  assert.equal(run(masked, '--mode=mask', '--privacy=0.5').status, 0);
+  const kept = runOn(masked, path.join(dir, 'kept.bpmn'), '--mode=clear');
+  assert.equal(kept.stdout.split('\n')[0], 'Removed 0 fragment(s)');
+  assert.match(fs.readFileSync(path.join(dir, 'kept.bpmn'), 'utf8'), /AutoFlow_1/);
+  const cleared = runOn(masked, path.join(dir, 'cleared.bpmn'), '--mode=clear', '--clear-masking');
+  assert.match(cleared.stdout, /^Removed 0 fragment\(s\) and 2 masking element\(s\)/);
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, 'cleared.bpmn'), 'utf8'), /AutoFlow_/);
+  fails(run(path.join(dir, 'out.bpmn'), '--clear-masking'), /--clear-masking only works with --mode=clear/);
+});
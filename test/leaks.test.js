@@ -0,0 +1,118 @@
+// Privacy propagation and leak checks (examples/leaks.bpmn)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { mask } = require('..');
+
+const input = path.join(__dirname, '..', 'examples', 'leaks.bpmn');
+const leaks = fs.readFileSync(input, 'utf8');
+// privacy > 0.5 masks Check credit rating (0.8) and Screen customer (0.9)
+const run = (options) => mask(leaks, { privacy: 0.5, privacyDir: 'above', ...options });
+const ids = (list) => list.map((x) => x.id);
+const kinds = (list) => Object.fromEntries(list.map((l) => [l.kind, l]));
+
+// what the masked tasks are called in the names, notes and documentation of others
+const MENTIONS = ['check credit rating', 'screen customer'];
+const mentions = (xml) => MENTIONS.filter((text) => xml.toLowerCase().includes(text));
+
+test('without propagation only the private tasks are masked', () => {
+  assert.deepEqual(ids(run({}).masked), ['Task_CheckCredit', 'Task_Screen']);
+});
+
+test('privacy spreads through shared data to the task that writes it', () => {
+  const max = run({ propagate: 'max' });
+  assert.deepEqual(ids(max.masked), ['Task_Score', 'Task_CheckCredit', 'Task_Screen']);
+  assert.deepEqual(max.propagated, [
+    {
+      id: 'Task_Score',
+      privacy: 0.3,
+      effective: 0.8,
+      from: 'Task_CheckCredit',
+      hops: 1,
+      path: ['Task_CheckCredit', 'DataObject_Credit', 'Task_Score'],
+      process: 'Process_Order',
+      scope: 'Process_Order',
+    },
+  ]);
+  // decay takes 0.1 off per hop
+  const decay = run({ propagate: 'decay' });
+  assert.deepEqual(ids(decay.propagated), ['Task_Score']);
+  assert.equal(decay.propagated[0].effective, 0.7);
+  // raised, but not above the threshold
+  const weak = run({ propagate: 'decay', propagateDecay: 0.4 });
+  assert.equal(weak.propagated[0].effective, 0.4);
+  assert.deepEqual(ids(weak.masked), ['Task_CheckCredit', 'Task_Screen']);
+});
+
+test('every kind of leak is reported and left in place', () => {
+  const r = run({ leaks: 'report' });
+  const found = kinds(r.leaks);
+  assert.deepEqual(Object.keys(found).sort(), ['annotation', 'branch', 'documentation', 'name']);
+  assert.deepEqual(found.name.mentions, ['Task_CheckCredit']);
+  assert.equal(found.name.id, 'Task_Notify');
+  assert.deepEqual(found.documentation.mentions, ['Task_Screen']);
+  assert.equal(found.documentation.id, 'Task_Ship');
+  assert.deepEqual(found.annotation.mentions, ['Task_Screen']);
+  assert.equal(found.annotation.id, 'TextAnnotation_Fork');
+  assert.deepEqual([found.branch.id, found.branch.target], ['Gateway_Fork', 'Gateway_Sync']);
+  r.leaks.forEach((l) => assert.equal(l.action, undefined));
+  assert.deepEqual(mentions(r.xml), MENTIONS);
+  assert.equal(r.report.model.residualLeaks, 4);
+});
+
+test('scrub takes the leaking text out and keeps the tasks', () => {
+  const r = run({ leaks: 'scrub' });
+  assert.deepEqual(ids(r.masked), ['Task_CheckCredit', 'Task_Screen']);
+  const found = kinds(r.leaks);
+  assert.equal(found.name.action, 'unnamed');
+  assert.equal(found.documentation.action, 'removed');
+  assert.equal(found.branch.action, 'removed');
+  assert.deepEqual(mentions(r.xml), []);
+  assert.match(r.xml, /id="Task_Notify"/);
+  assert.doesNotMatch(r.xml, /TextAnnotation_Fork|<bpmn:documentation/);
+  assert.equal(r.report.model.residualLeaks, 0);
+});
+
+test('mask masks the tasks whose text leaks as well', () => {
+  const r = run({ leaks: 'mask' });
+  assert.deepEqual(ids(r.masked), ['Task_CheckCredit', 'Task_Screen', 'Task_Notify', 'Task_Ship']);
+  const found = kinds(r.leaks);
+  assert.equal(found.name.action, 'masked');
+  assert.equal(found.documentation.action, 'masked');
+  assert.deepEqual(mentions(r.xml), []);
+  assert.equal(r.report.model.residualLeaks, 0);
+});
+
+test('--strict writes nothing while leaks are left', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bpmn-leaks-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const cli = (leakMode) =>
+    spawnSync(
+      process.execPath,
+      [
+        path.join(__dirname, '..', 'transform.js'),
+        input,
+        path.join(dir, `${leakMode}.bpmn`),
+        '--mode=mask',
+        '--privacy=0.5',
+        '--privacy-dir=above',
+        `--leaks=${leakMode}`,
+        `--report=${path.join(dir, `${leakMode}.json`)}`,
+        '--strict',
+      ],
+      { encoding: 'utf8' }
+    );
+
+  const reported = cli('report');
+  assert.equal(reported.status, 1, reported.stdout);
+  assert.match(reported.stderr, /Not written: 4 leak\(s\) left \(--strict\)/);
+  assert.deepEqual(fs.readdirSync(dir), []);
+
+  const scrubbed = cli('scrub');
+  assert.equal(scrubbed.status, 0, scrubbed.stderr);
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['scrub.bpmn', 'scrub.json']);
+});
@@ -0,0 +1,103 @@
+// Mask mode around XOR / AND / OR gateways (examples/gateways.bpmn)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { mask, validate } = require('..');
+
+const gateways = fs.readFileSync(path.join(__dirname, '..', 'examples', 'gateways.bpmn'), 'utf8');
+const BPMN = 'http://www.omg.org/spec/BPMN/20100524/MODEL';
+
+// xmldom node lists are not iterable
+const list = (nodes) => Array.from({ length: nodes.length }, (_, i) => nodes.item(i));
+const byId = (doc, id) => list(doc.getElementsByTagName('*')).find((el) => el.getAttribute('id') === id) || null;
+const flows = (doc) => list(doc.getElementsByTagNameNS(BPMN, 'sequenceFlow'));
+const flowBetween = (doc, from, to) =>
+  flows(doc).filter((f) => f.getAttribute('sourceRef') === from && f.getAttribute('targetRef') === to);
+const condition = (flow) => {
+  const c = flow.getElementsByTagNameNS(BPMN, 'conditionExpression')[0];
+  return c ? c.textContent : null;
+};
+
+// privacy ≥ 0.8 masks Check credit (XOR branch), Fraud screening and Internal
+// audit (both AND branches), Quote insurance (OR branch) and Pack items
+const masked = mask(gateways, { privacy: 0.8, privacyDir: 'above' });
+const { doc } = masked;
+
+test('masks the private task of every gateway branch', () => {
+  assert.deepEqual(
+    masked.masked.map((m) => m.id),
+    ['Task_Credit', 'Task_Fraud', 'Task_Audit', 'Task_Insurance', 'Task_Pack']
+  );
+  masked.masked.forEach((m) => assert.equal(byId(doc, m.id), null));
+  assert.deepEqual(validate(masked.xml).problems.filter((p) => p.severity === 'error'), []);
+});
+
+test('XOR: the bypass flow carries the condition and name of the masked branch', () => {
+  const [bypass] = flowBetween(doc, 'Gateway_Check', 'Gateway_CheckJoin');
+  assert.match(bypass.getAttribute('id'), /^AutoFlow_\d+$/);
+  assert.equal(bypass.getAttribute('name'), 'yes');
+  assert.equal(condition(bypass), '${amount > 1000}');
+  // the weakest coupling along Flow_3 → Task_Credit → Flow_5
+  assert.equal(bypass.getAttribute('cpl:coupling'), '0.7');
+  // the other branch stays the default
+  assert.equal(byId(doc, 'Gateway_Check').getAttribute('default'), 'Flow_4');
+  assert.ok(byId(doc, 'Flow_4'));
+});
+
+test('XOR: masking the default branch moves the default onto its bypass flow', () => {
+  const r = mask(gateways, { maskIds: ['Task_Standard'] });
+  const [bypass] = flowBetween(r.doc, 'Gateway_Check', 'Gateway_CheckJoin');
+  assert.equal(byId(r.doc, 'Gateway_Check').getAttribute('default'), bypass.getAttribute('id'));
+  assert.equal(condition(bypass), null);
+  assert.equal(bypass.getAttribute('name'), 'no');
+});
+
+test('AND: a split whose branches are all masked collapses with its join', () => {
+  assert.deepEqual(
+    masked.collapsedGateways.map((g) => g.id),
+    ['Gateway_Split', 'Gateway_Join']
+  );
+  assert.equal(byId(doc, 'Gateway_Split'), null);
+  assert.equal(byId(doc, 'Gateway_Join'), null);
+  assert.equal(byId(doc, 'Gateway_Split_di'), null);
+  // what came before the split now leads straight to what came after the join
+  assert.equal(flowBetween(doc, 'Gateway_CheckJoin', 'Gateway_Extras').length, 1);
+});
+
+test('AND: masking one parallel branch keeps the gateways', () => {
+  const r = mask(gateways, { maskIds: ['Task_Fraud'] });
+  assert.deepEqual(r.collapsedGateways, []);
+  assert.equal(flowBetween(r.doc, 'Gateway_Split', 'Gateway_Join').length, 1);
+  assert.equal(flowBetween(r.doc, 'Gateway_Split', 'Task_Audit').length, 1);
+});
+
+test('OR: the condition of the masked branch moves to the bypass flow', () => {
+  const [bypass] = flowBetween(doc, 'Gateway_Extras', 'Task_Insure');
+  assert.equal(bypass.getAttribute('name'), 'insured');
+  assert.equal(condition(bypass), '${insured}');
+  assert.equal(condition(byId(doc, 'Flow_15')), '${gift}');
+  assert.equal(byId(doc, 'Gateway_Extras').localName, 'inclusiveGateway');
+});
+
+test('an implicit split of a masked task becomes an AutoGateway', () => {
+  // Pack items had two outgoing flows (Ship, Send invoice): a parallel split
+  assert.deepEqual(masked.autoGateways.map((g) => g.id), ['AutoGateway_1']);
+  const gw = byId(doc, 'AutoGateway_1');
+  assert.equal(gw.localName, 'parallelGateway');
+  assert.ok(byId(doc, 'AutoGateway_1_di'));
+  assert.equal(flowBetween(doc, 'Gateway_ExtrasJoin', 'AutoGateway_1').length, 1);
+  assert.equal(flowBetween(doc, 'AutoGateway_1', 'Task_Ship').length, 1);
+  assert.equal(flowBetween(doc, 'AutoGateway_1', 'Task_Invoice').length, 1);
+  // not cross-connected past it
+  assert.equal(flowBetween(doc, 'Gateway_ExtrasJoin', 'Task_Ship').length, 0);
+});
+
+test('every AutoFlow is drawn', () => {
+  masked.autoFlows.forEach((f) => {
+    const edge = byId(doc, `${f.id}_di`);
+    assert.ok(edge, f.id);
+    assert.ok(edge.getElementsByTagNameNS('http://www.omg.org/spec/DD/20100524/DI', 'waypoint').length >= 2);
+  });
+});
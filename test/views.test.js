@@ -0,0 +1,55 @@
+// Views per party (examples/collaboration.bpmn with examples/policy.yaml)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { views } = require('..');
+
+const example = (name) => fs.readFileSync(path.join(__dirname, '..', 'examples', name), 'utf8');
+const collaboration = example('collaboration.bpmn');
+const r = views(collaboration, YAML.parse(example('policy.yaml')));
+const PARTIES = ['Customer', 'Sales', 'Warehouse', 'Auditor'];
+
+test('the matrix has every task with what each party sees of it', () => {
+  const seen = Object.fromEntries(r.matrix.map((u) => [u.id, PARTIES.map((p) => u.views[p]).join(' ')]));
+  assert.deepEqual(seen, {
+    // Customer (pool, 0.3), Sales (lane, 0.5), Warehouse (lane, 0.3), Auditor (role, 0.9)
+    Task_PlaceOrder: 'own visible visible visible',
+    Task_Pay: 'own masked masked visible',
+    Task_ReceiveGoods: 'own visible visible visible',
+    Task_RecordOrder: 'visible own visible visible',
+    Task_CheckCredit: 'masked own masked visible',
+    Task_ReceivePayment: 'masked own masked visible',
+    Task_PickGoods: 'masked visible own visible',
+    Task_Ship: 'visible visible own visible',
+  });
+  assert.deepEqual(
+    r.report.parties.map(({ party, own, visible, masked }) => [party, own, visible, masked]),
+    [
+      ['Customer', 3, 5, 3],
+      ['Sales', 3, 7, 1],
+      ['Warehouse', 2, 5, 3],
+      ['Auditor', 0, 8, 0],
+    ]
+  );
+});
+
+test('no view shows what the matrix masks for its party', () => {
+  const nameOf = new Map(r.matrix.map((u) => [u.id, u.name]));
+  assert.deepEqual(r.views.map((v) => v.party), PARTIES);
+  r.views.forEach((v) => {
+    const masked = r.matrix.filter((u) => u.views[v.party] === 'masked').map((u) => u.id);
+    assert.deepEqual(v.masked.map((m) => m.id).sort(), [...masked].sort(), v.party);
+    masked.forEach((id) => {
+      assert.ok(!v.xml.includes(`name="${nameOf.get(id)}"`), `${v.party} sees the name of ${id}`);
+      // Warehouse masks with remove; the others keep a placeholder under the same id
+      if (v.party === 'Warehouse') assert.ok(!v.xml.includes(`"${id}"`), `${v.party} still has ${id}`);
+      else assert.match(v.xml, new RegExp(`<bpmn:task id="${id}" name="Private task"[^>]*cpl:masked="placeholder"`));
+    });
+    r.matrix
+      .filter((u) => u.views[v.party] !== 'masked')
+      .forEach((u) => assert.ok(v.xml.includes(`name="${u.name}"`), `${v.party} lost ${u.id}`));
+  });
+});
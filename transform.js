@@ -1,9 +1,38 @@
 #!/usr/bin/env node
 // Usage:
 //   node transform.js in.bpmn out.bpmn --mode=fragment --threshold=0.7 [--no-singletons] [--clear-old]
-//   node transform.js in.bpmn out.bpmn --mode=mask --privacy=0.5 [--clear-old]
+//   node transform.js in.bpmn out.bpmn --mode=mask --privacy=0.5 [--clear-old] [--message-flows=reroute|remove]
+//        [--mask-style=remove|placeholder|collapse] [--mask-ids=Task_A,Task_B] [--compact]
+//   add --participants=Participant_A,Participant_B to limit a collaboration run to some pools
+//   add --expand-collapsed to walk into collapsed sub-processes instead of treating them as one unit
+//   fragment mode: [--algorithm=components|agglomerative|louvain] [--resolution=1]
+//                  [--min-fragment-size=N] [--max-fragment-size=N] [--privacy-bands=0.3,0.7] [--annotate-stats]
+//                  [--color-fragments] [--keep-names]
+//   node transform.js in.bpmn out.bpmn --mode=clear   (removes every fragment, note and inferred coupling)
+//                  [--clear-masking]   (and the bypass flows, gateways and placeholders masking added)
+//                  [--data-coupling [--data-weight=0.5] [--write-coupling]]
+//   add --report=report.json|report.csv to write per-fragment / masking figures
+//   node transform.js in.bpmn table.txt|table.csv|table.json|- --mode=sweep
+//        [--sweep-thresholds=0.5:0.95:0.05] [--sweep-privacy=0.1,0.5,0.9]
+//   add --export-fragments=dir to also write each fragment as its own model (fragment mode)
+//   add --render=out.svg|out.html to also draw the written model (offline, from its BPMN-DI)
+//   add --unmask-key=out.key to a mask run to keep an encrypted key for undoing it, then
+//   node transform.js masked.bpmn restored.bpmn --mode=unmask --unmask-key=out.key
+//   (passphrase from --passphrase-file=path or the BPMN_UNMASK_PASSPHRASE environment variable)
+//   node transform.js in.bpmn out.bpmn --config=pipeline.yaml   (ordered mask/fragment/clear steps)
+//   node transform.js in.bpmn [report.txt|report.json|-] --mode=validate [--format=text|json] [--strict]
+//   node transform.js in.bpmn out.xes|out.csv --mode=log --log=in.xes|in.csv [--log-style=drop|anonymise]
+//        (masking decision from --privacy/--privacy-dir or --mask-ids=id,id; replays the result on the masked model)
+//   node transform.js a.bpmn b.bpmn [diff.txt|diff.json|-] --mode=diff [--format=text|json]
+//   node transform.js in.bpmn views/ --mode=views --policy=policy.yaml   (one masked model per party)
+//        (fragments added, removed, split, merged and moved tasks; masking changes)
+//
+// As a module: const { fragment, mask, unmask, sweep, pipeline, diff, render, views } = require('./transform');
+// see the API section at the end of this file.
 
 const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
 const xpath = require('xpath');
 
@@ -13,39 +42,250 @@ const NS = {
   dc: 'http://www.omg.org/spec/DD/20100524/DC',
   di: 'http://www.omg.org/spec/DD/20100524/DI',
   cpl: 'http://example.com/schema/coupling',
+  // bpmn.io colour extensions, written by --color-fragments
+  bioc: 'http://bpmn.io/schema/bpmn/biocolor/1.0',
+  color: 'http://www.omg.org/spec/BPMN/non-normative/color/1.0',
 };
 const select = xpath.useNamespaces(NS);
 
+// --- ERRORS ---
+// Everything the API rejects is a TransformError; `code` tells the kinds apart.
+
+class TransformError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+// bad or conflicting options
+class OptionError extends TransformError {
+  constructor(message) {
+    super(message, 'EOPTION');
+  }
+}
+
+// input that is not a usable BPMN model (unparsable XML, no process, unknown participant)
+class ModelError extends TransformError {
+  constructor(message) {
+    super(message, 'EMODEL');
+  }
+}
+
+// cpl:mustLink / cpl:cannotLink / privacy bands / size limits that cannot all hold
+class ConstraintError extends TransformError {
+  constructor(message) {
+    super(message, 'ECONSTRAINT');
+  }
+}
+
+// unusable key, or edits to the masked model that block a restore (`ids` lists them)
+class UnmaskError extends TransformError {
+  constructor(message, ids = []) {
+    super(message, 'EUNMASK');
+    this.ids = ids;
+  }
+}
+
+// event log that cannot be read: not XES, or a CSV log without case / activity columns
+class LogError extends TransformError {
+  constructor(message) {
+    super(message, 'ELOG');
+  }
+}
+
+// Options of fragment() / mask() / sweep() / projectLog(), as the CLI flags set them
+const DEFAULT_OPTIONS = {
+  threshold: 0.7,
+  privacy: 0.5,
+  privacyDir: 'below',
+  includeSingletons: true,
+  clearOld: false,
+  clearMasking: false,
+  participants: null,
+  messageFlows: 'reroute',
+  expandCollapsed: false,
+  algorithm: 'components',
+  minSize: 0,
+  maxSize: 0,
+  resolution: 1,
+  privacyBands: null,
+  annotateStats: false,
+  colorFragments: false,
+  keepNames: false,
+  maskStyle: 'remove',
+  maskIds: null,
+  compact: false,
+  dataCoupling: false,
+  dataWeight: 0.5,
+  writeCoupling: false,
+  sweepThresholds: null,
+  sweepPrivacy: null,
+  logStyle: 'drop',
+  caseColumn: null,
+  activityColumn: null,
+  propagate: null,
+  propagateDecay: 0.1,
+  propagateCoupling: 0.7,
+  leaks: null,
+};
+
+// Option keys the API takes: DEFAULT_OPTIONS, the `input` and `log` names
+// reports carry and the `passphrase` mask() encrypts its unmask key with
+const API_OPTIONS = [...Object.keys(DEFAULT_OPTIONS), 'input', 'log', 'passphrase'];
+
+const MODES = ['fragment', 'mask', 'unmask', 'clear', 'sweep', 'validate', 'log', 'diff', 'views'];
+
 function parseArgs() {
   const args = process.argv.slice(2);
-  if (args.length < 2) {
+  const usage = () => {
     console.error(
-      'Usage: node transform.js input.bpmn output.bpmn [--mode=fragment|mask] [--threshold=0.7] [--privacy=0.5] [--no-singletons] [--clear-old]'
+      'Usage: node transform.js input.bpmn output.bpmn [--mode=fragment|mask|unmask|clear|sweep|validate|log|diff|views] [--policy=policy.yaml|policy.json] [--threshold=0.7] [--privacy=0.5] [--no-singletons] [--clear-old] [--clear-masking] [--participants=id,id] [--message-flows=reroute|remove] [--mask-style=remove|placeholder|collapse] [--expand-collapsed] [--algorithm=components|agglomerative|louvain] [--min-fragment-size=N] [--max-fragment-size=N] [--resolution=1] [--privacy-bands=0.3,0.7] [--annotate-stats] [--color-fragments] [--keep-names] [--report=out.json|out.csv] [--sweep-thresholds=from:to:step|a,b] [--sweep-privacy=from:to:step|a,b] [--export-fragments=dir] [--render=out.svg|out.html] [--unmask-key=file] [--passphrase-file=path] [--config=pipeline.json|pipeline.yaml] [--format=text|json] [--strict] [--data-coupling] [--data-weight=0.5] [--write-coupling] [--mask-ids=id,id] [--compact] [--log=in.xes|in.csv] [--log-style=drop|anonymise] [--case-column=name] [--activity-column=name] [--propagate=max|decay] [--propagate-decay=0.1] [--propagate-coupling=0.7] [--leaks=report|scrub|mask]'
     );
     process.exit(1);
-  }
+  };
+  // the output path may be left out with --mode=validate; --mode=diff takes the
+  // second model there and an optional output path after it
+  const hasOutput = args.length > 1 && !args[1].startsWith('--');
+  if (!args.length || args[0].startsWith('--') || (!hasOutput && !args.includes('--mode=validate'))) usage();
+  const isDiff = args.includes('--mode=diff');
+  const diffOutput = isDiff && args.length > 2 && !args[2].startsWith('--') ? args[2] : null;
+  const oneOf = (flag, value, allowed) => {
+    if (!allowed.includes(value)) throw new OptionError(`--${flag}=${value}: expected one of ${allowed.join('|')}`);
+    return value;
+  };
+  const count = (flag, value) => {
+    if (!/^\d+$/.test(value)) throw new OptionError(`--${flag}=${value}: expected a whole number ≥ 0`);
+    return parseInt(value, 10);
+  };
   const opts = {
     input: args[0],
-    output: args[1],
+    output: isDiff ? diffOutput : hasOutput ? args[1] : null,
+    other: isDiff ? args[1] : null,
     mode: 'fragment',
-    threshold: 0.7,
-    privacy: 0.5,
-    privacyDir: 'below',
-    includeSingletons: true,
-    clearOld: false,
+    ...DEFAULT_OPTIONS,
+    report: null,
+    exportFragments: null,
+    render: null,
+    unmaskKey: null,
+    passphraseFile: null,
+    config: null,
+    format: null,
+    strict: false,
+    log: null,
+    policy: null,
   };
-  for (const a of args.slice(2)) {
+  for (const a of args.slice(diffOutput ? 3 : hasOutput ? 2 : 1)) {
     let m;
-    if ((m = a.match(/^--mode=(.+)$/))) opts.mode = m[1];
+    if ((m = a.match(/^--mode=(.+)$/))) opts.mode = oneOf('mode', m[1], MODES);
     else if ((m = a.match(/^--threshold=(.+)$/))) opts.threshold = parseFloat(m[1]);
     else if ((m = a.match(/^--privacy=(.+)$/))) opts.privacy = parseFloat(m[1]);
-    else if ((m = a.match(/^--privacy-dir=(above|below)$/))) opts.privacyDir = m[1];
+    else if ((m = a.match(/^--privacy-dir=(.+)$/))) opts.privacyDir = oneOf('privacy-dir', m[1], OPTION_TYPES.privacyDir);
     else if (a === '--no-singletons') opts.includeSingletons = false;
     else if (a === '--clear-old') opts.clearOld = true;
+    else if (a === '--clear-masking') opts.clearMasking = true;
+    else if ((m = a.match(/^--participants=(.+)$/))) opts.participants = m[1].split(',').map((x) => x.trim()).filter(Boolean);
+    else if ((m = a.match(/^--message-flows=(.+)$/))) opts.messageFlows = oneOf('message-flows', m[1], OPTION_TYPES.messageFlows);
+    else if (a === '--expand-collapsed') opts.expandCollapsed = true;
+    else if ((m = a.match(/^--algorithm=(.+)$/))) opts.algorithm = oneOf('algorithm', m[1], OPTION_TYPES.algorithm);
+    else if ((m = a.match(/^--min-fragment-size=(.+)$/))) opts.minSize = count('min-fragment-size', m[1]);
+    else if ((m = a.match(/^--max-fragment-size=(.+)$/))) opts.maxSize = count('max-fragment-size', m[1]);
+    else if ((m = a.match(/^--resolution=(.+)$/))) opts.resolution = parseFloat(m[1]);
+    else if (a === '--annotate-stats') opts.annotateStats = true;
+    else if (a === '--color-fragments') opts.colorFragments = true;
+    else if (a === '--keep-names') opts.keepNames = true;
+    else if ((m = a.match(/^--report=(.+)$/))) opts.report = m[1];
+    else if ((m = a.match(/^--sweep-thresholds=(.+)$/))) opts.sweepThresholds = parseSweepValues('sweep-thresholds', m[1]);
+    else if ((m = a.match(/^--sweep-privacy=(.+)$/))) opts.sweepPrivacy = parseSweepValues('sweep-privacy', m[1]);
+    else if ((m = a.match(/^--export-fragments=(.+)$/))) opts.exportFragments = m[1];
+    else if ((m = a.match(/^--render=(.+)$/))) opts.render = m[1];
+    else if ((m = a.match(/^--mask-style=(.+)$/))) opts.maskStyle = oneOf('mask-style', m[1], MASK_STYLES);
+    else if ((m = a.match(/^--unmask-key=(.+)$/))) opts.unmaskKey = m[1];
+    else if ((m = a.match(/^--passphrase-file=(.+)$/))) opts.passphraseFile = m[1];
+    else if ((m = a.match(/^--config=(.+)$/))) opts.config = m[1];
+    else if ((m = a.match(/^--policy=(.+)$/))) opts.policy = m[1];
+    else if ((m = a.match(/^--format=(.+)$/))) opts.format = oneOf('format', m[1], ['text', 'json']);
+    else if (a === '--strict') opts.strict = true;
+    else if (a === '--data-coupling') opts.dataCoupling = true;
+    else if ((m = a.match(/^--data-weight=(.+)$/))) opts.dataWeight = parseFloat(m[1]);
+    else if (a === '--write-coupling') opts.writeCoupling = true;
+    else if (a === '--compact') opts.compact = true;
+    else if ((m = a.match(/^--mask-ids=(.+)$/))) opts.maskIds = m[1].split(',').map((x) => x.trim()).filter(Boolean);
+    else if ((m = a.match(/^--log=(.+)$/))) opts.log = m[1];
+    else if ((m = a.match(/^--log-style=(.+)$/))) opts.logStyle = oneOf('log-style', m[1], LOG_STYLES);
+    else if ((m = a.match(/^--case-column=(.+)$/))) opts.caseColumn = m[1];
+    else if ((m = a.match(/^--activity-column=(.+)$/))) opts.activityColumn = m[1];
+    else if ((m = a.match(/^--propagate=(.+)$/))) opts.propagate = oneOf('propagate', m[1], PROPAGATION_RULES);
+    else if ((m = a.match(/^--propagate-decay=(.+)$/))) opts.propagateDecay = parseFloat(m[1]);
+    else if ((m = a.match(/^--propagate-coupling=(.+)$/))) opts.propagateCoupling = parseFloat(m[1]);
+    else if ((m = a.match(/^--leaks=(.+)$/))) opts.leaks = oneOf('leaks', m[1], LEAK_MODES);
+    else if ((m = a.match(/^--privacy-bands=(.+)$/))) {
+      const bands = m[1].split(',').map(parseFloat);
+      if (!bands.every(Number.isFinite)) throw new OptionError(`--privacy-bands=${m[1]}: expected numbers a,b,…`);
+      opts.privacyBands = bands.sort((x, y) => x - y);
+    } else throw new OptionError(`${a}: unknown option (run without arguments to list them)`);
+  }
+  if (opts.maxSize && opts.minSize > opts.maxSize) {
+    throw new OptionError(`--min-fragment-size=${opts.minSize} is above --max-fragment-size=${opts.maxSize}, so no fragment fits`);
   }
   return opts;
 }
 
+/**
+ * Processes to work on: every participant's process of a collaboration (in
+ * pool order), or every bpmn:process when there is no collaboration.
+ * `only` limits the run to the given participant (or process) ids.
+ */
+function selectProcesses(doc, only) {
+  const participants = select('/bpmn:definitions/bpmn:collaboration/bpmn:participant[@processRef]', doc);
+  const seen = new Set();
+  let entries;
+  if (participants.length) {
+    entries = participants
+      .map((p) => ({
+        participant: p,
+        processEl: select(`/bpmn:definitions/bpmn:process[@id="${p.getAttribute('processRef')}"]`, doc)[0],
+      }))
+      .filter((e) => e.processEl && !seen.has(e.processEl) && seen.add(e.processEl));
+  } else {
+    entries = select('/bpmn:definitions/bpmn:process', doc).map((processEl) => ({ participant: null, processEl }));
+  }
+
+  if (only) {
+    const matches = (e, id) =>
+      e.processEl.getAttribute('id') === id || (e.participant && e.participant.getAttribute('id') === id);
+    only.forEach((id) => {
+      if (!entries.some((e) => matches(e, id))) throw new ModelError(`No participant or process with id "${id}"`);
+    });
+    entries = entries.filter((e) => only.some((id) => matches(e, id)));
+  }
+  return entries;
+}
+
+function participantOf(doc, processEl) {
+  const id = processEl.getAttribute('id');
+  return childElements(doc.documentElement, 'bpmn:collaboration')
+    .flatMap((c) => childElements(c, 'bpmn:participant'))
+    .find((p) => p.getAttribute('processRef') === id);
+}
+
+const inLane = (r) => r.parentNode.namespaceURI === NS.bpmn && r.parentNode.localName === 'lane';
+
+// Drop an element from every lane's flowNodeRef list
+function removeFromLanes(ix, processEl, elId) {
+  ix.laneRefs(elId, processEl).filter(inLane).forEach((r) => ix.remove(r));
+}
+
+// Register a new flow node in the lane(s) that hold `anchorId`
+function addToLanesOf(ix, doc, processEl, elId, anchorId) {
+  ix.laneRefs(anchorId, processEl).filter(inLane).forEach((r) => {
+    const ref = doc.createElementNS(NS.bpmn, 'bpmn:flowNodeRef');
+    ref.appendChild(doc.createTextNode(elId));
+    ix.insert(r.parentNode, ref, r.nextSibling);
+  });
+}
+
 function unionFind(n) {
   const parent = Array.from({ length: n }, (_, i) => i);
   const find = (x) => (parent[x] === x ? x : (parent[x] = find(parent[x])));
@@ -66,26 +306,30 @@ function unionFind(n) {
   return { find, unite, groups };
 }
 
-function ensurePlane(defs, processEl, doc) {
-  let plane = select('//bpmndi:BPMNDiagram/bpmndi:BPMNPlane', doc)[0];
+function ensurePlane(ix, defs, processEl, doc) {
+  // a collaboration is drawn on one plane holding every pool
+  const collab = childElements(defs, 'bpmn:collaboration')[0];
+  const planeOf = (el) => el && ix.planes(el.getAttribute('id'))[0];
+  const first = () => childElements(defs, 'bpmndi:BPMNDiagram').flatMap((d) => childElements(d, 'bpmndi:BPMNPlane'))[0];
+  let plane = planeOf(processEl) || planeOf(collab) || first();
   if (!plane) {
     const diagram = doc.createElementNS(NS.bpmndi, 'bpmndi:BPMNDiagram');
     diagram.setAttribute('id', 'BPMNDiagram_Auto');
     plane = doc.createElementNS(NS.bpmndi, 'bpmndi:BPMNPlane');
     plane.setAttribute('id', 'BPMNPlane_Auto');
-    plane.setAttribute('bpmnElement', processEl.getAttribute('id'));
+    plane.setAttribute('bpmnElement', (collab || processEl).getAttribute('id'));
     diagram.appendChild(plane);
-    defs.appendChild(diagram);
+    ix.insert(defs, diagram);
   }
   return plane;
 }
 
 function boundsMap(plane) {
   const m = new Map();
-  const shapes = select('.//bpmndi:BPMNShape', plane);
+  const shapes = descendantElements(plane, 'bpmndi:BPMNShape');
   shapes.forEach((s) => {
     const elId = s.getAttribute('bpmnElement');
-    const b = select('./dc:Bounds', s)[0];
+    const b = childElements(s, 'dc:Bounds')[0];
     if (elId && b)
       m.set(elId, {
         x: parseFloat(b.getAttribute('x')),
@@ -138,7 +382,12 @@ function edgeAnchor(boundsEl, tx, ty) {
 }
 
 
-function addTextAnnotationForGroup(doc, defs, plane, processEl, groupId, label, x, y) {
+// Height of a fragment note: 40px fits two lines, each further line adds 14px
+function annotationHeight(label) {
+  return 40 + Math.max(0, label.split('\n').length - 2) * 14;
+}
+
+function addTextAnnotationForGroup(ix, doc, plane, processEl, groupId, label, x, y, color = null) {
   // Create the TextAnnotation
   const taId = `${groupId}_TA`;
   const ta = doc.createElementNS(NS.bpmn, 'bpmn:textAnnotation');
@@ -146,7 +395,7 @@ function addTextAnnotationForGroup(doc, defs, plane, processEl, groupId, label,
   const text = doc.createElementNS(NS.bpmn, 'bpmn:text');
   text.appendChild(doc.createTextNode(label));
   ta.appendChild(text);
-  processEl.appendChild(ta);
+  ix.insert(processEl, ta);
 
   // Association from annotation -> group (direction None)
   const assoc = doc.createElementNS(NS.bpmn, 'bpmn:association');
@@ -154,25 +403,23 @@ function addTextAnnotationForGroup(doc, defs, plane, processEl, groupId, label,
   assoc.setAttribute('associationDirection', 'None');
   assoc.setAttribute('sourceRef', taId);
   assoc.setAttribute('targetRef', groupId);
-  processEl.appendChild(assoc);
+  ix.insert(processEl, assoc);
 
   // DI for the TextAnnotation
   const taShape = doc.createElementNS(NS.bpmndi, 'bpmndi:BPMNShape');
   taShape.setAttribute('id', `${taId}_di`);
   taShape.setAttribute('bpmnElement', taId);
+  if (color) setStrokeColor(taShape, color);
   const taBounds = doc.createElementNS(NS.dc, 'dc:Bounds');
   taBounds.setAttribute('x', String(x));
   taBounds.setAttribute('y', String(y));
-  taBounds.setAttribute('width', '160');
-  taBounds.setAttribute('height', '40');
+  taBounds.setAttribute('width', String(NOTE_WIDTH));
+  taBounds.setAttribute('height', String(annotationHeight(label)));
   taShape.appendChild(taBounds);
-  plane.appendChild(taShape);
+  ix.insert(plane, taShape);
 
   // DI edge for the association: edge-to-edge (no center)
-  const gBounds = xpath.useNamespaces(NS)(
-    `.//bpmndi:BPMNShape[@bpmnElement="${groupId}"]/dc:Bounds`,
-    plane
-  )[0];
+  const gBounds = shapeBounds(ix, plane, groupId);
 
   if (gBounds) {
     const rA = rectFromBoundsEl(taBounds);
@@ -196,394 +443,6044 @@ function addTextAnnotationForGroup(doc, defs, plane, processEl, groupId, label,
 
     e.appendChild(w1);
     e.appendChild(w2);
-    plane.appendChild(e);
+    ix.insert(plane, e);
   }
 }
 
 
-function getTaskList(processEl) {
-  return select(
-    './*[self::bpmn:task or self::bpmn:userTask or self::bpmn:serviceTask or self::bpmn:scriptTask or self::bpmn:manualTask or self::bpmn:businessRuleTask or self::bpmn:sendTask or self::bpmn:receiveTask]',
-    processEl
-  );
-}
-
-function clearOldFragments(doc, processEl, defs) {
-  // Remove old groups with cpl:fragmentId or id starting with Fragment_
-  const oldGroups = select('.//bpmn:group', processEl).filter(
-    (g) =>
-      g.getAttributeNS(NS.cpl, 'fragmentId') != null ||
-      /^Fragment_/.test(g.getAttribute('id') || '')
-  );
-  oldGroups.forEach((g) => g.parentNode.removeChild(g));
+const TASK_TYPES = [
+  'task',
+  'userTask',
+  'serviceTask',
+  'scriptTask',
+  'manualTask',
+  'businessRuleTask',
+  'sendTask',
+  'receiveTask',
+];
+const SUBPROCESS_TYPES = ['subProcess', 'adHocSubProcess', 'transaction'];
 
-  // Remove their DI shapes
-  const plane = ensurePlane(defs, processEl, doc);
-  select('.//bpmndi:BPMNShape', plane).forEach((s) => {
-    const be = s.getAttribute('bpmnElement') || '';
-    if (/^Fragment_/.test(be)) s.parentNode.removeChild(s);
-  });
+function isSubProcess(el) {
+  return !!el && el.namespaceURI === NS.bpmn && SUBPROCESS_TYPES.includes(el.localName);
+}
 
-  // Remove their associations
-  select('.//bpmn:association', processEl).forEach((a) => {
-    const src = a.getAttribute('sourceRef') || '';
-    if (/^Fragment_/.test(src)) a.parentNode.removeChild(a);
-  });
+// Collapsed = drawn as a plain box (isExpanded missing or false); no DI at all counts as expanded
+function isCollapsedSubProcess(ix, el) {
+  const shape = ix.shapes(el.getAttribute('id'), el.ownerDocument)[0];
+  return !!shape && shape.getAttribute('isExpanded') !== 'true';
 }
 
-// --- FRAGMENT (now includes singletons by default) ---
-function fragmentByCoupling(doc, defs, processEl, threshold, includeSingletons) {
-  const tasks = getTaskList(processEl);
-  const idToIdx = new Map(tasks.map((t, i) => [t.getAttribute('id'), i]));
-  const uf = unionFind(tasks.length);
+/**
+ * Units that fragmentation and masking work with, among the direct children
+ * of a process or sub-process: tasks, call activities and (unless we walk
+ * into them) collapsed sub-processes, which carry their own cpl:privacy.
+ */
+function getTaskList(ix, processEl, expandCollapsed = false) {
+  return childElements(processEl).filter((el) => isTaskUnit(ix, el, expandCollapsed));
+}
 
-  const flows = select('.//bpmn:sequenceFlow', processEl);
-  flows.forEach((f) => {
-    const weightStr = f.getAttribute('cpl:coupling') || f.getAttributeNS(NS.cpl, 'coupling');
-    if (!weightStr) return;
-    const w = parseFloat(weightStr);
-    if (!(w >= threshold)) return;
-    const src = f.getAttribute('sourceRef');
-       const tgt = f.getAttribute('targetRef');
-    if (idToIdx.has(src) && idToIdx.has(tgt)) uf.unite(idToIdx.get(src), idToIdx.get(tgt));
-  });
+function isTaskUnit(ix, el, expandCollapsed = false) {
+  if (!el || el.namespaceURI !== NS.bpmn) return false;
+  if (TASK_TYPES.includes(el.localName) || el.localName === 'callActivity') return true;
+  return isSubProcess(el) && !expandCollapsed && isCollapsedSubProcess(ix, el);
+}
 
-  let comps = uf.groups();
-  if (!includeSingletons) comps = comps.filter((g) => g.length > 1);
+/**
+ * The process followed by every nested scope (sub-process, ad-hoc
+ * sub-process, transaction) whose own children should be handled, outermost
+ * first. Collapsed sub-processes are units of their parent scope and are only
+ * entered with `expandCollapsed`.
+ */
+function getScopes(ix, processEl, expandCollapsed = false) {
+  const scopes = [];
+  const walk = (scope) => {
+    scopes.push(scope);
+    childElements(scope)
+      .filter((el) => isSubProcess(el) && (expandCollapsed || !isCollapsedSubProcess(ix, el)))
+      .forEach(walk);
+  };
+  walk(processEl);
+  return scopes;
+}
 
-  // DI for groups
-  const plane = ensurePlane(defs, processEl, doc);
-  const bmap = boundsMap(plane);
+function rootProcessOf(el) {
+  let cur = el;
+  while (cur && cur.localName !== 'process') cur = cur.parentNode;
+  return cur || el;
+}
 
-  // Category
-  let cat = select('./bpmn:category[@id="Category_Fragments"]', defs)[0];
-  if (!cat) {
-    cat = doc.createElementNS(NS.bpmn, 'bpmn:category');
-    cat.setAttribute('id', 'Category_Fragments');
-    defs.insertBefore(cat, defs.firstChild);
+/**
+ * Plane drawing the children of a process or sub-process: the sub-process's
+ * own plane (drilled-down sub-processes get a separate BPMNPlane), else the
+ * plane of the enclosing scope, up to the process/collaboration plane.
+ */
+function planeFor(ix, doc, defs, scopeEl) {
+  for (let el = scopeEl; el && el.localName !== 'process'; el = el.parentNode) {
+    const own = ix.planes(el.getAttribute('id'))[0];
+    if (own) return own;
   }
+  return ensurePlane(ix, defs, rootProcessOf(scopeEl), doc);
+}
 
-  comps.forEach((indices, idx) => {
-    const fragId = 'Fragment_' + (idx + 1);
-
-    const cv = doc.createElementNS(NS.bpmn, 'bpmn:categoryValue');
-    cv.setAttribute('id', fragId + '_CV');
-    cv.setAttribute('value', fragId); // <-- semantic name (BPMN-native)
-    cat.appendChild(cv);
+/**
+ * Remove what fragment mode wrote into `processEl` and its sub-processes:
+ * the groups (cpl:fragmentId or a Fragment_ id), their notes, associations,
+ * DI on any plane and category values, plus the coupling --write-coupling
+ * inferred (flows marked cpl:inferred, cpl:dataCoupling lists). Notes and
+ * category values whose group is already gone are removed as well. Returns
+ * the number of fragments removed.
+ */
+function clearOldFragments(ix, doc, processEl, defs) {
+  const groups = descendantElements(processEl, 'bpmn:group').filter(
+    (g) => g.getAttributeNS(NS.cpl, 'fragmentId') || /^Fragment_/.test(g.getAttribute('id') || '')
+  );
+  const fragmentIds = new Set(groups.map((g) => g.getAttributeNS(NS.cpl, 'fragmentId') || g.getAttribute('id')));
+  const notes = descendantElements(processEl, 'bpmn:textAnnotation').filter((ta) => {
+    const id = ta.getAttribute('id') || '';
+    return /^Fragment_.*_TA$/.test(id) || fragmentIds.has(id.replace(/_TA$/, ''));
+  });
+  const gone = new Set([...groups, ...notes].map((el) => el.getAttribute('id')));
+  const assocs = descendantElements(processEl, 'bpmn:association').filter(
+    (a) => gone.has(a.getAttribute('sourceRef')) || gone.has(a.getAttribute('targetRef'))
+  );
+  assocs.forEach((a) => gone.add(a.getAttribute('id')));
+  [...groups, ...notes, ...assocs].forEach((el) => ix.remove(el));
 
-    const group = doc.createElementNS(NS.bpmn, 'bpmn:group');
-    group.setAttribute('id', fragId);
-    group.setAttribute('categoryValueRef', fragId + '_CV');
-    group.setAttributeNS(NS.cpl, 'cpl:fragmentId', fragId);
-    processEl.appendChild(group);
+  // their DI (on any plane: groups may sit in drilled-down sub-processes)
+  gone.forEach((id) => [...ix.shapes(id, doc), ...ix.edges(id, doc)].forEach((di) => ix.remove(di)));
 
-    const memberIds = indices.map((i) => tasks[i].getAttribute('id'));
+  // category values no group refers to any more, then the emptied category
+  const cat = ix.child(defs, 'Category_Fragments');
+  if (cat) {
+    const groupsLeft = descendantElements(doc.documentElement, 'bpmn:group');
+    const used = new Set(groupsLeft.map((g) => g.getAttribute('categoryValueRef')));
+    childElements(cat, 'bpmn:categoryValue')
+      .filter((cv) => !used.has(cv.getAttribute('id')))
+      .forEach((cv) => ix.remove(cv));
+    if (!childElements(cat, 'bpmn:categoryValue').length) ix.remove(cat);
+  }
 
-    // bbox from member tasks (works for singletons too)
-    let minx = Infinity,
-      miny = Infinity,
-      maxx = -Infinity,
-      maxy = -Infinity;
-    memberIds.forEach((id) => {
-      const b = bmap.get(id) || { x: 100, y: 100, w: 100, h: 80 };
-      minx = Math.min(minx, b.x);
-      miny = Math.min(miny, b.y);
-      maxx = Math.max(maxx, b.x + b.w);
-      maxy = Math.max(maxy, b.y + b.h);
-    });
-    const pad = 24;
-    minx -= pad;
-    miny -= pad;
-    maxx += pad;
-    maxy += pad;
-
-    const gShape = doc.createElementNS(NS.bpmndi, 'bpmndi:BPMNShape');
-    gShape.setAttribute('id', fragId + '_di');
-    gShape.setAttribute('bpmnElement', fragId);
-    const bounds = doc.createElementNS(NS.dc, 'dc:Bounds');
-    bounds.setAttribute('x', String(minx));
-    bounds.setAttribute('y', String(miny));
-    bounds.setAttribute('width', String(maxx - minx));
-    bounds.setAttribute('height', String(maxy - miny));
-    gShape.appendChild(bounds);
-    plane.appendChild(gShape);
-
-    // optional associations
-    memberIds.forEach((mid) => {
-      const assoc = doc.createElementNS(NS.bpmn, 'bpmn:association');
-      assoc.setAttribute('id', `${fragId}_A_${mid}`);
-      assoc.setAttribute('associationDirection', 'None');
-      assoc.setAttribute('sourceRef', fragId);
-      assoc.setAttribute('targetRef', mid);
-      processEl.appendChild(assoc);
-    });
-
-    // Add machine-readable annotations on the group
-    group.setAttributeNS(NS.cpl, 'cpl:fragmentName', fragId);
-    group.setAttributeNS(NS.cpl, 'cpl:fragmentSize', String(memberIds.length));
-    group.setAttributeNS(NS.cpl, 'cpl:couplingThreshold', String(threshold));
+  descendantElements(processEl, 'bpmn:sequenceFlow')
+    .filter((f) => f.getAttributeNS(NS.cpl, 'inferred') === 'true')
+    .forEach((f) => {
+      f.removeAttributeNS(NS.cpl, 'coupling');
+      f.removeAttributeNS(NS.cpl, 'inferred');
+    });
+  descendantElements(processEl)
+    .filter((el) => el.hasAttributeNS(NS.cpl, 'dataCoupling'))
+    .forEach((el) => el.removeAttributeNS(NS.cpl, 'dataCoupling'));
+  return fragmentIds.size;
+}
 
-    // Build a human-readable label for the TextAnnotation
-    // (you can enrich with stats: e.g., internal edges count/avg coupling)
-    const label = `${fragId}\nsize=${memberIds.length}`;
+/**
+ * Remove what mask mode added to `processEl` and its sub-processes: AutoFlow_*
+ * bypass flows, AutoGateway_* gateways, placeholders and collapsed runs
+ * (cpl:masked), with the flows, message flows and associations (and notes
+ * left without one) still attached to them, their DI, lane refs and the
+ * `default` of gateways that pointed at a removed flow. The masked tasks do not
+ * come back (that takes unmask), so the model keeps gaps where they were and
+ * validate() reports what is left disconnected. Returns the number of masking
+ * elements removed.
+ */
+function clearMasking(ix, doc, processEl) {
+  const isMasking = (el) =>
+    el.namespaceURI === NS.bpmn &&
+    (el.hasAttributeNS(NS.cpl, 'masked') || /^Auto(Flow|Gateway)_/.test(el.getAttribute('id') || ''));
+  const added = descendantElements(processEl).filter(isMasking);
+  const gone = new Set(added.map((el) => el.getAttribute('id')));
+  const attached = [
+    ...added.flatMap((el) => [...ix.flowsFrom(el.getAttribute('id')), ...ix.flowsTo(el.getAttribute('id'))]),
+    ...descendantElements(doc.documentElement, 'bpmn:messageFlow').filter(
+      (mf) => gone.has(mf.getAttribute('sourceRef')) || gone.has(mf.getAttribute('targetRef'))
+    ),
+  ].filter((el) => !gone.has(el.getAttribute('id')));
+  attached.forEach((el) => gone.add(el.getAttribute('id')));
+  [...added, ...attached].forEach((el) => el.parentNode && ix.remove(el));
 
-    // Place the note just above the fragment box
-    const noteX = parseFloat(bounds.getAttribute('x'));
-    const noteY = parseFloat(bounds.getAttribute('y')) - 48; // 48 px above
-    addTextAnnotationForGroup(doc, defs, plane, processEl, fragId, label, noteX, noteY);
+  gone.forEach((id) => {
+    removeAllAssociationsTouchingId(ix, doc, processEl, id);
+    ix.defaults(id).forEach((owner) => ix.set(owner, 'default', null));
+    removeFromLanes(ix, processEl, id);
+    [...ix.shapes(id, doc), ...ix.edges(id, doc)].forEach((di) => ix.remove(di));
   });
-
-  return comps.length;
+  descendantElements(processEl)
+    .filter((el) => (el.localName === 'incoming' || el.localName === 'outgoing') && gone.has(el.textContent.trim()))
+    .forEach((el) => ix.remove(el));
+  return added.length;
 }
 
-// Remove a BPMNShape for a given element (task, annotation, group…)
-function removeDIShapeForElement(plane, elId) {
-  select(`.//bpmndi:BPMNShape[@bpmnElement="${elId}"]`, plane).forEach((n) => {
-    if (n && n.parentNode) n.parentNode.removeChild(n);
-  });
+/**
+ * Id of the fragment with these members: Fragment_ and the first 8 hex digits
+ * of the SHA-256 of the sorted member ids, so it stays the same across reruns
+ * as long as the membership does. An id already in the file (an earlier run
+ * kept without --clear-old) gets a letter: Fragment_1a2b3c4d_b.
+ */
+function fragmentIdFor(ix, memberIds) {
+  const base = `Fragment_${sha256([...memberIds].sort().join(' ')).slice(0, 8)}`;
+  let id = base;
+  for (let k = 1; ix.has(id); k++) id = `${base}_${String.fromCharCode(97 + k)}`;
+  return id;
 }
 
-// Remove a BPMNEdge for a given edge-like element (association, sequenceFlow…)
-function removeDIEdgeForElement(plane, elId) {
-  select(`.//bpmndi:BPMNEdge[@bpmnElement="${elId}"]`, plane).forEach((n) => {
-    if (n && n.parentNode) n.parentNode.removeChild(n);
+/**
+ * Names users gave to fragments an earlier run drew in `processEl`, as
+ * [{ id, members, name }]: the category value (the label modelers show) or
+ * cpl:fragmentName, where it differs from the fragment id.
+ */
+function readFragmentNames(doc, processEl) {
+  const found = new Map();
+  const values = new Map();
+  descendantElements(doc.documentElement, 'bpmn:categoryValue').forEach((cv) => {
+    if (!values.has(cv.getAttribute('id'))) values.set(cv.getAttribute('id'), cv);
+  });
+  const targets = new Map(); // association sourceRef -> targetRefs
+  descendantElements(processEl, 'bpmn:association').forEach((a) => {
+    const src = a.getAttribute('sourceRef');
+    targets.set(src, [...(targets.get(src) || []), a.getAttribute('targetRef')]);
   });
+  descendantElements(processEl, 'bpmn:group').forEach((g) => {
+    const id = g.getAttributeNS(NS.cpl, 'fragmentId');
+    if (!id) return;
+    const entry = found.get(id) || { id, members: new Set(), name: null };
+    const cv = values.get(g.getAttribute('categoryValueRef'));
+    entry.name = entry.name || [cv && cv.getAttribute('value'), g.getAttributeNS(NS.cpl, 'fragmentName')].find((n) => n && n !== id);
+    (targets.get(g.getAttribute('id')) || []).forEach((t) => entry.members.add(t));
+    found.set(id, entry);
+  });
+  return [...found.values()].filter((f) => f.name);
 }
 
-// Count how many associations still reference this element (as source or target)
-function countAssociationsTouching(processEl, elId) {
-  const touching = select(
-    `.//bpmn:association[@sourceRef="${elId}" or @targetRef="${elId}"]`,
-    processEl
-  );
-  return touching.length;
+// Name a new fragment takes over from `names` (readFragmentNames): the one of
+// the same id, else the one sharing more than half of both member lists.
+// Each name is handed out once.
+function inheritedName(names, fragId, memberIds) {
+  const shared = (f) => memberIds.filter((m) => f.members.has(m)).length;
+  const hit =
+    names.find((f) => f.id === fragId) ||
+    names.find((f) => 2 * shared(f) > memberIds.length && 2 * shared(f) > f.members.size);
+  if (!hit) return null;
+  names.splice(names.indexOf(hit), 1);
+  return hit.name;
 }
 
-// If a textAnnotation has no remaining associations, delete it (and its DI)
-function maybeRemoveTextAnnotationIfOrphaned(doc, defs, plane, processEl, taId) {
-  // still referenced?
-  if (countAssociationsTouching(processEl, taId) > 0) return;
+// --- MODEL INDEX ---
+// Masking and fragmenting look elements up by id, flows by their ends,
+// associations by what they connect and DI by the element it draws. Asking
+// XPath for each of these walks the whole document, so a run indexes the
+// document once and makes its changes through the index instead.
 
-  // remove the annotation element itself
-  const ta = select(`.//bpmn:textAnnotation[@id="${taId}"]`, processEl)[0];
-  if (ta && ta.parentNode) ta.parentNode.removeChild(ta);
+// Element children of `el`, only `prefix:localName` ones when `name` is given.
+// Walked by hand: xpath sorts what a step returns into document order by
+// comparing sibling positions, which takes seconds once a process has a few
+// thousand children.
+function childElements(el, name = null) {
+  const is = elementTest(name);
+  const found = [];
+  for (let c = el.firstChild; c; c = c.nextSibling) if (c.nodeType === 1 && is(c)) found.push(c);
+  return found;
+}
 
-  // remove its DI shape
-  removeDIShapeForElement(plane, taId);
+// Elements below `el` in document order, as childElements()
+function descendantElements(el, name = null) {
+  const is = elementTest(name);
+  const found = [];
+  const walk = (n) => {
+    for (let c = n.firstChild; c; c = c.nextSibling) {
+      if (c.nodeType !== 1) continue;
+      if (is(c)) found.push(c);
+      walk(c);
+    }
+  };
+  walk(el);
+  return found;
 }
 
-// Remove a specific association, its DI, and clean up any now-orphaned textAnnotations it connected
-function removeAssociationCascade(doc, defs, plane, processEl, assocNode) {
-  if (!assocNode) return;
-  const assocId = assocNode.getAttribute('id');
+function elementTest(name) {
+  if (!name) return () => true;
+  const [prefix, localName] = name.split(':');
+  return (el) => el.namespaceURI === NS[prefix] && (localName === '*' || el.localName === localName);
+}
 
-  const src = assocNode.getAttribute('sourceRef');
-  const tgt = assocNode.getAttribute('targetRef');
+// Whether `el` is `root` or lies inside it
+function isWithin(el, root) {
+  for (let n = el; n; n = n.parentNode) if (n === root) return true;
+  return false;
+}
 
-  // remove DI for the association edge
-  removeDIEdgeForElement(plane, assocId);
+/**
+ * Index of `doc`: elements by id (the first one in document order), sequence
+ * flows by sourceRef and targetRef, associations by either end, BPMNShape /
+ * BPMNEdge / BPMNPlane by bpmnElement, elements by the flow named in their
+ * `default`, lane flowNodeRefs by the node they list, and the shapes of each
+ * plane with their bounds, on a rectGrid() for finding those near a spot.
+ * insert(), remove(), replace() and set() change the document and the index
+ * together, and moved() re-reads the bounds of a shape changed in place (as
+ * --compact does); other changes made past them leave the index stale.
+ * remove() only unlinks the element from its siblings: xmldom's removeChild
+ * re-lists every remaining child of the parent, which made masking quadratic
+ * in the size of a process or plane. The parents' childNodes catch up in
+ * flush(), once each, which a run calls when it is done; firstChild and
+ * nextSibling, which every lookup here and in xpath walks, are current all
+ * along. Entries are kept in Sets, so filing and unfiling one element does
+ * not scan the others under the same key. Lookups return new arrays, in document order
+ * as long as new flows and DI are appended, which is all the runs do.
+ */
+function modelIndex(doc) {
+  const byId = new Map();
+  const flowsFrom = new Map();
+  const flowsTo = new Map();
+  const associations = new Map();
+  const shapes = new Map();
+  const edges = new Map();
+  const planes = new Map();
+  const defaults = new Map();
+  const laneRefs = new Map();
+  const planeShapes = new Map(); // BPMNPlane -> Map of its BPMNShapes to { id, r, expanded }
+  const grids = new Map(); // BPMNPlane -> rectGrid() of those entries, made by shapesOn()
+  const stale = new Set(); // parents whose childNodes still list what remove() took out
 
-  // remove the association element
-  if (assocNode.parentNode) assocNode.parentNode.removeChild(assocNode);
+  const fileShape = (sh) => {
+    const b = childElements(sh, 'dc:Bounds')[0];
+    const entry = {
+      id: sh.getAttribute('bpmnElement'),
+      r: b ? rectFromBoundsEl(b) : null,
+      expanded: sh.getAttribute('isExpanded') === 'true',
+    };
+    planeShapes.get(sh.parentNode).set(sh, entry);
+    if (grids.has(sh.parentNode)) grids.get(sh.parentNode).add(entry, entry.r);
+  };
+  const unfileShape = (sh) => {
+    const entry = planeShapes.get(sh.parentNode).get(sh);
+    if (grids.has(sh.parentNode)) grids.get(sh.parentNode).remove(entry, entry.r);
+    planeShapes.get(sh.parentNode).delete(sh);
+  };
+  const isPlaneShape = (el) =>
+    el.localName === 'BPMNShape' && planeShapes.has(el.parentNode) && planeShapes.get(el.parentNode).has(el);
 
-  // if either endpoint is a textAnnotation, and now orphaned, remove it (+DI)
-  const srcIsTA = !!select(`.//bpmn:textAnnotation[@id="${src}"]`, processEl)[0];
-  const tgtIsTA = !!select(`.//bpmn:textAnnotation[@id="${tgt}"]`, processEl)[0];
+  // [list map, key] pairs one element is filed under (its children not included)
+  const keys = (el) => {
+    const found = [];
+    const attr = (name) => el.getAttribute(name);
+    if (el.namespaceURI === NS.bpmn) {
+      if (el.localName === 'sequenceFlow') found.push([flowsFrom, attr('sourceRef')], [flowsTo, attr('targetRef')]);
+      if (el.localName === 'association') {
+        found.push([associations, attr('sourceRef')]);
+        if (attr('targetRef') !== attr('sourceRef')) found.push([associations, attr('targetRef')]);
+      }
+      if (el.localName === 'flowNodeRef') found.push([laneRefs, el.textContent.trim()]);
+      if (attr('default')) found.push([defaults, attr('default')]);
+    } else if (el.namespaceURI === NS.bpmndi) {
+      const di = { BPMNShape: shapes, BPMNEdge: edges, BPMNPlane: planes }[el.localName];
+      if (di) found.push([di, attr('bpmnElement')]);
+    }
+    return found.filter(([, k]) => k);
+  };
+  const fileKeys = (el) => {
+    const id = el.getAttribute('id');
+    if (id && !byId.has(id)) byId.set(id, el);
+    keys(el).forEach(([m, k]) => (m.has(k) ? m.get(k).add(el) : m.set(k, new Set([el]))));
+  };
+  const unfileKeys = (el) => {
+    const id = el.getAttribute('id');
+    if (id && byId.get(id) === el) byId.delete(id);
+    keys(el).forEach(([m, k]) => {
+      const set = m.get(k);
+      if (!set) return;
+      set.delete(el);
+      if (!set.size) m.delete(k);
+    });
+  };
+  const file = (el) => {
+    fileKeys(el);
+    if (el.localName === 'BPMNShape' && planeShapes.has(el.parentNode)) fileShape(el);
+    if (el.localName === 'BPMNPlane') planeShapes.set(el, new Map());
+  };
+  const unfile = (el) => {
+    unfileKeys(el);
+    if (isPlaneShape(el)) unfileShape(el);
+    planeShapes.delete(el);
+    grids.delete(el);
+  };
+  const walk = (el, fn) => {
+    fn(el);
+    for (let c = el.firstChild; c; c = c.nextSibling) if (c.nodeType === 1) walk(c, fn);
+  };
+  walk(doc.documentElement, file);
+
+  const detach = (el) => {
+    const parent = el.parentNode;
+    if (!parent) return;
+    const { previousSibling: prev, nextSibling: next } = el;
+    if (prev) prev.nextSibling = next;
+    else parent.firstChild = next;
+    if (next) next.previousSibling = prev;
+    else parent.lastChild = prev;
+    el.parentNode = el.previousSibling = el.nextSibling = null;
+    stale.add(parent);
+  };
 
-  if (srcIsTA) maybeRemoveTextAnnotationIfOrphaned(doc, defs, plane, processEl, src);
-  if (tgtIsTA) maybeRemoveTextAnnotationIfOrphaned(doc, defs, plane, processEl, tgt);
+  const list = (set) => (set ? [...set] : []);
+  const within = (set, root) => list(set).filter((el) => isWithin(el, root));
+  return {
+    get: (id) => byId.get(id) || null,
+    has: (id) => byId.has(id),
+    // the element with this id when it is a direct child of `parent`
+    child: (parent, id) => {
+      const el = byId.get(id);
+      return el && el.parentNode === parent ? el : null;
+    },
+    // localName of the BPMN element with this id
+    type: (id) => {
+      const el = byId.get(id);
+      return el && el.namespaceURI === NS.bpmn ? el.localName : undefined;
+    },
+    flowsFrom: (id) => list(flowsFrom.get(id)),
+    flowsTo: (id) => list(flowsTo.get(id)),
+    associations: (id, root) => within(associations.get(id), root),
+    shapes: (id, root) => within(shapes.get(id), root),
+    edges: (id, root) => within(edges.get(id), root),
+    planes: (id) => list(planes.get(id)),
+    defaults: (flowId) => list(defaults.get(flowId)),
+    laneRefs: (id, root) => within(laneRefs.get(id), root),
+    /**
+     * Shapes of `plane` as { id, r, expanded } (bpmnElement, bounds or null,
+     * isExpanded) in document order: all of them, or with `area` only those
+     * in the grid cells it touches, which includes every shape overlapping it.
+     */
+    shapesOn(plane, area = null) {
+      const all = planeShapes.get(plane) || new Map();
+      if (!area) return [...all.values()];
+      if (!grids.has(plane)) {
+        grids.set(plane, rectGrid());
+        all.forEach((entry) => grids.get(plane).add(entry, entry.r));
+      }
+      return grids.get(plane).near(area);
+    },
+    insert(parent, el, before = null) {
+      // xmldom's insertBefore re-lists every child of `parent`, appendChild does not
+      if (before) parent.insertBefore(el, before);
+      else parent.appendChild(el);
+      walk(el, file);
+      return el;
+    },
+    remove(el) {
+      walk(el, unfile);
+      detach(el);
+    },
+    // re-list the children of every parent remove() took elements from
+    flush() {
+      stale.forEach((parent) => {
+        // xmldom re-lists them from firstChild when a child goes, so an empty text node is added and removed
+        const mark = parent.appendChild(doc.createTextNode(''));
+        parent.removeChild(mark);
+      });
+      stale.clear();
+    },
+    replace(el, by) {
+      walk(el, unfile);
+      el.parentNode.replaceChild(by, el);
+      walk(by, file);
+    },
+    // set an attribute (null removes it) of an element already in the index
+    set(el, name, value) {
+      unfileKeys(el);
+      if (value == null) el.removeAttribute(name);
+      else el.setAttribute(name, value);
+      fileKeys(el);
+      // a shape keeps its place on the grid: only its bounds decide that
+      if (isPlaneShape(el)) {
+        const entry = planeShapes.get(el.parentNode).get(el);
+        entry.id = el.getAttribute('bpmnElement');
+        entry.expanded = el.getAttribute('isExpanded') === 'true';
+      }
+    },
+    // the dc:Bounds of `shape` were changed in place
+    moved(shape) {
+      if (!isPlaneShape(shape)) return;
+      const entry = planeShapes.get(shape.parentNode).get(shape);
+      const b = childElements(shape, 'dc:Bounds')[0];
+      const r = b ? rectFromBoundsEl(b) : null;
+      if (grids.has(shape.parentNode)) grids.get(shape.parentNode).move(entry, entry.r, r);
+      entry.r = r;
+    },
+  };
 }
 
-// Remove all associations touching a given element id (task id, flow id, group id…)
-function removeAllAssociationsTouchingId(doc, defs, plane, processEl, elId) {
-  // We must collect into an array first (live NodeList safety)
-  const touching = select(
-    `.//bpmn:association[@sourceRef="${elId}" or @targetRef="${elId}"]`,
-    processEl
-  ).slice();
+// --- CLUSTERING (fragment mode) ---
 
-  touching.forEach((a) => removeAssociationCascade(doc, defs, plane, processEl, a));
+/**
+ * Undirected coupling graph over the units of one scope. Every flow with a
+ * numeric cpl:coupling between two units becomes an edge; parallel flows
+ * (A->B and B->A) keep the stronger value. Edges stay in document order.
+ */
+function couplingGraph(tasks, flows) {
+  const idToIdx = new Map(tasks.map((t, i) => [t.getAttribute('id'), i]));
+  const byPair = new Map();
+  flows.forEach((f) => {
+    const w = cplNumber(f, 'coupling');
+    if (!Number.isFinite(w)) return;
+    const a = idToIdx.get(f.getAttribute('sourceRef'));
+    const b = idToIdx.get(f.getAttribute('targetRef'));
+    if (a === undefined || b === undefined || a === b) return;
+    const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+    const e = byPair.get(key);
+    if (!e) byPair.set(key, { a: Math.min(a, b), b: Math.max(a, b), w });
+    else e.w = Math.max(e.w, w);
+  });
+  return { n: tasks.length, idToIdx, edges: [...byPair.values()] };
 }
 
-function existingFlow(processEl, src, tgt) {
-  return select(`./bpmn:sequenceFlow[@sourceRef="${src}" and @targetRef="${tgt}"]`, processEl)[0];
+/**
+ * What each unit reads (dataInputAssociation sources) and writes
+ * (dataOutputAssociation targets), including the associations of activities
+ * inside a sub-process unit. References are resolved to the dataObject /
+ * dataStore they point at, so two references to one object are the same data.
+ */
+function dataAccessSets(ix, tasks) {
+  const dataOf = (refId) => {
+    const ref = ix.get(refId);
+    if (!ref) return null;
+    return ref.getAttribute('dataObjectRef') || ref.getAttribute('dataStoreRef') || refId;
+  };
+  return tasks.map((t) => {
+    const set = new Set();
+    select('.//bpmn:dataInputAssociation/bpmn:sourceRef|.//bpmn:dataOutputAssociation/bpmn:targetRef', t).forEach((r) => {
+      const data = dataOf(r.textContent.trim());
+      if (data) set.add(data);
+    });
+    return set;
+  });
 }
 
-function collectBoundaryNeighbors(mid, flowsBySource, flowsByTarget, maskedSet) {
-  // BFS to unmasked predecessors (via masked-only)
-  const preds = new Set();
-  const qUp = [mid];
-  const seenUp = new Set([mid]);
-  while (qUp.length) {
-    const cur = qUp.shift();
-    const incoming = flowsByTarget.get(cur) || [];
-    incoming.forEach((f) => {
-      const s = f.getAttribute('sourceRef');
-      if (maskedSet.has(s)) {
-        if (!seenUp.has(s)) { seenUp.add(s); qUp.push(s); }
-      } else {
-        preds.add(s);
-      }
-    });
+// Jaccard similarity |A∩B| / |A∪B| of the data sets, for every pair of units sharing data
+function dataCouplingEdges(sets) {
+  const edges = [];
+  for (let a = 0; a < sets.length; a++) {
+    for (let b = a + 1; b < sets.length; b++) {
+      const shared = [...sets[a]].filter((d) => sets[b].has(d)).length;
+      if (!shared) continue;
+      edges.push({ a, b, w: round3(shared / (sets[a].size + sets[b].size - shared)) });
+    }
   }
+  return edges;
+}
 
-  // BFS to unmasked successors (via masked-only)
-  const succs = new Set();
-  const qDown = [mid];
-  const seenDown = new Set([mid]);
-  while (qDown.length) {
-    const cur = qDown.shift();
-    const outgoing = flowsBySource.get(cur) || [];
-    outgoing.forEach((f) => {
-      const t = f.getAttribute('targetRef');
-      if (maskedSet.has(t)) {
-        if (!seenDown.has(t)) { seenDown.add(t); qDown.push(t); }
+/**
+ * Coupling graph with data coupling mixed in. Where a pair has both a flow
+ * coupling and a data coupling the edge weight is
+ * (1 - dataWeight) * flow + dataWeight * data; where it has only one, that
+ * one. Edges keep both parts (`flow`, `data`) for the report and write-back.
+ */
+function combineCoupling(graph, dataEdges, dataWeight) {
+  const byPair = new Map(graph.edges.map((e) => [`${e.a}|${e.b}`, { a: e.a, b: e.b, flow: e.w, data: null, w: e.w }]));
+  dataEdges.forEach((d) => {
+    const e = byPair.get(`${d.a}|${d.b}`);
+    if (!e) byPair.set(`${d.a}|${d.b}`, { a: d.a, b: d.b, flow: null, data: d.w, w: d.w });
+    else {
+      e.data = d.w;
+      e.w = round3((1 - dataWeight) * e.flow + dataWeight * d.w);
+    }
+  });
+  return { ...graph, edges: [...byPair.values()] };
+}
+
+/**
+ * Write inferred coupling back for review: flows between two units that have
+ * no cpl:coupling (or one inferred before) get the inferred value, marked
+ * cpl:inferred="true"; pairs without a flow between them are listed on both
+ * units as cpl:dataCoupling="Task_B=0.5 Task_C=0.333". Deleting the mark
+ * keeps a value for good (--mode=clear removes marked ones). Returns the
+ * number of values written.
+ */
+function writeInferredCoupling(ix, processEl, tasks, graph) {
+  const listed = tasks.map(() => []);
+  const between = (from, to) =>
+    ix.flowsFrom(from).filter((f) => f.parentNode === processEl && f.getAttribute('targetRef') === to);
+  let written = 0;
+  graph.edges
+    .filter((e) => e.data != null)
+    .forEach((e) => {
+      const [ida, idb] = [tasks[e.a].getAttribute('id'), tasks[e.b].getAttribute('id')];
+      const flows = [...between(ida, idb), ...between(idb, ida)];
+      if (flows.length) {
+        flows
+          .filter((f) => !Number.isFinite(cplNumber(f, 'coupling')) || f.getAttributeNS(NS.cpl, 'inferred') === 'true')
+          .forEach((f) => {
+            f.setAttributeNS(NS.cpl, 'cpl:coupling', String(e.w));
+            f.setAttributeNS(NS.cpl, 'cpl:inferred', 'true');
+            written++;
+          });
       } else {
-        succs.add(t);
+        listed[e.a].push(`${idb}=${e.w}`);
+        listed[e.b].push(`${ida}=${e.w}`);
+        written++;
       }
     });
-  }
+  tasks.forEach((t, i) => {
+    if (listed[i].length) t.setAttributeNS(NS.cpl, 'cpl:dataCoupling', listed[i].join(' '));
+    else t.removeAttributeNS(NS.cpl, 'dataCoupling');
+  });
+  return written;
+}
 
-  return { preds: [...preds], succs: [...succs] };
+/**
+ * must-link / cannot-link constraints declared on units as space-separated id
+ * lists: cpl:mustLink="Task_B Task_C" cpl:cannotLink="Task_D". Both are
+ * symmetric; ids outside the current scope are ignored.
+ */
+function readLinkConstraints(tasks, idToIdx) {
+  const must = [];
+  const cannot = new Set();
+  const ids = (el, name) =>
+    (el.getAttribute(`cpl:${name}`) || el.getAttributeNS(NS.cpl, name) || '')
+      .split(/[\s,]+/)
+      .filter((id) => idToIdx.has(id))
+      .map((id) => idToIdx.get(id));
+  tasks.forEach((t, i) => {
+    ids(t, 'mustLink').forEach((j) => must.push([i, j]));
+    ids(t, 'cannotLink').forEach((j) => {
+      cannot.add(`${i}|${j}`);
+      cannot.add(`${j}|${i}`);
+    });
+  });
+  return { must, cannot };
 }
 
-// --- MASK (unchanged from v3) ---
-function maskByPrivacy(doc, defs, processEl, privacyThreshold, privacyDir = 'above') {
-  const plane = ensurePlane(defs, processEl, doc);
-  const tasks = getTaskList(processEl);
-  const byId = new Map(tasks.map((t) => [t.getAttribute('id'), t]));
+/**
+ * Privacy band of a value for the given cut points, e.g. cuts [0.3, 0.7] give
+ * bands 0 = [0,0.3), 1 = [0.3,0.7), 2 = [0.7,1]. null when p is not a number.
+ */
+function privacyBand(p, cuts) {
+  if (!Number.isFinite(p)) return null;
+  return cuts.filter((c) => p >= c).length;
+}
 
-    // Decide which tasks to mask based on direction
-  const shouldMask = (p) =>
-    Number.isFinite(p)
-      ? (privacyDir === 'above' ? p >= privacyThreshold : p < privacyThreshold)
-      : false; // skip tasks without a numeric privacy value
+function privacyBandLabel(band, cuts) {
+  const lo = band === 0 ? 0 : cuts[band - 1];
+  const hi = band === cuts.length ? 1 : cuts[band];
+  return band === cuts.length ? `[${lo},${hi}]` : `[${lo},${hi})`;
+}
 
-  const maskedIds = [];
+/**
+ * Mutable partition shared by every strategy. It starts from the must-link
+ * blocks and only ever merges clusters when neither cannot-link, maxSize nor
+ * the privacy bands (limits.bandOf, one band per unit or null) forbid it.
+ */
+function clusterPartition(tasks, graph, limits) {
+  const { must, cannot } = readLinkConstraints(tasks, graph.idToIdx);
+  const uf = unionFind(graph.n);
+  must.forEach(([a, b]) => uf.unite(a, b));
+  const blocks = uf.groups();
 
-  tasks.forEach((t) => {
-    const pStr = t.getAttribute('cpl:privacy') || t.getAttributeNS(NS.cpl, 'privacy');
-    const p = pStr == null ? NaN : parseFloat(pStr);
-    if (shouldMask(p)) maskedIds.push(t.getAttribute('id'));
+  // units without a privacy value fit into any band
+  const bandOf = limits.bandOf || [];
+  const bands = (xs) => new Set(xs.map((x) => bandOf[x]).filter((b) => b != null));
+  const mixesBands = (xs, ys) => bands(xs.concat(ys)).size > 1;
+  const conflicts = (xs, ys) => mixesBands(xs, ys) || xs.some((x) => ys.some((y) => cannot.has(`${x}|${y}`)));
+  const name = (i) => tasks[i].getAttribute('id');
+  blocks.forEach((b) => {
+    if (mixesBands(b, [])) {
+      throw new ConstraintError(`must-link set spans several privacy bands: ${b.map(name).join(', ')}`);
+    }
+    if (conflicts(b, b)) {
+      throw new ConstraintError(`must-link and cannot-link constraints contradict each other: ${b.map(name).join(', ')}`);
+    }
+    if (limits.maxSize && b.length > limits.maxSize) {
+      throw new ConstraintError(`must-link set is larger than --max-fragment-size=${limits.maxSize}: ${b.map(name).join(', ')}`);
+    }
   });
-  if (maskedIds.length === 0) return 0;
 
-  const allFlows = select('./bpmn:sequenceFlow', processEl);
-  const flowsBySource = new Map();
-  const flowsByTarget = new Map();
-  allFlows.forEach((f) => {
-    const s = f.getAttribute('sourceRef');
-    const t = f.getAttribute('targetRef');
-    if (!flowsBySource.has(s)) flowsBySource.set(s, []);
-    if (!flowsByTarget.has(t)) flowsByTarget.set(t, []);
-    flowsBySource.get(s).push(f);
-    flowsByTarget.get(t).push(f);
+  const members = new Map(blocks.map((b, i) => [i, b.slice()]));
+  const clusterOf = new Array(graph.n);
+  blocks.forEach((b, i) => b.forEach((x) => (clusterOf[x] = i)));
+
+  return {
+    members,
+    clusterOf,
+    blocks,
+    // may these two sets of units end up in one fragment?
+    fits(xs, ys) {
+      if (limits.maxSize && xs.length + ys.length > limits.maxSize) return false;
+      return !conflicts(xs, ys);
+    },
+    canMerge(ca, cb) {
+      return ca !== cb && this.fits(members.get(ca), members.get(cb));
+    },
+    merge(ca, cb) {
+      const B = members.get(cb);
+      B.forEach((x) => (clusterOf[x] = ca));
+      members.get(ca).push(...B);
+      members.delete(cb);
+    },
+    // clusters ordered by their first member, members ascending (same order as unionFind().groups())
+    groups() {
+      return [...members.values()].map((m) => m.slice().sort((x, y) => x - y)).sort((x, y) => x[0] - y[0]);
+    },
+  };
+}
+
+// Connected components over edges >= threshold, strongest edges first (Kruskal),
+// so size limits and cannot-link cut a chain at its weakest links.
+function clusterComponents(part, graph, threshold) {
+  graph.edges
+    .filter((e) => e.w >= threshold)
+    .map((e, i) => ({ e, i }))
+    .sort((x, y) => y.e.w - x.e.w || x.i - y.i)
+    .forEach(({ e }) => {
+      const ca = part.clusterOf[e.a];
+      const cb = part.clusterOf[e.b];
+      if (part.canMerge(ca, cb)) part.merge(Math.min(ca, cb), Math.max(ca, cb));
+    });
+}
+
+/**
+ * Hierarchical agglomerative clustering, average linkage: repeatedly merge
+ * the two clusters whose connecting flows have the highest mean coupling,
+ * until the best mean drops below the threshold. Weak flows therefore pull
+ * the linkage down instead of being ignored.
+ */
+function clusterAgglomerative(part, graph, threshold) {
+  const pairKey = (x, y) => (x < y ? `${x}|${y}` : `${y}|${x}`);
+  const links = new Map(); // "ca|cb" -> { sum, count }
+  graph.edges.forEach((e) => {
+    const ca = part.clusterOf[e.a];
+    const cb = part.clusterOf[e.b];
+    if (ca === cb) return;
+    const k = pairKey(ca, cb);
+    const l = links.get(k) || { a: Math.min(ca, cb), b: Math.max(ca, cb), sum: 0, count: 0 };
+    l.sum += e.w;
+    l.count += 1;
+    links.set(k, l);
   });
 
-  let counter = 0;
-  const removedFlowIds = new Set();
-  const autoFlowPairs = new Set(); // dedupe src->tgt
+  for (;;) {
+    let best = null;
+    links.forEach((l) => {
+      const avg = l.sum / l.count;
+      if (avg < threshold || !part.canMerge(l.a, l.b)) return;
+      if (!best || avg > best.avg || (avg === best.avg && (l.a < best.a || (l.a === best.a && l.b < best.b)))) {
+        best = { a: l.a, b: l.b, avg };
+      }
+    });
+    if (!best) return;
 
-  maskedIds.forEach((mid) => {
-    const incoming = (flowsByTarget.get(mid) || []).slice();
-    const outgoing = (flowsBySource.get(mid) || []).slice();
+    part.merge(best.a, best.b);
+    links.delete(pairKey(best.a, best.b));
+    // fold every link of b into a
+    [...links.entries()].forEach(([k, l]) => {
+      if (l.a !== best.b && l.b !== best.b) return;
+      links.delete(k);
+      const other = l.a === best.b ? l.b : l.a;
+      const nk = pairKey(best.a, other);
+      const into = links.get(nk) || { a: Math.min(best.a, other), b: Math.max(best.a, other), sum: 0, count: 0 };
+      into.sum += l.sum;
+      into.count += l.count;
+      links.set(nk, into);
+    });
+  }
+}
+
+/**
+ * Louvain modularity optimisation over flows >= threshold: local moving of
+ * nodes to the neighbouring community with the best modularity gain, then
+ * aggregation of communities into nodes, until nothing moves. Nodes are
+ * visited in document order so results are deterministic. `resolution` > 1
+ * favours smaller fragments.
+ */
+function clusterLouvain(part, graph, threshold, { resolution = 1 } = {}) {
+  // level-0 nodes are the current clusters (must-link blocks)
+  let nodeClusters = [...part.members.keys()];
+  let adj = new Map(nodeClusters.map((c) => [c, new Map()]));
+  graph.edges.forEach((e) => {
+    if (e.w < threshold) return;
+    const ca = part.clusterOf[e.a];
+    const cb = part.clusterOf[e.b];
+    const add = (x, y, w) => adj.get(x).set(y, (adj.get(x).get(y) || 0) + w);
+    if (ca === cb) add(ca, ca, 2 * e.w);
+    else {
+      add(ca, cb, e.w);
+      add(cb, ca, e.w);
+    }
+  });
 
-    const maskedSet = new Set(maskedIds);
+  const degree = (x) => [...adj.get(x).values()].reduce((s, w) => s + w, 0);
+  const m2 = nodeClusters.reduce((s, x) => s + degree(x), 0); // 2m
+  if (m2 === 0) return;
 
-    // ---- MULTI-HOP BYPASS BEFORE REMOVALS ----
-    maskedIds.forEach((mid) => {
-      const { preds, succs } = collectBoundaryNeighbors(mid, flowsBySource, flowsByTarget, maskedSet);
-
-      preds.forEach((src) => {
-        succs.forEach((tgt) => {
-          if (src === tgt) return;                              // avoid self-loops
-          const pairKey = `${src}→${tgt}`;
-          if (autoFlowPairs.has(pairKey)) return;               // dedupe within this run
-          if (existingFlow(processEl, src, tgt)) return;        // don't duplicate existing model edges
-          autoFlowPairs.add(pairKey);
-
-          const newId = `AutoFlow_${++counter}`;
-          const nf = doc.createElementNS(NS.bpmn, 'bpmn:sequenceFlow');
-          nf.setAttribute('id', newId);
-          nf.setAttribute('sourceRef', src);
-          nf.setAttribute('targetRef', tgt);
-          processEl.appendChild(nf);
-
-          // Optional DI if both shapes exist
-          const srcShape = select(`.//bpmndi:BPMNShape[@bpmnElement="${src}"]/dc:Bounds`, plane)[0];
-          const tgtShape = select(`.//bpmndi:BPMNShape[@bpmnElement="${tgt}"]/dc:Bounds`, plane)[0];
-          if (srcShape && tgtShape) {
-            const e = doc.createElementNS(NS.bpmndi, 'bpmndi:BPMNEdge');
-            e.setAttribute('id', `${newId}_di`);
-            e.setAttribute('bpmnElement', newId);
-
-            const sx = parseFloat(srcShape.getAttribute('x')) + parseFloat(srcShape.getAttribute('width'));
-            const sy = parseFloat(srcShape.getAttribute('y')) + parseFloat(srcShape.getAttribute('height')) / 2;
-            const tx = parseFloat(tgtShape.getAttribute('x'));
-            const ty = parseFloat(tgtShape.getAttribute('y')) + parseFloat(tgtShape.getAttribute('height')) / 2;
-
-            const w1 = doc.createElementNS(NS.di, 'di:waypoint'); w1.setAttribute('x', String(sx)); w1.setAttribute('y', String(sy));
-            const w2 = doc.createElementNS(NS.di, 'di:waypoint'); w2.setAttribute('x', String(tx)); w2.setAttribute('y', String(ty));
-            e.appendChild(w1); e.appendChild(w2);
-            plane.appendChild(e);
-          }
+  for (;;) {
+    // community of each node = the cluster it currently belongs to (nodes start alone)
+    const community = new Map(nodeClusters.map((x) => [x, x]));
+    const tot = new Map(nodeClusters.map((x) => [x, degree(x)]));
+    const nodesIn = new Map(nodeClusters.map((x) => [x, [x]]));
+    let movedAny = false;
+
+    for (let improved = true; improved; ) {
+      improved = false;
+      nodeClusters.forEach((x) => {
+        const from = community.get(x);
+        const kx = degree(x);
+        const weightsTo = new Map();
+        adj.get(x).forEach((w, y) => {
+          if (y === x) return;
+          const c = community.get(y);
+          weightsTo.set(c, (weightsTo.get(c) || 0) + w);
         });
-      });
-    });
 
-    // ---- THEN proceed to remove touching flows and masked nodes (your existing safe code) ----
-    // (keep your removeAllAssociationsTouchingId, removeDIEdgeForElement, removeDIShapeForElement, etc.)
+        // take x out of its community before comparing
+        tot.set(from, tot.get(from) - kx);
+        nodesIn.set(from, nodesIn.get(from).filter((y) => y !== x));
 
+        const gain = (c) => (weightsTo.get(c) || 0) - (resolution * tot.get(c) * kx) / m2;
+        const fits = (c) =>
+          part.fits(
+            part.members.get(x),
+            nodesIn.get(c).flatMap((y) => part.members.get(y))
+          );
 
+        let best = from;
+        let bestGain = gain(from);
+        [...weightsTo.keys()].sort((a, b) => a - b).forEach((c) => {
+          if (c === from || !fits(c)) return;
+          const g = gain(c);
+          if (g > bestGain + 1e-12) {
+            best = c;
+            bestGain = g;
+          }
+        });
 
-    // Remove all flows touching the masked task (safely, once)
-    const toRemove = incoming.concat(outgoing);
-    toRemove.forEach((f) => {
-      if (!f) return;
-      const fid = f.getAttribute('id');
-      if (!fid || removedFlowIds.has(fid)) return;
+        community.set(x, best);
+        tot.set(best, tot.get(best) + kx);
+        nodesIn.get(best).push(x);
+        if (best !== from) {
+          improved = true;
+          movedAny = true;
+        }
+      });
+    }
+    if (!movedAny) return;
 
-      // 2a) remove any associations linked to this flow (e.g., coupling annotations)
-      removeAllAssociationsTouchingId(doc, defs, plane, processEl, fid);
+    // aggregate: merge the clusters of each community, then rebuild the graph on them
+    const byCommunity = new Map();
+    nodeClusters.forEach((x) => {
+      const c = community.get(x);
+      if (!byCommunity.has(c)) byCommunity.set(c, []);
+      byCommunity.get(c).push(x);
+    });
+    const rep = new Map();
+    byCommunity.forEach((xs) => {
+      const keep = Math.min(...xs);
+      xs.filter((x) => x !== keep).forEach((x) => part.merge(keep, x));
+      xs.forEach((x) => rep.set(x, keep));
+    });
 
-      // 2b) remove the flow's DI + element
-      removeDIEdgeForElement(plane, fid);
-      if (f.parentNode) f.parentNode.removeChild(f);
-      removedFlowIds.add(fid);
+    const next = new Map([...new Set(rep.values())].map((c) => [c, new Map()]));
+    adj.forEach((ws, x) => {
+      ws.forEach((w, y) => {
+        const rx = rep.get(x);
+        const ry = rep.get(y);
+        next.get(rx).set(ry, (next.get(rx).get(ry) || 0) + w);
+      });
     });
+    adj = next;
+    nodeClusters = [...next.keys()].sort((a, b) => a - b);
+  }
+}
+
+/**
+ * Fold fragments smaller than minSize into the neighbouring fragment they are
+ * most strongly coupled to (any coupling counts here, the size limit wins over
+ * the threshold). Fragments that cannot be folded stay small and are dropped
+ * by the caller.
+ */
+function enforceMinSize(part, graph, minSize) {
+  for (let changed = true; changed; ) {
+    changed = false;
+    for (const g of part.groups()) {
+      if (g.length >= minSize) continue;
+      const cg = part.clusterOf[g[0]];
+      const weights = new Map();
+      graph.edges.forEach((e) => {
+        const ca = part.clusterOf[e.a];
+        const cb = part.clusterOf[e.b];
+        if (ca === cb || (ca !== cg && cb !== cg)) return;
+        const other = ca === cg ? cb : ca;
+        weights.set(other, (weights.get(other) || 0) + e.w);
+      });
+      const target = [...weights.entries()]
+        .filter(([c]) => part.canMerge(cg, c))
+        .sort((x, y) => y[1] - x[1] || x[0] - y[0])[0];
+      if (!target) continue;
+      part.merge(Math.min(cg, target[0]), Math.max(cg, target[0]));
+      changed = true;
+      break;
+    }
+  }
+}
 
-    // 3) Remove the masked task's own associations + any orphaned annotations
-    removeAllAssociationsTouchingId(doc, defs, plane, processEl, mid);
+const round3 = (v) => Math.round(v * 1000) / 1000;
 
-    // 4) Remove the masked task node + its DI
-    const node = byId.get(mid);
-    if (node && node.parentNode) node.parentNode.removeChild(node);
-    removeDIShapeForElement(plane, mid);
+/**
+ * Quality figures of a partition of one scope's coupling graph. Every numeric
+ * cpl:coupling counts here, whatever the threshold:
+ * - per group: internal edge count, mean/min internal coupling, coupling to
+ *   units of other groups, privacy min/max/mean;
+ * - per scope: total weight, cut weight and the internal weight/degree of each
+ *   group, from which modularity is computed (see finishReport).
+ */
+function fragmentStats(graph, groups, privacyOf) {
+  const groupOf = new Array(graph.n);
+  groups.forEach((g, gi) => g.forEach((i) => (groupOf[i] = gi)));
+  const perGroup = groups.map(() => ({ internal: [], cross: 0, degree: 0 }));
+  let totalWeight = 0;
+  let cutWeight = 0;
+  graph.edges.forEach((e) => {
+    const ga = groupOf[e.a];
+    const gb = groupOf[e.b];
+    totalWeight += e.w;
+    perGroup[ga].degree += e.w;
+    perGroup[gb].degree += e.w;
+    if (ga === gb) perGroup[ga].internal.push(e.w);
+    else {
+      cutWeight += e.w;
+      perGroup[ga].cross += e.w;
+      perGroup[gb].cross += e.w;
+    }
   });
 
-  return maskedIds.length;
+  const stats = groups.map((g, gi) => {
+    const { internal, cross, degree } = perGroup[gi];
+    const privacies = g.map((i) => privacyOf[i]).filter(Number.isFinite);
+    return {
+      size: g.length,
+      internalEdges: internal.length,
+      avgCoupling: internal.length ? round3(internal.reduce((s, w) => s + w, 0) / internal.length) : null,
+      minCoupling: internal.length ? Math.min(...internal) : null,
+      crossCoupling: round3(cross),
+      privacyMin: privacies.length ? Math.min(...privacies) : null,
+      privacyMax: privacies.length ? Math.max(...privacies) : null,
+      privacyMean: privacies.length ? round3(privacies.reduce((s, p) => s + p, 0) / privacies.length) : null,
+      internalWeight: internal.reduce((s, w) => s + w, 0),
+      degree,
+    };
+  });
+  return { stats, totalWeight, cutWeight };
 }
 
-(function main() {
-  const { input, output, mode, threshold, privacy, privacyDir, includeSingletons, clearOld } = parseArgs();
-  const xml = fs.readFileSync(input, 'utf8');
-  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+const CLUSTERING_ALGORITHMS = {
+  components: clusterComponents,
+  agglomerative: clusterAgglomerative,
+  louvain: clusterLouvain,
+};
 
-  const defs = select('/bpmn:definitions', doc)[0];
-  const processEl = select('//bpmn:process[1]', doc)[0];
-  if (!processEl) throw new Error('No bpmn:process found');
+// --- FRAGMENT LAYOUT ---
+// A fragment's group box may only hold its own members: a box that would
+// cover other activities or an earlier box is split into several groups
+// sharing one categoryValue (events, gateways and data in between are fine).
+// Notes go to the first free spot around the box.
 
-  if (clearOld) clearOldFragments(doc, processEl, defs);
+const GROUP_PADDING = [24, 12, 4]; // tried in turn until the box stays clear
+const NOTE_WIDTH = 160;
+const NOTE_GAP = 8; // between a box and its note
+const NOTE_STEP = 40; // notes that find no free spot move out by this much per try
+const NOTE_RINGS = 10;
+// stroke colours for --color-fragments (bpmn.io's color picker palette, then a few more)
+const FRAGMENT_COLORS = ['#1e88e5', '#fb8c00', '#43a047', '#e53935', '#8e24aa', '#00897b', '#6d4c41', '#3949ab'];
 
-  let count = 0;
-  if (mode === 'mask') {
-    count = maskByPrivacy(doc, defs, processEl, privacy, privacyDir);
-    console.log(`Masked ${count} task(s)`);
-  } else {
-    count = fragmentByCoupling(doc, defs, processEl, threshold, includeSingletons);
-    console.log(`Fragmented into ${count} group(s)`);
-  }
+const rectsOverlap = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+const padRect = (r, p) => ({ x: r.x - p, y: r.y - p, w: r.w + 2 * p, h: r.h + 2 * p });
 
-  fs.writeFileSync(output, new XMLSerializer().serializeToString(doc), 'utf8');
-  console.log(`Wrote ${output}`);
-})();
+const GRID_CELL = 500; // side of the cells rectGrid() files rects under
+
+/**
+ * Items filed by their rect under square cells, so that finding those near a
+ * spot does not look at all of them. near(area) gives, in the order they were
+ * added, at least every item whose rect overlaps `area`; callers still test
+ * the overlap themselves. Items without finite bounds are never near.
+ */
+function rectGrid() {
+  const cells = new Map();
+  const order = new Map(); // item -> when it was added
+  let added = 0;
+  const keys = (r) => {
+    if (!r || ![r.x, r.y, r.w, r.h].every(Number.isFinite)) return [];
+    const found = [];
+    for (let i = Math.floor(r.x / GRID_CELL); i <= Math.floor((r.x + r.w) / GRID_CELL); i++) {
+      for (let j = Math.floor(r.y / GRID_CELL); j <= Math.floor((r.y + r.h) / GRID_CELL); j++) found.push(`${i},${j}`);
+    }
+    return found;
+  };
+  return {
+    add(item, r) {
+      order.set(item, added++);
+      keys(r).forEach((k) => (cells.has(k) ? cells.get(k).add(item) : cells.set(k, new Set([item]))));
+    },
+    remove(item, r) {
+      order.delete(item);
+      keys(r).forEach((k) => cells.has(k) && cells.get(k).delete(item));
+    },
+    // file `item` under its new rect, keeping its place in the order
+    move(item, from, to) {
+      keys(from).forEach((k) => cells.has(k) && cells.get(k).delete(item));
+      keys(to).forEach((k) => (cells.has(k) ? cells.get(k).add(item) : cells.set(k, new Set([item]))));
+    },
+    near(area) {
+      const found = new Set();
+      keys(area).forEach((k) => (cells.get(k) || []).forEach((item) => found.add(item)));
+      return [...found].sort((a, b) => order.get(a) - order.get(b));
+    },
+  };
+}
+
+function unionRect(rects) {
+  const x = Math.min(...rects.map((r) => r.x));
+  const y = Math.min(...rects.map((r) => r.y));
+  return { x, y, w: Math.max(...rects.map((r) => r.x + r.w)) - x, h: Math.max(...rects.map((r) => r.y + r.h)) - y };
+}
+
+/**
+ * What fragment boxes and notes of `scopeEl` have to keep clear of on
+ * `plane`, read from the index so that each scope only looks at the shapes
+ * around it. near(area) gives those in the grid cells `area` touches:
+ * `shapes` are the drawn flow nodes, data and the like ({ id, r, activity });
+ * pools, lanes and the sub-processes enclosing the scope are left out, other
+ * expanded sub-processes count as one shape. `boxes` are fragment groups,
+ * `notes` text annotations. `frame` is the innermost drawn shape around the
+ * scope (its sub-process or pool), or null.
+ */
+function layoutObstacles(ix, plane, scopeEl) {
+  const doc = plane.ownerDocument;
+  const chain = [];
+  for (let el = scopeEl; el && el.nodeType === 1; el = el.parentNode) chain.push(el.getAttribute('id'));
+  const participant = participantOf(doc, rootProcessOf(scopeEl));
+  if (participant) chain.push(participant.getAttribute('id'));
+  const enclosing = new Set(chain);
+
+  const rectOn = (id) => {
+    const shape = ix.type(id) && ix.shapes(id, plane).find((sh) => sh.parentNode === plane);
+    const b = shape && childElements(shape, 'dc:Bounds')[0];
+    return b ? rectFromBoundsEl(b) : null;
+  };
+  const frameId = chain.find((id) => id && rectOn(id));
+  const near = (area) => {
+    const found = { shapes: [], boxes: [], notes: [] };
+    ix.shapesOn(plane, area).forEach(({ id, r }) => {
+      const type = ix.type(id);
+      if (!r || !type || enclosing.has(id) || type === 'participant' || type === 'lane') return;
+      if (type === 'textAnnotation') found.notes.push(r);
+      else if (type === 'group') {
+        if (ix.get(id).getAttributeNS(NS.cpl, 'fragmentId')) found.boxes.push(r);
+      } else found.shapes.push({ id, r, activity: ACTIVITY_TYPES.includes(type) });
+    });
+    return found;
+  };
+  return { near, frame: frameId ? rectOn(frameId) : null };
+}
+
+/**
+ * Group boxes for one fragment, as [{ members, r }] with member indexes into
+ * `rects`. The padded box around all members is used when it overlaps
+ * nothing in `blocked`; otherwise members are merged pairwise, smallest
+ * resulting box first, as long as the merged box stays clear of `blocked`
+ * and of the members of the other pieces. Members that overlap a blocked
+ * shape themselves end up in a piece with `crowded` set.
+ */
+function fragmentBoxes(rects, blocked) {
+  const clearBox = (members, also = []) => {
+    const u = unionRect(members.map((i) => rects[i]));
+    for (const p of GROUP_PADDING) {
+      const r = padRect(u, p);
+      if (!blocked.some((b) => rectsOverlap(r, b)) && !also.some((b) => rectsOverlap(r, b))) return r;
+    }
+    return null;
+  };
+  const all = rects.map((_, i) => i);
+  const whole = clearBox(all);
+  if (whole) return [{ members: all, r: whole }];
+
+  let pieces = all.map((i) => [i]);
+  for (;;) {
+    let best = null;
+    for (let a = 0; a < pieces.length; a++) {
+      for (let b = a + 1; b < pieces.length; b++) {
+        const members = [...pieces[a], ...pieces[b]];
+        const others = pieces.filter((_, k) => k !== a && k !== b).flatMap((m) => m.map((i) => rects[i]));
+        const r = clearBox(members, others);
+        if (r && (!best || r.w * r.h < best.area)) best = { a, b, area: r.w * r.h };
+      }
+    }
+    if (!best) break;
+    const merged = [...pieces[best.a], ...pieces[best.b]].sort((x, y) => x - y);
+    pieces = pieces.filter((_, k) => k !== best.a && k !== best.b).concat([merged]);
+    pieces.sort((x, y) => x[0] - y[0]);
+  }
+
+  // boxes of one fragment must not overlap each other either
+  const placed = [];
+  return pieces.map((members) => {
+    const r = clearBox(members, placed);
+    const box = r || unionRect(members.map((i) => rects[i]));
+    placed.push(box);
+    return r ? { members, r: box } : { members, r: box, crowded: true };
+  });
+}
+
+/**
+ * Top-left corner for a w×h note of `box`: above its left end when that spot
+ * is free (the classic place), else the first free one of above right, below
+ * left/right, right and left, moving out by NOTE_STEP until NOTE_RINGS tries
+ * are used up. `taken` is a rectGrid() of the rects to keep clear of; a
+ * note is either inside `frame` (when given) or clear of it, never across
+ * its border.
+ */
+function placeNote(box, w, h, taken, frame = null) {
+  const reach = padRect(box, NOTE_GAP + NOTE_RINGS * NOTE_STEP + w + h);
+  const near = taken.near(reach).filter((t) => rectsOverlap(reach, t));
+  const inside = (r, f) => r.x >= f.x && r.y >= f.y && r.x + r.w <= f.x + f.w && r.y + r.h <= f.y + f.h;
+  const fits = (r) =>
+    !near.some((t) => rectsOverlap(r, t)) && (!frame || inside(r, frame) || !rectsOverlap(r, frame));
+  for (let ring = 0; ring <= NOTE_RINGS; ring++) {
+    const d = NOTE_GAP + ring * NOTE_STEP;
+    const free = [
+      { x: box.x, y: box.y - h - d },
+      { x: box.x + box.w - w, y: box.y - h - d },
+      { x: box.x, y: box.y + box.h + d },
+      { x: box.x + box.w - w, y: box.y + box.h + d },
+      { x: box.x + box.w + d, y: box.y },
+      { x: box.x - w - d, y: box.y },
+    ].find((c) => fits({ ...c, w, h }));
+    if (free) return free;
+  }
+  return { x: box.x, y: box.y - h - NOTE_GAP };
+}
+
+// Declare a prefix of NS on the definitions element unless it already is
+function declareNamespace(defs, prefix) {
+  if (!defs.getAttribute(`xmlns:${prefix}`)) defs.setAttributeNS('http://www.w3.org/2000/xmlns/', `xmlns:${prefix}`, NS[prefix]);
+}
+
+// Stroke colour for a shape, in both attribute sets bpmn.io reads
+function setStrokeColor(shape, color) {
+  shape.setAttributeNS(NS.bioc, 'bioc:stroke', color);
+  shape.setAttributeNS(NS.color, 'color:border-color', color);
+}
+
+// --- FRAGMENT (now includes singletons by default) ---
+// processEl: the process or sub-process whose direct children are grouped
+// options: the run's options (DEFAULT_OPTIONS) fragment mode reads:
+//   threshold, includeSingletons, expandCollapsed;
+//   algorithm, minSize, maxSize, resolution (see CLUSTERING_ALGORITHMS);
+//   privacyBands (cut points) keeps every fragment inside one privacy band;
+//   annotateStats adds edge/coupling figures to the annotation text;
+//   dataCoupling mixes in coupling from shared data (weight dataWeight), writeCoupling writes it back;
+//   colorFragments gives each fragment's boxes and note their own stroke colour;
+//   names (readFragmentNames, with --keep-names) are user names to carry over.
+// report (optional) collects per-fragment and per-scope figures, see createReport()
+function fragmentByCoupling(ix, doc, defs, processEl, options = {}, report = null) {
+  const {
+    threshold = DEFAULT_OPTIONS.threshold,
+    includeSingletons = true,
+    expandCollapsed = false,
+    algorithm = 'components',
+    minSize = 0,
+    maxSize = 0,
+    resolution = 1,
+    privacyBands = null,
+    annotateStats = false,
+    dataCoupling = false,
+    dataWeight = 0.5,
+    writeCoupling = false,
+    colorFragments = false,
+    names = null,
+  } = options;
+  const strategy = CLUSTERING_ALGORITHMS[algorithm];
+  if (!strategy) {
+    throw new OptionError(`Unknown clustering algorithm "${algorithm}" (use ${Object.keys(CLUSTERING_ALGORITHMS).join('|')})`);
+  }
+  if (dataCoupling && !(dataWeight >= 0 && dataWeight <= 1)) {
+    throw new OptionError(`--data-weight must be between 0 and 1, got ${dataWeight}`);
+  }
+
+  const tasks = getTaskList(ix, processEl, expandCollapsed);
+  const privacyOf = tasks.map((t) => cplNumber(t, 'privacy'));
+  const bandOf = privacyBands ? privacyOf.map((p) => privacyBand(p, privacyBands)) : null;
+  let graph = couplingGraph(tasks, childElements(processEl, 'bpmn:sequenceFlow'));
+  if (dataCoupling) {
+    graph = combineCoupling(graph, dataCouplingEdges(dataAccessSets(ix, tasks)), dataWeight);
+    if (writeCoupling) writeInferredCoupling(ix, processEl, tasks, graph);
+  }
+  const part = clusterPartition(tasks, graph, { maxSize, bandOf });
+  strategy(part, graph, threshold, { resolution });
+  if (minSize > 1) enforceMinSize(part, graph, minSize);
+
+  const allGroups = part.groups();
+  const { stats, totalWeight, cutWeight } = fragmentStats(graph, allGroups, privacyOf);
+  const statsOf = new Map(allGroups.map((g, gi) => [g, stats[gi]]));
+  if (report) {
+    report.totalWeight += totalWeight;
+    report.cutWeight += cutWeight;
+    report.units += tasks.length;
+    report.singletons += allGroups.filter((g) => g.length === 1).length;
+    stats.forEach((s) => report.modularityTerms.push({ internal: s.internalWeight, degree: s.degree }));
+    allGroups.forEach((g) => report.partition.push(g.map((i) => tasks[i].getAttribute('id'))));
+    graph.edges.forEach((e) => {
+      report.edgeWeights.push(e.w);
+      if (e.data != null) {
+        report.inferredCouplings.push({
+          sourceRef: tasks[e.a].getAttribute('id'),
+          targetRef: tasks[e.b].getAttribute('id'),
+          dataCoupling: e.data,
+          flowCoupling: e.flow,
+          coupling: e.w,
+          scope: processEl.getAttribute('id'),
+        });
+      }
+    });
+  }
+
+  let comps = allGroups;
+  if (!includeSingletons) comps = comps.filter((g) => g.length > 1);
+  if (minSize > 1) {
+    // enforceMinSize() found no neighbour these could join: their tasks stay outside every fragment
+    if (report) {
+      comps
+        .filter((g) => g.length < minSize)
+        .forEach((g) =>
+          g.forEach((i) =>
+            report.unplaced.push({
+              id: tasks[i].getAttribute('id'),
+              process: rootProcessOf(processEl).getAttribute('id'),
+              scope: processEl.getAttribute('id'),
+              size: g.length,
+            })
+          )
+        );
+    }
+    comps = comps.filter((g) => g.length >= minSize);
+  }
+
+  // DI for groups
+  const plane = planeFor(ix, doc, defs, processEl);
+  const rectOf = (id) => shapeRect(ix, plane, id) || { x: 100, y: 100, w: 100, h: 80 };
+
+  // boxes of every fragment first, so that no note lands on a later box
+  const obstacles = layoutObstacles(ix, plane, processEl);
+  const drawn = rectGrid(); // boxes and notes of this scope, before and after they are in the index
+  const takenAt = {
+    // whatever a note has to keep clear of
+    near(area) {
+      const { shapes, boxes, notes } = obstacles.near(area);
+      return [...shapes.map((o) => o.r), ...boxes, ...notes, ...drawn.near(area)];
+    },
+  };
+  const boxesOf = comps.map((indices) => {
+    const memberIds = new Set(indices.map((i) => tasks[i].getAttribute('id')));
+    const rects = indices.map((i) => rectOf(tasks[i].getAttribute('id')));
+    const area = padRect(unionRect(rects), GROUP_PADDING[0]);
+    const around = obstacles.near(area);
+    const foreign = around.shapes.filter((o) => o.activity && !memberIds.has(o.id) && rectsOverlap(o.r, area));
+    const boxes = [...around.boxes, ...drawn.near(area)];
+    const blocked = [...foreign.map((o) => o.r), ...boxes.filter((b) => rectsOverlap(b, area))];
+    const pieces = fragmentBoxes(rects, blocked).map((piece) => ({
+      ids: piece.members.map((m) => tasks[indices[m]].getAttribute('id')),
+      r: piece.r,
+      crowded: piece.crowded ? foreign.filter((o) => rectsOverlap(o.r, piece.r)).map((o) => o.id) : [],
+    }));
+    pieces.forEach((piece) => drawn.add(piece.r, piece.r));
+    return pieces;
+  });
+  if (colorFragments) {
+    declareNamespace(defs, 'bioc');
+    declareNamespace(defs, 'color');
+  }
+
+  // Category
+  let cat = ix.child(defs, 'Category_Fragments');
+  if (!cat) {
+    cat = doc.createElementNS(NS.bpmn, 'bpmn:category');
+    cat.setAttribute('id', 'Category_Fragments');
+    ix.insert(defs, cat, defs.firstChild);
+  }
+  let values = childElements(cat, 'bpmn:categoryValue').length;
+
+  comps.forEach((indices, ci) => {
+    const memberIds = indices.map((i) => tasks[i].getAttribute('id'));
+    const fragId = fragmentIdFor(ix, memberIds); // unique across every pool of the file
+    const name = (names && inheritedName(names, fragId, memberIds)) || fragId;
+    const color = colorFragments ? FRAGMENT_COLORS[values % FRAGMENT_COLORS.length] : null;
+
+    const cv = doc.createElementNS(NS.bpmn, 'bpmn:categoryValue');
+    cv.setAttribute('id', fragId + '_CV');
+    cv.setAttribute('value', name); // <-- semantic name (BPMN-native)
+    ix.insert(cat, cv);
+    values++;
+
+    const st = statsOf.get(indices);
+
+    // one group per box, all in the fragment's category: <id>, <id>_2, …
+    const pieces = boxesOf[ci];
+    const groups = pieces.map((piece, k) => {
+      const pieceId = k ? `${fragId}_${k + 1}` : fragId;
+      const g = doc.createElementNS(NS.bpmn, 'bpmn:group');
+      g.setAttribute('id', pieceId);
+      g.setAttribute('categoryValueRef', fragId + '_CV');
+      g.setAttributeNS(NS.cpl, 'cpl:fragmentId', fragId);
+      g.setAttributeNS(NS.cpl, 'cpl:fragmentName', name);
+      ix.insert(processEl, g);
+
+      const gShape = doc.createElementNS(NS.bpmndi, 'bpmndi:BPMNShape');
+      gShape.setAttribute('id', pieceId + '_di');
+      gShape.setAttribute('bpmnElement', pieceId);
+      if (color) setStrokeColor(gShape, color);
+      const b = doc.createElementNS(NS.dc, 'dc:Bounds');
+      b.setAttribute('x', String(piece.r.x));
+      b.setAttribute('y', String(piece.r.y));
+      b.setAttribute('width', String(piece.r.w));
+      b.setAttribute('height', String(piece.r.h));
+      gShape.appendChild(b);
+      ix.insert(plane, gShape);
+
+      // optional associations
+      piece.ids.forEach((mid) => {
+        const assoc = doc.createElementNS(NS.bpmn, 'bpmn:association');
+        assoc.setAttribute('id', `${fragId}_A_${mid}`);
+        assoc.setAttribute('associationDirection', 'None');
+        assoc.setAttribute('sourceRef', pieceId);
+        assoc.setAttribute('targetRef', mid);
+        ix.insert(processEl, assoc);
+      });
+      return g;
+    });
+    const group = groups[0];
+
+    // Add machine-readable annotations on the (first) group
+    group.setAttributeNS(NS.cpl, 'cpl:fragmentSize', String(memberIds.length));
+    group.setAttributeNS(NS.cpl, 'cpl:couplingThreshold', String(threshold));
+
+    // Privacy spread of the members (only those with a numeric cpl:privacy)
+    let privacyText = '';
+    let bandLabel = null;
+    if (st.privacyMin != null) {
+      group.setAttributeNS(NS.cpl, 'cpl:privacyMin', String(st.privacyMin));
+      group.setAttributeNS(NS.cpl, 'cpl:privacyMax', String(st.privacyMax));
+      group.setAttributeNS(NS.cpl, 'cpl:privacyMean', String(st.privacyMean));
+      privacyText =
+        st.privacyMin === st.privacyMax ? `privacy=${st.privacyMin}` : `privacy=${st.privacyMin}–${st.privacyMax}`;
+    }
+    if (bandOf) {
+      const band = indices.map((i) => bandOf[i]).find((b) => b != null);
+      if (band != null) {
+        bandLabel = privacyBandLabel(band, privacyBands);
+        group.setAttributeNS(NS.cpl, 'cpl:privacyBand', bandLabel);
+        privacyText = `band=${bandLabel}${privacyText ? ` (${privacyText})` : ''}`;
+      }
+    }
+
+    // Build a human-readable label for the TextAnnotation
+    const lines = [name, `size=${memberIds.length}`];
+    if (annotateStats) {
+      lines[1] += ` edges=${st.internalEdges} cross=${st.crossCoupling}`;
+      if (st.avgCoupling != null) lines.push(`coupling avg=${st.avgCoupling} min=${st.minCoupling}`);
+    }
+    if (privacyText) lines.push(privacyText);
+    const label = lines.join('\n');
+
+    if (report) {
+      report.fragments.push({
+        id: fragId,
+        name,
+        process: rootProcessOf(processEl).getAttribute('id'),
+        scope: processEl.getAttribute('id'),
+        members: memberIds,
+        size: st.size,
+        internalEdges: st.internalEdges,
+        avgCoupling: st.avgCoupling,
+        minCoupling: st.minCoupling,
+        crossCoupling: st.crossCoupling,
+        privacyMin: st.privacyMin,
+        privacyMax: st.privacyMax,
+        privacyMean: st.privacyMean,
+        privacyBand: bandLabel,
+        boxes: pieces.length,
+        crowded: pieces.flatMap((piece) => piece.crowded),
+      });
+    }
+
+    // The note goes to the first box, just above it when there is room (taller labels sit higher)
+    const noteHeight = annotationHeight(label);
+    const note = placeNote(pieces[0].r, NOTE_WIDTH, noteHeight, takenAt, obstacles.frame);
+    const noteRect = { ...note, w: NOTE_WIDTH, h: noteHeight };
+    drawn.add(noteRect, noteRect);
+    addTextAnnotationForGroup(ix, doc, plane, processEl, fragId, label, note.x, note.y, color);
+  });
+
+  return comps.length;
+}
+
+// Remove a BPMNShape for a given element (task, annotation, group…)
+function removeDIShapeForElement(ix, plane, elId) {
+  ix.shapes(elId, plane).forEach((n) => ix.remove(n));
+}
+
+// Remove a BPMNEdge for a given edge-like element (association, sequenceFlow…)
+function removeDIEdgeForElement(ix, plane, elId) {
+  ix.edges(elId, plane).forEach((n) => ix.remove(n));
+}
+
+// Count how many associations still reference this element (as source or target)
+function countAssociationsTouching(ix, processEl, elId) {
+  return ix.associations(elId, processEl).length;
+}
+
+// The textAnnotation with this id inside processEl, if there is one
+function textAnnotationIn(ix, processEl, id) {
+  const ta = ix.get(id);
+  return ta && ta.localName === 'textAnnotation' && isWithin(ta, processEl) ? ta : null;
+}
+
+// If a textAnnotation has no remaining associations, delete it (and its DI)
+function maybeRemoveTextAnnotationIfOrphaned(ix, plane, processEl, taId) {
+  // still referenced?
+  if (countAssociationsTouching(ix, processEl, taId) > 0) return;
+
+  // remove the annotation element itself
+  const ta = textAnnotationIn(ix, processEl, taId);
+  if (ta) ix.remove(ta);
+
+  // remove its DI shape
+  removeDIShapeForElement(ix, plane, taId);
+}
+
+// Remove a specific association, its DI, and clean up any now-orphaned textAnnotations it connected
+function removeAssociationCascade(ix, plane, processEl, assocNode) {
+  if (!assocNode) return;
+  const assocId = assocNode.getAttribute('id');
+
+  const src = assocNode.getAttribute('sourceRef');
+  const tgt = assocNode.getAttribute('targetRef');
+
+  // remove DI for the association edge
+  removeDIEdgeForElement(ix, plane, assocId);
+
+  // remove the association element
+  ix.remove(assocNode);
+
+  // if either endpoint is a textAnnotation, and now orphaned, remove it (+DI)
+  const srcIsTA = !!textAnnotationIn(ix, processEl, src);
+  const tgtIsTA = !!textAnnotationIn(ix, processEl, tgt);
+
+  if (srcIsTA) maybeRemoveTextAnnotationIfOrphaned(ix, plane, processEl, src);
+  if (tgtIsTA) maybeRemoveTextAnnotationIfOrphaned(ix, plane, processEl, tgt);
+}
+
+// Remove all associations touching a given element id (task id, flow id, group id…)
+function removeAllAssociationsTouchingId(ix, plane, processEl, elId) {
+  ix.associations(elId, processEl).forEach((a) => removeAssociationCascade(ix, plane, processEl, a));
+}
+
+function existingFlow(ix, processEl, src, tgt) {
+  return ix.flowsFrom(src).find((f) => f.parentNode === processEl && f.getAttribute('targetRef') === tgt);
+}
+
+const GATEWAY_TYPES = [
+  'exclusiveGateway',
+  'parallelGateway',
+  'inclusiveGateway',
+  'complexGateway',
+  'eventBasedGateway',
+];
+
+function isGateway(el) {
+  return !!el && el.namespaceURI === NS.bpmn && GATEWAY_TYPES.includes(el.localName);
+}
+
+function elementById(processEl, id) {
+  return select(`./*[@id="${id}"]`, processEl)[0];
+}
+
+// Numeric cpl:* attribute (NaN when missing or not a number)
+function cplNumber(el, name) {
+  const str = el.getAttribute(`cpl:${name}`) || el.getAttributeNS(NS.cpl, name);
+  return str ? parseFloat(str) : NaN;
+}
+
+// Pick an id that is not used anywhere in the document yet (AutoFlow_1, AutoFlow_2, …)
+function nextFreeId(ix, prefix, state) {
+  let id;
+  do {
+    state[prefix] = (state[prefix] || 0) + 1;
+    id = `${prefix}_${state[prefix]}`;
+  } while (ix.has(id));
+  return id;
+}
+
+function flowWaypoints(ix, plane, flowId) {
+  return ix
+    .edges(flowId, plane)
+    .flatMap((e) => select('./di:waypoint', e))
+    .map((w) => ({
+      x: parseFloat(w.getAttribute('x')),
+      y: parseFloat(w.getAttribute('y')),
+    }));
+}
+
+// --- LAYOUT (mask mode) ---
+// Generated edges are routed orthogonally around the shapes of their plane;
+// --compact closes the gaps that removed shapes leave behind.
+
+const ROUTE_MARGIN = 10; // clearance kept around shapes by routed edges
+const ROUTE_BEND_COST = 40; // one bend weighs as much as 40px of extra length
+const ROUTE_WINDOW = 200; // shapes farther than this outside the two ends are only considered when no route is found
+const ROUTE_DIRS = { E: [1, 0], S: [0, 1], W: [-1, 0], N: [0, -1] };
+const OPPOSITE_SIDE = { E: 'W', W: 'E', S: 'N', N: 'S' };
+
+// Side of `r` facing (tx, ty), by the same rule as edgeAnchor()
+function edgeSide(r, tx, ty) {
+  const dx = tx - r.cx;
+  const dy = ty - r.cy;
+  if (Math.abs(dx) >= Math.abs(dy)) return dx >= 0 ? 'E' : 'W';
+  return dy >= 0 ? 'S' : 'N';
+}
+
+// dc:Bounds of the first shape drawing `elId` on `plane`
+function shapeBounds(ix, plane, elId) {
+  for (const shape of ix.shapes(elId, plane)) {
+    const b = childElements(shape, 'dc:Bounds')[0];
+    if (b) return b;
+  }
+  return null;
+}
+
+function shapeRect(ix, plane, elId) {
+  const b = shapeBounds(ix, plane, elId);
+  return b ? rectFromBoundsEl(b) : null;
+}
+
+/**
+ * First and last point of a route between two rectangles, each on the side
+ * facing the other shape, with the direction the route leaves / enters in.
+ * Facing sides that overlap share one coordinate so aligned shapes get a
+ * straight edge; otherwise each point sits in the middle of its side.
+ */
+function routeEnds(s, t) {
+  const ss = edgeSide(s, t.cx, t.cy);
+  const ts = edgeSide(t, s.cx, s.cy);
+  const horizontal = (side) => side === 'E' || side === 'W';
+  const range = (r, side) => (horizontal(side) ? [r.y, r.y + r.h] : [r.x, r.x + r.w]);
+  const line = (r, side) => ({ E: r.x + r.w, W: r.x, S: r.y + r.h, N: r.y })[side];
+  const point = (r, side, c) => (horizontal(side) ? { x: line(r, side), y: c } : { x: c, y: line(r, side) });
+  const mid = (r, side) => (range(r, side)[0] + range(r, side)[1]) / 2;
+
+  let sc = mid(s, ss);
+  let tc = mid(t, ts);
+  if (ts === OPPOSITE_SIDE[ss]) {
+    const lo = Math.max(range(s, ss)[0], range(t, ts)[0]);
+    const hi = Math.min(range(s, ss)[1], range(t, ts)[1]);
+    if (lo <= hi) sc = tc = clamp(horizontal(ss) ? (s.cy + t.cy) / 2 : (s.cx + t.cx) / 2, lo, hi);
+  }
+  return { start: { ...point(s, ss, sc), dir: ss }, end: { ...point(t, ts, tc), dir: OPPOSITE_SIDE[ts] } };
+}
+
+// Drop points that lie on a straight horizontal or vertical line between their neighbours
+function simplifyWaypoints(points) {
+  return points.filter((p, i) => {
+    if (i === 0 || i === points.length - 1) return true;
+    const a = points[i - 1];
+    const b = points[i + 1];
+    return !((a.x === p.x && p.x === b.x) || (a.y === p.y && p.y === b.y));
+  });
+}
+
+// Pools, lanes and expanded sub-processes hold other shapes; routes and --compact pass through them
+function isContainerShape(ix, shape) {
+  const type = ix.type(shape.getAttribute('bpmnElement'));
+  return (
+    type === 'participant' || type === 'lane' || (SUBPROCESS_TYPES.includes(type) && shape.getAttribute('isExpanded') === 'true')
+  );
+}
+
+// Binary min-heap of [cost, seq, value]; seq breaks ties in insertion order
+function minHeap() {
+  const items = [];
+  const less = (a, b) => a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+  let seq = 0;
+  return {
+    size: () => items.length,
+    push(cost, value) {
+      items.push([cost, seq++, value]);
+      for (let i = items.length - 1; i > 0; ) {
+        const up = (i - 1) >> 1;
+        if (!less(items[i], items[up])) break;
+        [items[i], items[up]] = [items[up], items[i]];
+        i = up;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        for (let i = 0; ; ) {
+          const l = 2 * i + 1;
+          const r = l + 1;
+          let min = i;
+          if (l < items.length && less(items[l], items[min])) min = l;
+          if (r < items.length && less(items[r], items[min])) min = r;
+          if (min === i) break;
+          [items[i], items[min]] = [items[min], items[i]];
+          i = min;
+        }
+      }
+      return top;
+    },
+  };
+}
+
+/**
+ * Cheapest orthogonal path from `start` to `end` on the grid spanned by the
+ * ends and the edges of the blocking rectangles (other shapes grown by
+ * ROUTE_MARGIN, and the two end shapes themselves). Cost is length plus
+ * ROUTE_BEND_COST per bend; among equally good routes, bends close to the
+ * middle between the ends win. The route leaves in start.dir and should
+ * arrive in end.dir. Returns the corner points, or null when the ends are
+ * walled in.
+ */
+function gridRoute(start, end, blocks) {
+  const m = ROUTE_MARGIN;
+  const [sdx, sdy] = ROUTE_DIRS[start.dir];
+  const [edx, edy] = ROUTE_DIRS[end.dir];
+  const coords = (values) => [...new Set(values)].filter(Number.isFinite).sort((a, b) => a - b);
+  const xs = coords([
+    start.x,
+    end.x,
+    start.x + sdx * m,
+    end.x - edx * m,
+    (start.x + end.x) / 2,
+    ...blocks.flatMap((b) => [b.x, b.x + b.w]),
+  ]);
+  const ys = coords([
+    start.y,
+    end.y,
+    start.y + sdy * m,
+    end.y - edy * m,
+    (start.y + end.y) / 2,
+    ...blocks.flatMap((b) => [b.y, b.y + b.h]),
+  ]);
+  const inside = (x, y) => blocks.some((b) => x > b.x && x < b.x + b.w && y > b.y && y < b.y + b.h);
+  const [mx, my] = [(start.x + end.x) / 2, (start.y + end.y) / 2];
+  const bend = (x, y) => ROUTE_BEND_COST + 0.001 * (Math.abs(x - mx) + Math.abs(y - my));
+  const ny = ys.length;
+  const node = (i, j) => i * ny + j;
+  const from = node(xs.indexOf(start.x), ys.indexOf(start.y));
+  const to = node(xs.indexOf(end.x), ys.indexOf(end.y));
+  const dirs = Object.keys(ROUTE_DIRS);
+
+  const total = xs.length * ny * dirs.length;
+  const cost = new Float64Array(total + 1).fill(Infinity);
+  const prev = new Int32Array(total + 1).fill(-1);
+  const heap = minHeap();
+  const first = from * 4 + dirs.indexOf(start.dir);
+  cost[first] = 0;
+  heap.push(0, first);
+  while (heap.size()) {
+    const [c, , state] = heap.pop();
+    if (c > cost[state]) continue;
+    if (state === total) break;
+    const n = Math.floor(state / 4);
+    const d = dirs[state % 4];
+    if (n === to) {
+      // arriving along the target's side instead of into it looks like a bend
+      const done = c + (d === end.dir ? 0 : 2 * ROUTE_BEND_COST);
+      if (done < cost[total]) {
+        cost[total] = done;
+        prev[total] = state;
+        heap.push(done, total);
+      }
+      continue;
+    }
+    const i = Math.floor(n / ny);
+    const j = n % ny;
+    dirs.forEach((nd, k) => {
+      if (nd === OPPOSITE_SIDE[d]) return;
+      const [dx, dy] = ROUTE_DIRS[nd];
+      const ni = i + dx;
+      const nj = j + dy;
+      if (ni < 0 || nj < 0 || ni >= xs.length || nj >= ny) return;
+      const next = node(ni, nj);
+      if (next !== to && inside(xs[ni], ys[nj])) return;
+      if (inside((xs[i] + xs[ni]) / 2, (ys[j] + ys[nj]) / 2)) return;
+      const nc = c + Math.abs(xs[ni] - xs[i]) + Math.abs(ys[nj] - ys[j]) + (nd === d ? 0 : bend(xs[i], ys[j]));
+      const ns = next * 4 + k;
+      if (nc < cost[ns]) {
+        cost[ns] = nc;
+        prev[ns] = state;
+        heap.push(nc, ns);
+      }
+    });
+  }
+  if (prev[total] < 0) return null;
+
+  const points = [];
+  for (let s = prev[total]; s >= 0; s = prev[s]) {
+    const n = Math.floor(s / 4);
+    const p = { x: xs[Math.floor(n / ny)], y: ys[n % ny] };
+    if (!points.length || points[0].x !== p.x || points[0].y !== p.y) points.unshift(p);
+  }
+  return simplifyWaypoints(points);
+}
+
+/**
+ * Orthogonal waypoints for a new edge src -> tgt on `plane`, starting and
+ * ending on the sides that face each other (routeEnds) and keeping clear of
+ * every other flow node, data object and annotation. Shapes listed in `skip`
+ * (about to be removed) and shapes containing an end are not in the way.
+ * Always the same route for the same diagram. null when src or tgt has no DI.
+ */
+function orthogonalWaypoints(ix, plane, src, tgt, skip = new Set()) {
+  const s = shapeRect(ix, plane, src);
+  const t = shapeRect(ix, plane, tgt);
+  if (!s || !t) return null;
+  const { start, end } = routeEnds(s, t);
+  const holds = (r, p) => p.cx >= r.x && p.cx <= r.x + r.w && p.cy >= r.y && p.cy <= r.y + r.h;
+  const grown = (shapes) =>
+    shapes
+      .filter((o) => {
+        const type = ix.type(o.id);
+        const container = type === 'participant' || type === 'lane' || (SUBPROCESS_TYPES.includes(type) && o.expanded);
+        return type && o.r && o.id !== src && o.id !== tgt && !skip.has(o.id) && !container;
+      })
+      .map((o) => o.r)
+      .filter((r) => !holds(r, s) && !holds(r, t))
+      .map((r) => padRect(r, ROUTE_MARGIN));
+
+  const x0 = Math.min(s.x, t.x) - ROUTE_WINDOW;
+  const x1 = Math.max(s.x + s.w, t.x + t.w) + ROUTE_WINDOW;
+  const y0 = Math.min(s.y, t.y) - ROUTE_WINDOW;
+  const y1 = Math.max(s.y + s.h, t.y + t.h) + ROUTE_WINDOW;
+  const m = ROUTE_MARGIN;
+  const near = grown(ix.shapesOn(plane, { x: x0 - m, y: y0 - m, w: x1 - x0 + 2 * m, h: y1 - y0 + 2 * m })).filter(
+    (r) => r.x < x1 && r.x + r.w > x0 && r.y < y1 && r.y + r.h > y0
+  );
+  let route = gridRoute(start, end, [...near, s, t]);
+  if (!route) {
+    // only the window was searched: try again around everything else
+    const all = grown(ix.shapesOn(plane));
+    if (near.length < all.length) route = gridRoute(start, end, [...all, s, t]);
+  }
+  if (route) return route;
+
+  // walled in: a plain elbow between the two sides
+  const horizontal = start.dir === 'E' || start.dir === 'W';
+  const mx = (start.x + end.x) / 2;
+  const my = (start.y + end.y) / 2;
+  return simplifyWaypoints([
+    { x: start.x, y: start.y },
+    horizontal ? { x: mx, y: start.y } : { x: start.x, y: my },
+    horizontal ? { x: mx, y: end.y } : { x: end.x, y: my },
+    { x: end.x, y: end.y },
+  ]);
+}
+
+/**
+ * --compact: close the holes removed shapes left in `plane`. Every x-range a
+ * removed shape covered that no remaining shape or label overlaps any more is
+ * cut down to the wider of the two spacings it had to its neighbours; shapes,
+ * labels and waypoints right of the cut move left by the same amount, and
+ * pools, lanes and expanded sub-processes spanning it shrink. Holes are
+ * handled right to left, so the result does not depend on masking order.
+ * Vertical holes are left alone. Returns the total shift.
+ */
+function compactLayout(ix, plane, removed) {
+  const ranges = removed
+    .map((r) => [r.x, r.x + r.w])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1])
+    .reduce((acc, r) => {
+      const last = acc[acc.length - 1];
+      if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+      else acc.push([...r]);
+      return acc;
+    }, [])
+    .reverse();
+
+  // every x and width is read once and written back at the end; each cut moves the numbers
+  const isBlocking = (b) =>
+    b.parentNode.localName === 'BPMNLabel' ||
+    (b.parentNode.localName === 'BPMNShape' && !isContainerShape(ix, b.parentNode));
+  const bounds = descendantElements(plane, 'dc:Bounds').map((b) => ({
+    el: b,
+    x: parseFloat(b.getAttribute('x')),
+    w: parseFloat(b.getAttribute('width')),
+    blocking: isBlocking(b),
+  }));
+  const points = descendantElements(plane, 'di:waypoint').map((w) => ({ el: w, x: parseFloat(w.getAttribute('x')) }));
+  const blocking = bounds.filter((b) => b.blocking);
+
+  let total = 0;
+  ranges.forEach(([x0, x1]) => {
+    if (blocking.some((b) => b.x < x1 && b.x + b.w > x0)) return;
+    const lefts = blocking.filter((b) => b.x + b.w <= x0).map((b) => b.x + b.w);
+    const rights = blocking.filter((b) => b.x >= x1).map((b) => b.x);
+    if (!lefts.length || !rights.length) return;
+    const left = Math.max(...lefts);
+    const right = Math.min(...rights);
+    const cut = left + Math.max(x0 - left, right - x1);
+    const d = right - cut;
+    if (d <= 0) return;
+
+    const move = (x) => (x <= cut ? x : x >= right ? x - d : cut);
+    bounds.forEach((b) => {
+      const x = b.x;
+      const r = x + b.w;
+      if (move(r) - move(x) !== r - x) {
+        b.w = move(r) - move(x);
+        b.movedW = true;
+      }
+      if (move(x) !== x) {
+        b.x = move(x);
+        b.movedX = true;
+      }
+    });
+    points.forEach((p) => {
+      if (move(p.x) !== p.x) {
+        p.x = move(p.x);
+        p.movedX = true;
+      }
+    });
+    total += d;
+  });
+  bounds.forEach((b) => {
+    if (b.movedX) b.el.setAttribute('x', String(b.x));
+    if (b.movedW) b.el.setAttribute('width', String(b.w));
+    if (b.movedX || b.movedW) ix.moved(b.el.parentNode);
+  });
+  points.forEach((p) => {
+    if (p.movedX) p.el.setAttribute('x', String(p.x));
+  });
+  return total;
+}
+
+/**
+ * Create an AutoFlow_* sequence flow src -> tgt standing in for the chain of
+ * flows in `via` (ordered from src towards tgt).
+ * - The condition expression (and name) of the first conditional flow is kept,
+ *   i.e. the decision taken closest to src wins.
+ * - cpl:coupling becomes the weakest coupling along the chain.
+ * - If the chain left src as its default flow, the new flow becomes the default
+ *   and, without a condition to carry, keeps the default flow's name.
+ * If src -> tgt already exists, nothing is created; when that flow was itself
+ * generated in this run and the conditions disagree, its condition is dropped
+ * (both branches now lead to the same place).
+ */
+function addBypassFlow(ctx, src, tgt, via, waypoints) {
+  const { doc, ix, processEl, plane } = ctx;
+  if (src === tgt) return null; // avoid self-loops
+
+  const conditional = via.find((f) => select('./bpmn:conditionExpression', f)[0]);
+  const cond = conditional ? select('./bpmn:conditionExpression', conditional)[0] : null;
+
+  const existing = existingFlow(ix, processEl, src, tgt);
+  if (existing) {
+    if (ctx.autoFlowIds.has(existing.getAttribute('id'))) {
+      const old = select('./bpmn:conditionExpression', existing)[0];
+      if (old && (!cond || old.textContent !== cond.textContent)) existing.removeChild(old);
+    }
+    return existing;
+  }
+
+  const newId = nextFreeId(ix, 'AutoFlow', ctx.ids);
+  const nf = doc.createElementNS(NS.bpmn, 'bpmn:sequenceFlow');
+  nf.setAttribute('id', newId);
+  nf.setAttribute('sourceRef', src);
+  nf.setAttribute('targetRef', tgt);
+  // default flow of the source follows the chain that left it
+  const leaving = via[0];
+  const owner = leaving && ix.child(processEl, leaving.getAttribute('sourceRef'));
+  const srcEl = ix.child(processEl, src);
+  const isDefault = owner && srcEl && owner.getAttribute('default') === leaving.getAttribute('id');
+  const named = conditional || (isDefault ? leaving : null);
+  if (named && named.getAttribute('name')) nf.setAttribute('name', named.getAttribute('name'));
+
+  const couplings = via.map((f) => cplNumber(f, 'coupling')).filter(Number.isFinite);
+  if (couplings.length) nf.setAttributeNS(NS.cpl, 'cpl:coupling', String(Math.min(...couplings)));
+  if (cond) nf.appendChild(cond.cloneNode(true));
+  ix.insert(processEl, nf);
+  ctx.autoFlowIds.add(newId);
+  if (isDefault) ix.set(srcEl, 'default', newId);
+
+  // Optional DI if both shapes exist; the nodes the chain ran through are going away
+  const bypassed = new Set([...ctx.masked, ...via.flatMap((f) => [f.getAttribute('sourceRef'), f.getAttribute('targetRef')])]);
+  const points = waypoints || orthogonalWaypoints(ix, plane, src, tgt, bypassed);
+  if (points) {
+    const e = doc.createElementNS(NS.bpmndi, 'bpmndi:BPMNEdge');
+    e.setAttribute('id', `${newId}_di`);
+    e.setAttribute('bpmnElement', newId);
+    points.forEach((p) => {
+      const w = doc.createElementNS(NS.di, 'di:waypoint');
+      w.setAttribute('x', String(p.x));
+      w.setAttribute('y', String(p.y));
+      e.appendChild(w);
+    });
+    ix.insert(plane, e);
+  }
+  return nf;
+}
+
+// Gateway inserted where a masked region used to split or merge implicitly
+function addAutoGateway(ctx, type, anchorId, slot, slots) {
+  const { doc, ix, processEl, rootProcess, plane } = ctx;
+  const id = nextFreeId(ix, 'AutoGateway', ctx.ids);
+  const gw = doc.createElementNS(NS.bpmn, `bpmn:${type}`);
+  gw.setAttribute('id', id);
+  ix.insert(processEl, gw);
+  addToLanesOf(ix, doc, rootProcess, id, anchorId);
+  ctx.autoGatewayIds.add(id);
+
+  // place it inside the masked task's box so the diagram keeps its shape
+  const b = shapeBounds(ix, plane, anchorId);
+  if (b) {
+    const r = rectFromBoundsEl(b);
+    const size = 50;
+    const shape = doc.createElementNS(NS.bpmndi, 'bpmndi:BPMNShape');
+    shape.setAttribute('id', `${id}_di`);
+    shape.setAttribute('bpmnElement', id);
+    const bounds = doc.createElementNS(NS.dc, 'dc:Bounds');
+    bounds.setAttribute('x', String(r.x + (r.w * (slot + 0.5)) / slots - size / 2));
+    bounds.setAttribute('y', String(r.cy - size / 2));
+    bounds.setAttribute('width', String(size));
+    bounds.setAttribute('height', String(size));
+    shape.appendChild(bounds);
+    ix.insert(plane, shape);
+  }
+  return id;
+}
+
+/**
+ * Connected set of masked nodes around `start` together with the flows that
+ * enter and leave it from unmasked nodes.
+ */
+function collectMaskedRegion(start, flowsBySource, flowsByTarget, maskedSet) {
+  const members = new Set([start]);
+  const queue = [start];
+  const incoming = [];
+  const outgoing = [];
+  while (queue.length) {
+    const cur = queue.shift();
+    (flowsByTarget.get(cur) || []).forEach((f) => {
+      const s = f.getAttribute('sourceRef');
+      if (!maskedSet.has(s)) incoming.push(f);
+      else if (!members.has(s)) { members.add(s); queue.push(s); }
+    });
+    (flowsBySource.get(cur) || []).forEach((f) => {
+      const t = f.getAttribute('targetRef');
+      if (!maskedSet.has(t)) outgoing.push(f);
+      else if (!members.has(t)) { members.add(t); queue.push(t); }
+    });
+  }
+  return { members: [...members], incoming, outgoing };
+}
+
+/**
+ * Reconnect the unmasked neighbours of a masked region without changing the
+ * routing semantics around it:
+ * - a plain chain (one flow in, one flow out) becomes a single flow;
+ * - an implicit split (several flows out) stays attached to the predecessor
+ *   only when that predecessor is not a gateway, otherwise a parallel (or
+ *   inclusive, for conditional flows) gateway takes the region's place;
+ * - an implicit merge (several flows in) is handled the same way with an
+ *   exclusive gateway, so no parallel join ever receives extra branches.
+ */
+function bypassMaskedRegion(ctx, region) {
+  const { ix, processEl } = ctx;
+  const { incoming, outgoing, members } = region;
+  if (!incoming.length || !outgoing.length) return;
+
+  const src = (f) => f.getAttribute('sourceRef');
+  const tgt = (f) => f.getAttribute('targetRef');
+  const touch = (id) => ctx.touched.add(id);
+  incoming.forEach((f) => touch(src(f)));
+  outgoing.forEach((f) => touch(tgt(f)));
+
+  if (incoming.length === 1 && outgoing.length === 1) {
+    addBypassFlow(ctx, src(incoming[0]), tgt(outgoing[0]), [incoming[0], outgoing[0]]);
+    return;
+  }
+  if (incoming.length === 1 && !isGateway(ix.child(processEl, src(incoming[0])))) {
+    outgoing.forEach((o) => addBypassFlow(ctx, src(incoming[0]), tgt(o), [incoming[0], o]));
+    return;
+  }
+  if (outgoing.length === 1 && !isGateway(ix.child(processEl, tgt(outgoing[0])))) {
+    incoming.forEach((i) => addBypassFlow(ctx, src(i), tgt(outgoing[0]), [i, outgoing[0]]));
+    return;
+  }
+
+  const slots = (incoming.length > 1 ? 1 : 0) + (outgoing.length > 1 ? 1 : 0);
+  let merge = null;
+  let split = null;
+  if (incoming.length > 1) {
+    merge = addAutoGateway(ctx, 'exclusiveGateway', members[0], 0, slots);
+    incoming.forEach((i) => addBypassFlow(ctx, src(i), merge, [i]));
+  }
+  if (outgoing.length > 1) {
+    const conditional = outgoing.some((o) => select('./bpmn:conditionExpression', o)[0]);
+    split = addAutoGateway(ctx, conditional ? 'inclusiveGateway' : 'parallelGateway', members[0], slots - 1, slots);
+    outgoing.forEach((o) => addBypassFlow(ctx, split, tgt(o), [o]));
+  }
+  if (merge && split) addBypassFlow(ctx, merge, split, []);
+  else if (merge) addBypassFlow(ctx, merge, tgt(outgoing[0]), [outgoing[0]]);
+  else addBypassFlow(ctx, src(incoming[0]), split, [incoming[0]]);
+}
+
+// Remove a sequence flow with its DI, associations and any `default` pointing at it
+function removeFlowCascade(ctx, f) {
+  const { ix, plane, processEl } = ctx;
+  const fid = f.getAttribute('id');
+  removeAllAssociationsTouchingId(ix, plane, processEl, fid);
+  removeDIEdgeForElement(ix, plane, fid);
+  ix.defaults(fid)
+    .filter((n) => n.parentNode === processEl)
+    .forEach((n) => ix.set(n, 'default', null));
+  ix.remove(f);
+}
+
+/**
+ * Gateways next to a masked region may be left with a single incoming and a
+ * single outgoing flow, i.e. nothing to route. Splice those out (the two flows
+ * become one AutoFlow_*) and repeat on their neighbours, so a split whose
+ * branches all vanished disappears together with its join.
+ */
+function collapsePassThroughGateways(ctx) {
+  const { ix, plane, processEl, rootProcess } = ctx;
+  const queue = [...ctx.touched];
+  let collapsed = 0;
+  while (queue.length) {
+    const gwId = queue.shift();
+    const gw = ix.child(processEl, gwId);
+    // event-based gateways route on events, not on flows
+    if (!isGateway(gw) || gw.localName === 'eventBasedGateway') continue;
+    const ins = ix.flowsTo(gwId).filter((f) => f.parentNode === processEl);
+    const outs = ix.flowsFrom(gwId).filter((f) => f.parentNode === processEl);
+    if (ins.length !== 1 || outs.length !== 1) continue;
+
+    const [fin, fout] = [ins[0], outs[0]];
+    const src = fin.getAttribute('sourceRef');
+    const tgt = fout.getAttribute('targetRef');
+    if (src === gwId || tgt === gwId) continue;
+
+    // the two drawn edges joined where the gateway was, when that keeps them orthogonal; routed anew otherwise
+    const inPts = flowWaypoints(ix, plane, fin.getAttribute('id'));
+    const outPts = flowWaypoints(ix, plane, fout.getAttribute('id'));
+    const [last, first] = [inPts[inPts.length - 1], outPts[0]];
+    const joins = inPts.length && outPts.length && (last.x === first.x || last.y === first.y);
+    addBypassFlow(ctx, src, tgt, [fin, fout], joins ? simplifyWaypoints(inPts.concat(outPts)) : null);
+
+    removeFlowCascade(ctx, fin);
+    removeFlowCascade(ctx, fout);
+    removeAllAssociationsTouchingId(ix, plane, processEl, gwId);
+    const gwRect = shapeRect(ix, plane, gwId);
+    if (gwRect) ctx.removed.push(gwRect);
+    removeDIShapeForElement(ix, plane, gwId);
+    removeFromLanes(ix, rootProcess, gwId);
+    ix.remove(gw);
+    ctx.autoGatewayIds.delete(gwId);
+    ctx.collapsedGateways.push(gwId);
+    collapsed++;
+
+    queue.push(src, tgt);
+  }
+  return collapsed;
+}
+
+/**
+ * Message flows that start or end at a masked task. With `reroute` the masked
+ * end is moved onto the task's pool (participant), which keeps the message
+ * exchange visible without revealing the task; with `remove` (or when the
+ * process has no pool) the message flow is deleted.
+ */
+function handleMaskedMessageFlows(ctx, maskedSet, mode, replacementOf = null) {
+  const { doc, ix, plane, processEl, rootProcess } = ctx;
+  const participant = participantOf(doc, rootProcess);
+  const pool = participant ? shapeBounds(ix, doc, participant.getAttribute('id')) : null;
+
+  const messageFlows = childElements(doc.documentElement, 'bpmn:collaboration').flatMap((c) =>
+    childElements(c, 'bpmn:messageFlow')
+  );
+  messageFlows.forEach((mf) => {
+    const mfId = mf.getAttribute('id');
+    const srcMasked = maskedSet.has(mf.getAttribute('sourceRef'));
+    const tgtMasked = maskedSet.has(mf.getAttribute('targetRef'));
+    if (!srcMasked && !tgtMasked) return;
+
+    // the masked end has a stand-in (collapse style): move it there whatever the mode
+    const srcNew = srcMasked && replacementOf && replacementOf.get(mf.getAttribute('sourceRef'));
+    const tgtNew = tgtMasked && replacementOf && replacementOf.get(mf.getAttribute('targetRef'));
+    const onPool = (srcMasked && !srcNew) || (tgtMasked && !tgtNew);
+
+    if (onPool && (mode === 'remove' || !participant)) {
+      removeAllAssociationsTouchingId(ix, plane, processEl, mfId);
+      removeDIEdgeForElement(ix, doc, mfId);
+      ix.remove(mf);
+      return;
+    }
+
+    const poolId = participant && participant.getAttribute('id');
+    if (srcMasked) ix.set(mf, 'sourceRef', srcNew || poolId);
+    if (tgtMasked) ix.set(mf, 'targetRef', tgtNew || poolId);
+
+    // another message flow already links the same two ends
+    const sameEnds = (o) =>
+      o.getAttribute('sourceRef') === mf.getAttribute('sourceRef') && o.getAttribute('targetRef') === mf.getAttribute('targetRef');
+    const dup = messageFlows.filter((o) => o !== mf && o.parentNode && sameEnds(o));
+    if (dup.length) {
+      removeAllAssociationsTouchingId(ix, plane, processEl, mfId);
+      removeDIEdgeForElement(ix, doc, mfId);
+      ix.remove(mf);
+      return;
+    }
+
+    // snap the moved end of the DI edge onto the pool's top or bottom border,
+    // or onto the border of the stand-in
+    const wps = ix.edges(mfId, doc).flatMap((e) => select('./di:waypoint', e));
+    if (wps.length < 2) return;
+    const snap = (w, other, standIn) => {
+      const ox = parseFloat(other.getAttribute('x'));
+      const oy = parseFloat(other.getAttribute('y'));
+      if (standIn) {
+        const b = shapeBounds(ix, doc, standIn);
+        if (!b) return;
+        const a = edgeAnchor(b, ox, oy);
+        w.setAttribute('x', String(a.x));
+        w.setAttribute('y', String(a.y));
+        return;
+      }
+      if (!pool) return;
+      const r = rectFromBoundsEl(pool);
+      w.setAttribute('x', String(clamp(parseFloat(w.getAttribute('x')), r.x, r.x + r.w)));
+      w.setAttribute('y', String(oy < r.cy ? r.y : r.y + r.h));
+    };
+    if (srcMasked) snap(wps[0], wps[1], srcNew);
+    if (tgtMasked) snap(wps[wps.length - 1], wps[wps.length - 2], tgtNew);
+  });
+}
+
+// Remove the BPMNDiagram of a drilled-down sub-process and of everything nested in it
+function removeNestedDiagrams(ix, el) {
+  [el, ...select('.//*[@id]', el)].forEach((n) => {
+    ix.planes(n.getAttribute('id'))
+      .map((p) => p.parentNode)
+      .filter((d) => d && d.namespaceURI === NS.bpmndi && d.localName === 'BPMNDiagram')
+      .forEach((d) => ix.remove(d));
+  });
+}
+
+// Drop a masked node with its DI, associations, lane refs and drill-down diagrams
+function removeMaskedNode(ctx, node) {
+  const { ix, plane, processEl, rootProcess } = ctx;
+  const id = node.getAttribute('id');
+  removeAllAssociationsTouchingId(ix, plane, processEl, id);
+  removeNestedDiagrams(ix, node);
+  select('.//*[@id]', node).forEach((n) => {
+    removeFromLanes(ix, rootProcess, n.getAttribute('id'));
+    // data associations are drawn on the plane and would still lead to where the node was
+    removeDIEdgeForElement(ix, plane, n.getAttribute('id'));
+  });
+  ix.remove(node);
+  const rect = shapeRect(ix, plane, id);
+  if (rect) ctx.removed.push(rect);
+  removeDIShapeForElement(ix, plane, id);
+  removeFromLanes(ix, rootProcess, id);
+}
+
+const MASK_STYLES = ['remove', 'placeholder', 'collapse'];
+const PLACEHOLDER_NAME = 'Private task';
+const COLLAPSED_NAME = 'Private activities';
+
+/**
+ * placeholder style: swap a masked unit for a plain bpmn:task with the same
+ * id, so its flows, lane refs and DI shape stay as they are. Name,
+ * documentation, markers and content are gone; only cpl:privacy is kept.
+ */
+function replaceWithPlaceholder(ctx, node) {
+  const { doc, ix, plane, processEl, rootProcess } = ctx;
+  const id = node.getAttribute('id');
+  const task = doc.createElementNS(NS.bpmn, 'bpmn:task');
+  task.setAttribute('id', id);
+  task.setAttribute('name', PLACEHOLDER_NAME);
+  const p = node.getAttributeNS(NS.cpl, 'privacy');
+  if (p) task.setAttributeNS(NS.cpl, 'cpl:privacy', p);
+  task.setAttributeNS(NS.cpl, 'cpl:masked', 'placeholder');
+  select('./bpmn:incoming|./bpmn:outgoing', node).forEach((n) => task.appendChild(n.cloneNode(true)));
+
+  removeAllAssociationsTouchingId(ix, plane, processEl, id);
+  removeNestedDiagrams(ix, node);
+  select('.//*[@id]', node).forEach((n) => {
+    removeFromLanes(ix, rootProcess, n.getAttribute('id'));
+    removeDIEdgeForElement(ix, plane, n.getAttribute('id'));
+  });
+  ix.replace(node, task);
+
+  const shape = ix.shapes(id, plane)[0];
+  if (shape) ix.set(shape, 'isExpanded', null);
+}
+
+/**
+ * collapse style: put one collapsed bpmn:subProcess (MaskedSubProcess_N,
+ * named COLLAPSED_NAME) in place of a run of consecutive masked units. Its
+ * bounds cover the run, its cpl:privacy is the highest privacy in the run, and
+ * every flow entering or leaving the run now enters or leaves it. Returns the
+ * new id.
+ */
+function collapseMaskedRegion(ctx, region, byId) {
+  const { doc, ix, plane, processEl, rootProcess } = ctx;
+  const members = region.members.map((id) => byId.get(id));
+  const subId = nextFreeId(ix, 'MaskedSubProcess', ctx.ids);
+
+  const sub = doc.createElementNS(NS.bpmn, 'bpmn:subProcess');
+  sub.setAttribute('id', subId);
+  sub.setAttribute('name', COLLAPSED_NAME);
+  const privacies = members.map((m) => cplNumber(m, 'privacy')).filter(Number.isFinite);
+  if (privacies.length) sub.setAttributeNS(NS.cpl, 'cpl:privacy', String(Math.max(...privacies)));
+  sub.setAttributeNS(NS.cpl, 'cpl:masked', 'collapse');
+  ix.insert(processEl, sub, members[0]);
+  addToLanesOf(ix, doc, rootProcess, subId, region.members[0]);
+
+  const boxes = region.members.map((id) => shapeRect(ix, plane, id)).filter(Boolean);
+  let subBounds = null;
+  if (boxes.length) {
+    const x = Math.min(...boxes.map((b) => b.x));
+    const y = Math.min(...boxes.map((b) => b.y));
+    const w = Math.max(...boxes.map((b) => b.x + b.w)) - x;
+    const h = Math.max(...boxes.map((b) => b.y + b.h)) - y;
+    const shape = doc.createElementNS(NS.bpmndi, 'bpmndi:BPMNShape');
+    shape.setAttribute('id', subId + '_di');
+    shape.setAttribute('bpmnElement', subId);
+    shape.setAttribute('isExpanded', 'false');
+    subBounds = doc.createElementNS(NS.dc, 'dc:Bounds');
+    [['x', x], ['y', y], ['width', w], ['height', h]].forEach(([k, v]) => subBounds.setAttribute(k, String(v)));
+    shape.appendChild(subBounds);
+    ix.insert(plane, shape);
+  }
+
+  // re-attach the boundary flows, dropping those that now duplicate another one
+  const reattach = (f, end) => {
+    ix.set(f, end, subId);
+    const src = f.getAttribute('sourceRef');
+    const tgt = f.getAttribute('targetRef');
+    if (ix.flowsFrom(src).filter((o) => o.parentNode === processEl && o.getAttribute('targetRef') === tgt).length > 1) {
+      removeFlowCascade(ctx, f);
+      return;
+    }
+    const wps = ix.edges(f.getAttribute('id'), plane).flatMap((e) => select('./di:waypoint', e));
+    if (!subBounds || wps.length < 2) return;
+    const [w, other] = end === 'targetRef' ? [wps[wps.length - 1], wps[wps.length - 2]] : [wps[0], wps[1]];
+    const a = edgeAnchor(subBounds, parseFloat(other.getAttribute('x')), parseFloat(other.getAttribute('y')));
+    w.setAttribute('x', String(a.x));
+    w.setAttribute('y', String(a.y));
+  };
+  region.incoming.forEach((f) => reattach(f, 'targetRef'));
+  region.outgoing.forEach((f) => reattach(f, 'sourceRef'));
+
+  // flows inside the run go with it
+  const inRun = new Set(region.members);
+  region.members
+    .flatMap((id) => ix.flowsFrom(id))
+    .filter((f) => f.parentNode === processEl && inRun.has(f.getAttribute('targetRef')))
+    .forEach((f) => removeFlowCascade(ctx, f));
+  return subId;
+}
+
+// --- MASK ---
+
+// Whether the privacy rule masks a unit with privacy `p`; units without a numeric privacy stay
+function masksPrivacy(p, threshold, dir) {
+  if (!Number.isFinite(p)) return false;
+  return dir === 'above' ? p >= threshold : p < threshold;
+}
+
+// processEl: the process or sub-process whose direct children may be masked
+// options: the run's options (DEFAULT_OPTIONS) mask mode reads:
+//   privacy, privacyDir, messageFlows, expandCollapsed, maskStyle;
+//   maskIds (optional): mask exactly these units instead of applying the privacy rule;
+//   holes (optional): Map of plane -> bounds of removed shapes, for --compact to close once
+//   every scope is masked (compactLayout);
+//   leaks: look for empty branches left between gateways (emptyBranchLeaks), and drop them unless 'report'
+// report (optional) collects masked ids, auto flows and gateways, see createReport()
+function maskByPrivacy(ix, doc, defs, processEl, options = {}, report = null) {
+  const {
+    privacy = DEFAULT_OPTIONS.privacy,
+    privacyDir = 'above',
+    messageFlows = 'reroute',
+    expandCollapsed = false,
+    maskStyle = 'remove',
+    maskIds = null,
+    holes = null,
+    leaks = null,
+  } = options;
+  if (!MASK_STYLES.includes(maskStyle)) throw new OptionError(`Unknown mask style "${maskStyle}" (use ${MASK_STYLES.join('|')})`);
+  const plane = planeFor(ix, doc, defs, processEl);
+  const rootProcess = rootProcessOf(processEl);
+  const tasks = getTaskList(ix, processEl, expandCollapsed);
+  const byId = new Map(tasks.map((t) => [t.getAttribute('id'), t]));
+
+  const listed = maskIds ? new Set(maskIds) : null;
+  const maskedIds = [];
+
+  tasks.forEach((t) => {
+    // an explicit id list replaces the privacy rule
+    const id = t.getAttribute('id');
+    if (listed ? listed.has(id) : masksPrivacy(cplNumber(t, 'privacy'), privacy, privacyDir)) maskedIds.push(id);
+  });
+  if (maskedIds.length === 0) return 0;
+
+  const allFlows = childElements(processEl, 'bpmn:sequenceFlow');
+  const flowsBySource = new Map();
+  const flowsByTarget = new Map();
+  allFlows.forEach((f) => {
+    const s = f.getAttribute('sourceRef');
+    const t = f.getAttribute('targetRef');
+    if (!flowsBySource.has(s)) flowsBySource.set(s, []);
+    if (!flowsByTarget.has(t)) flowsByTarget.set(t, []);
+    flowsBySource.get(s).push(f);
+    flowsByTarget.get(t).push(f);
+  });
+
+  const ctx = {
+    doc,
+    ix,
+    defs,
+    plane,
+    processEl,
+    rootProcess,
+    ids: {},
+    autoFlowIds: new Set(),
+    autoGatewayIds: new Set(),
+    touched: new Set(),
+    collapsedGateways: [],
+    masked: new Set(maskedIds),
+    removed: [], // bounds of removed shapes, for compactLayout
+  };
+  const maskedSet = ctx.masked;
+
+  const regions = [];
+  const seen = new Set();
+  maskedIds.forEach((mid) => {
+    if (seen.has(mid)) return;
+    const region = collectMaskedRegion(mid, flowsBySource, flowsByTarget, maskedSet);
+    region.members.forEach((m) => seen.add(m));
+    regions.push(region);
+  });
+
+  // what each masked id is replaced by (placeholder / collapse), reported and used for message flows
+  const replacementOf = new Map();
+  // ids inside masked sub-processes disappear in every style
+  const nestedIds = new Set();
+  maskedIds.forEach((mid) => select('.//*[@id]', byId.get(mid)).forEach((n) => nestedIds.add(n.getAttribute('id'))));
+
+  if (maskStyle === 'placeholder') {
+    handleMaskedMessageFlows(ctx, nestedIds, messageFlows);
+    maskedIds.forEach((mid) => {
+      replaceWithPlaceholder(ctx, byId.get(mid));
+      replacementOf.set(mid, mid);
+    });
+  } else if (maskStyle === 'collapse') {
+    regions.forEach((region) => {
+      const subId = collapseMaskedRegion(ctx, region, byId);
+      region.members.forEach((mid) => {
+        replacementOf.set(mid, subId);
+        select('.//*[@id]', byId.get(mid)).forEach((n) => replacementOf.set(n.getAttribute('id'), subId));
+      });
+    });
+    handleMaskedMessageFlows(ctx, new Set([...maskedIds, ...nestedIds]), messageFlows, replacementOf);
+    maskedIds.forEach((mid) => removeMaskedNode(ctx, byId.get(mid)));
+  } else {
+    // ---- BYPASS EACH MASKED REGION BEFORE REMOVALS ----
+    regions.forEach((region) => bypassMaskedRegion(ctx, region));
+    ctx.autoGatewayIds.forEach((id) => ctx.touched.add(id));
+
+    // ---- message flows of masked tasks (and of anything inside masked sub-processes) ----
+    handleMaskedMessageFlows(ctx, new Set([...maskedIds, ...nestedIds]), messageFlows);
+
+    // ---- THEN remove touching flows and masked nodes ----
+    const removedFlowIds = new Set();
+    maskedIds.forEach((mid) => {
+      // Remove all flows touching the masked task (safely, once)
+      const toRemove = (flowsByTarget.get(mid) || []).concat(flowsBySource.get(mid) || []);
+      toRemove.forEach((f) => {
+        const fid = f.getAttribute('id');
+        if (!fid || removedFlowIds.has(fid)) return;
+        removeFlowCascade(ctx, f);
+        removedFlowIds.add(fid);
+      });
+      removeMaskedNode(ctx, byId.get(mid));
+    });
+
+    // ---- FINALLY drop gateways that have nothing left to route ----
+    collapsePassThroughGateways(ctx);
+
+    if (leaks) {
+      const where = { process: rootProcess.getAttribute('id'), scope: processEl.getAttribute('id') };
+      emptyBranchLeaks(ctx, leaks !== 'report').forEach((l) => report && report.leaks.push({ ...l, ...where }));
+    }
+  }
+  if (holes && ctx.removed.length) holes.set(plane, [...(holes.get(plane) || []), ...ctx.removed]);
+
+  if (report) {
+    const where = { process: rootProcess.getAttribute('id'), scope: processEl.getAttribute('id') };
+    maskedIds.forEach((id) =>
+      report.masked.push(replacementOf.has(id) ? { id, replacement: replacementOf.get(id), ...where } : { id, ...where })
+    );
+    // flows generated and spliced away again by the gateway collapse are not listed
+    [...ctx.autoFlowIds]
+      .map((id) => ctx.ix.child(processEl, id))
+      .filter(Boolean)
+      .forEach((f) =>
+        report.autoFlows.push({
+          id: f.getAttribute('id'),
+          sourceRef: f.getAttribute('sourceRef'),
+          targetRef: f.getAttribute('targetRef'),
+          ...where,
+        })
+      );
+    ctx.autoGatewayIds.forEach((id) => report.autoGateways.push({ id, ...where }));
+    ctx.collapsedGateways.forEach((id) => report.collapsedGateways.push({ id, ...where }));
+  }
+
+  return maskedIds.length;
+}
+
+// --- PRIVACY ANALYSIS (mask mode) ---
+//
+// A task can give away what masking hides without being masked itself: it
+// reads the same data as a private task, or its name, documentation or a note
+// next to it mentions one. --propagate spreads privacy to such neighbours
+// before the rule is applied; --leaks looks for what is left afterwards.
+
+const PROPAGATION_RULES = ['max', 'decay'];
+const LEAK_MODES = ['report', 'scrub', 'mask'];
+// shorter names would be found in every other label
+const MIN_MENTION_LENGTH = 3;
+
+// Units of every scope of the selected processes: [{ el, id, scope, process }]
+function maskUnits(ix, doc, opts) {
+  const units = [];
+  selectProcesses(doc, opts.participants).forEach(({ processEl }) =>
+    getScopes(ix, processEl, opts.expandCollapsed).forEach((scope) =>
+      getTaskList(ix, scope, opts.expandCollapsed).forEach((el) =>
+        units.push({ el, id: el.getAttribute('id'), scope, process: processEl.getAttribute('id') })
+      )
+    )
+  );
+  return units;
+}
+
+// Ids of opts.maskIds that are no unit of the selected processes
+function missingMaskIds(ix, doc, opts) {
+  const units = new Set(maskUnits(ix, doc, opts).map((u) => u.id));
+  return opts.maskIds.filter((id) => !units.has(id));
+}
+
+/**
+ * Privacy every unit gets from its neighbours: units that read or write the
+ * same data object or data store, and units joined by a sequence flow with
+ * cpl:coupling ≥ minCoupling. Privacy spreads in the direction that masks
+ * (upwards with privacyDir=above, downwards with below) and only where it
+ * makes a unit more private; with rule `decay` it weakens by `decay` per hop,
+ * with `max` it reaches every connected unit unchanged. Returns, aligned with
+ * `units`, { privacy, effective, path } where `path` runs from the unit the
+ * value comes from (through the data it went by) to this one, and is empty
+ * when the unit keeps its own value.
+ */
+function propagatePrivacy(ix, units, rule, decay, minCoupling, privacyDir) {
+  const level = (p) => (privacyDir === 'above' ? p : 1 - p);
+  const loss = rule === 'decay' ? decay : 0;
+  const nodes = units.map((u) => u.id);
+  const out = units.map(() => []);
+
+  const byScope = new Map();
+  units.forEach((u, i) => (byScope.has(u.scope) ? byScope.get(u.scope).push(i) : byScope.set(u.scope, [i])));
+  byScope.forEach((members, scope) => {
+    couplingGraph(members.map((i) => units[i].el), childElements(scope, 'bpmn:sequenceFlow'))
+      .edges.filter((e) => e.w >= minCoupling)
+      .forEach((e) => {
+        out[members[e.a]].push({ to: members[e.b], loss });
+        out[members[e.b]].push({ to: members[e.a], loss });
+      });
+  });
+  // one node per data object or store: a unit reading what another writes is one hop away
+  const dataNode = new Map();
+  dataAccessSets(ix, units.map((u) => u.el)).forEach((set, i) =>
+    set.forEach((d) => {
+      if (!dataNode.has(d)) {
+        dataNode.set(d, nodes.length);
+        nodes.push(d);
+        out.push([]);
+      }
+      out[i].push({ to: dataNode.get(d), loss: 0 });
+      out[dataNode.get(d)].push({ to: i, loss });
+    })
+  );
+
+  // Dijkstra from every unit with a privacy at once, highest level first
+  const best = nodes.map(() => -Infinity);
+  const prev = nodes.map(() => -1);
+  const heap = minHeap();
+  units.forEach((u, i) => {
+    const p = cplNumber(u.el, 'privacy');
+    if (!Number.isFinite(p)) return;
+    best[i] = level(p);
+    heap.push(-best[i], i);
+  });
+  while (heap.size()) {
+    const [cost, , i] = heap.pop();
+    if (-cost < best[i]) continue;
+    out[i].forEach(({ to, loss: l }) => {
+      const v = best[i] - l;
+      if (v <= 0 || v <= best[to] + 1e-9) return;
+      best[to] = v;
+      prev[to] = i;
+      heap.push(-v, to);
+    });
+  }
+
+  return units.map((u, i) => {
+    const privacy = cplNumber(u.el, 'privacy');
+    if (prev[i] < 0) return { privacy, effective: privacy, path: [] };
+    const path = [];
+    for (let k = i; k >= 0; k = prev[k]) path.unshift(nodes[k]);
+    return { privacy, effective: round3(level(best[i])), path };
+  });
+}
+
+// Words that give a unit away: its id, its name and the names of activities inside it
+function unitLabels(units) {
+  return new Map(
+    units.map((u) => [
+      u.id,
+      [u.el, ...descendantElements(u.el).filter(isActivity)]
+        .map((a) => a.getAttribute('name'))
+        .concat(u.id)
+        .map(normalizeLabel)
+        .filter((l) => l.length >= MIN_MENTION_LENGTH),
+    ])
+  );
+}
+
+/**
+ * Finder for the units of `labels` (id → unitLabels() words) named in a text.
+ * Labels match case-insensitively, as whole words. Returns text → [id].
+ */
+function mentionFinder(labels) {
+  const owners = new Map();
+  labels.forEach((words, id) =>
+    words.forEach((w) => {
+      const key = w.toLowerCase();
+      if (!owners.has(key)) owners.set(key, new Set());
+      owners.get(key).add(id);
+    })
+  );
+  if (!owners.size) return () => [];
+  const alternatives = [...owners.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('|');
+  const re = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})(?![\\p{L}\\p{N}_])`, 'giu');
+  return (text) => {
+    const found = new Set();
+    for (const m of normalizeLabel(text).matchAll(re)) {
+      (owners.get(m[0].toLowerCase()) || []).forEach((id) => found.add(id));
+    }
+    return [...found];
+  };
+}
+
+/**
+ * Decide what mask() masks before anything changes: the privacy rule on the
+ * propagated privacy (with opts.propagate), then, with leaks=mask, every unit
+ * whose name or documentation mentions a masked one, until no more are added.
+ * Returns { maskIds, propagated, labels, leaks }; maskIds stays opts.maskIds
+ * when neither applies, so the run masks by the plain rule.
+ */
+function planMask(ix, doc, opts) {
+  const units = maskUnits(ix, doc, opts);
+  const labels = unitLabels(units);
+  const propagated = [];
+  const leaks = [];
+  let masked;
+  if (opts.maskIds) masked = new Set(opts.maskIds);
+  else {
+    const { propagate, propagateDecay, propagateCoupling, privacyDir } = opts;
+    const spread = propagate
+      ? propagatePrivacy(ix, units, propagate, propagateDecay, propagateCoupling, privacyDir)
+      : null;
+    masked = new Set();
+    units.forEach((u, i) => {
+      const p = spread ? spread[i].effective : cplNumber(u.el, 'privacy');
+      if (masksPrivacy(p, opts.privacy, privacyDir)) masked.add(u.id);
+      if (!spread || !spread[i].path.length) return;
+      const { privacy, effective, path } = spread[i];
+      propagated.push({
+        id: u.id,
+        privacy: Number.isFinite(privacy) ? privacy : null,
+        effective,
+        from: path[0],
+        hops: path.filter((id) => labels.has(id)).length - 1,
+        path,
+        process: u.process,
+        scope: u.scope.getAttribute('id'),
+      });
+    });
+  }
+
+  if (opts.leaks === 'mask') {
+    for (let grown = true; grown; ) {
+      grown = false;
+      const mentionsIn = mentionFinder(new Map([...labels].filter(([id]) => masked.has(id))));
+      units
+        .filter((u) => !masked.has(u.id))
+        .forEach((u) => {
+          const texts = [['name', u.el.getAttribute('name')]].concat(
+            childElements(u.el, 'bpmn:documentation').map((d) => ['documentation', d.textContent])
+          );
+          const hit = texts
+            .map(([kind, text]) => ({ kind, text, mentions: text ? mentionsIn(text) : [] }))
+            .find((t) => t.mentions.length);
+          if (!hit) return;
+          leaks.push({
+            kind: hit.kind,
+            id: u.id,
+            text: normalizeLabel(hit.text),
+            mentions: hit.mentions,
+            action: 'masked',
+            process: u.process,
+            scope: u.scope.getAttribute('id'),
+          });
+          masked.add(u.id);
+          grown = true;
+        });
+    }
+  }
+
+  const maskIds = (opts.propagate && !opts.maskIds) || leaks.length ? [...masked] : opts.maskIds;
+  return { maskIds, propagated, labels, leaks };
+}
+
+/**
+ * Bypass flows running straight from a split to a join: nothing is left on
+ * the branch, but the gateway pair still shows there was one. Between two
+ * parallel gateways such a branch does nothing, and `fix` drops it (the
+ * gateways collapse when that leaves them nothing to route). A branch of any
+ * other split decides where a case goes, so it stays. Returns the leaks,
+ * { kind: 'branch', id (the split), flow, target (the join), action }.
+ */
+function emptyBranchLeaks(ctx, fix) {
+  const { ix, processEl } = ctx;
+  const inScope = (flows) => flows.filter((f) => f.parentNode === processEl);
+  const leaks = [];
+  [...ctx.autoFlowIds].forEach((flowId) => {
+    const f = ix.child(processEl, flowId);
+    if (!f) return;
+    const splitId = f.getAttribute('sourceRef');
+    const joinId = f.getAttribute('targetRef');
+    const split = ix.child(processEl, splitId);
+    const join = ix.child(processEl, joinId);
+    if (!isGateway(split) || !isGateway(join)) return;
+    if (inScope(ix.flowsFrom(splitId)).length < 2 || inScope(ix.flowsTo(joinId)).length < 2) return;
+    const idle = split.localName === 'parallelGateway' && join.localName === 'parallelGateway';
+    const leak = { kind: 'branch', id: splitId, flow: flowId, target: joinId };
+    leaks.push(fix ? { ...leak, action: idle ? 'removed' : 'kept' } : leak);
+    if (!fix || !idle) return;
+    removeFlowCascade(ctx, f);
+    ctx.autoFlowIds.delete(flowId);
+    ctx.touched.add(splitId);
+    ctx.touched.add(joinId);
+  });
+  if (leaks.some((l) => l.action === 'removed')) collapsePassThroughGateways(ctx);
+  return leaks;
+}
+
+/**
+ * Text left in a masked model that names a masked unit (mentionsIn from
+ * mentionFinder()): text annotations, documentation, and the names of
+ * elements and fragments. Documentation is listed under the id of the element
+ * it documents. Returns [{ kind, id, text, mentions, process, scope, el }] in
+ * document order; process and scope are left out outside of processes.
+ */
+function textLeaks(doc, mentionsIn) {
+  const leaks = [];
+  const where = (el) => {
+    let scope = null;
+    for (let n = el.parentNode; n && n.nodeType === 1; n = n.parentNode) {
+      if (!scope && (isSubProcess(n) || n.localName === 'process')) scope = n.getAttribute('id');
+      if (n.namespaceURI === NS.bpmn && n.localName === 'process') return { process: n.getAttribute('id'), scope };
+    }
+    return {};
+  };
+  const check = (kind, id, text, el) => {
+    const mentions = text ? mentionsIn(text) : [];
+    if (mentions.length) leaks.push({ kind, id, text: normalizeLabel(text), mentions, ...where(el), el });
+  };
+  descendantElements(doc.documentElement, 'bpmn:*').forEach((el) => {
+    const id = el.getAttribute('id');
+    if (el.localName === 'textAnnotation') {
+      check('annotation', id, childElements(el, 'bpmn:text').map((t) => t.textContent).join('\n'), el);
+    } else if (el.localName === 'documentation') {
+      check('documentation', el.parentNode.getAttribute('id'), el.textContent, el);
+    } else if (el.localName === 'categoryValue') {
+      check('name', id, el.getAttribute('value'), el);
+    } else check('name', id, el.getAttribute('name'), el);
+  });
+  return leaks;
+}
+
+// Take the text of textLeaks() out: annotations go with their associations and DI, names are removed
+function scrubTextLeaks(ix, doc, leaks) {
+  if (!leaks.length) return;
+  leaks.forEach(({ kind, id, el }) => {
+    if (kind === 'annotation') {
+      ix.associations(id, doc).forEach((a) => {
+        removeDIEdgeForElement(ix, doc, a.getAttribute('id'));
+        ix.remove(a);
+      });
+      removeDIShapeForElement(ix, doc, id);
+      ix.remove(el);
+    } else if (kind === 'documentation') ix.remove(el);
+    else ix.set(el, el.localName === 'categoryValue' ? 'value' : 'name', null);
+  });
+  ix.flush();
+}
+
+// Tasks fragment() left out under --min-fragment-size, for the console; at most `limit` ids
+function unplacedToText({ unplaced }, minSize, limit = 10) {
+  if (!unplaced.length) return '';
+  const ids = unplaced.slice(0, limit).map((u) => u.id);
+  const more = unplaced.length > limit ? `, … and ${unplaced.length - limit} more (see --report)` : '';
+  const why = `below --min-fragment-size=${minSize} with no neighbour to join`;
+  return `Left ${unplaced.length} task(s) out of every fragment, ${why}: ${ids.join(', ')}${more}\n`;
+}
+
+// A leak the output still has: reported only, or a branch that had to stay
+const isResidualLeak = (l) => !l.action || l.action === 'kept';
+
+// What --propagate and --leaks found in a mask() result, for the console; at most `limit` lines per list
+function maskAnalysisToText(result, limit = 10) {
+  const lines = [];
+  const more = (list) => {
+    if (list.length > limit) lines.push(`  … and ${list.length - limit} more (see --report)`);
+  };
+  const { propagated, leaks } = result;
+  if (result.report.settings.propagate) {
+    lines.push(`Propagated privacy to ${propagated.length} task(s)`);
+    propagated.slice(0, limit).forEach((p) => {
+      const via = p.path.length > 2 ? p.path.slice(1, -1).join(' → ') : 'a coupled flow';
+      lines.push(`  ${p.id}: ${p.privacy == null ? 'none' : p.privacy} → ${p.effective} from ${p.from} via ${via}`);
+    });
+    more(propagated);
+  }
+  if (result.report.settings.leaks) {
+    lines.push(`Found ${leaks.length} leak(s), ${leaks.filter(isResidualLeak).length} left in the output`);
+    leaks.slice(0, limit).forEach((l) => {
+      const what =
+        l.kind === 'branch' ? `${l.id} → ${l.target} (${l.flow})` : `${l.id} "${l.text}" names ${l.mentions.join(', ')}`;
+      lines.push(`  ${l.kind} ${what}${l.action ? `: ${l.action}` : ''}`);
+    });
+    more(leaks);
+  }
+  return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+// --- REPORT ---
+
+// Accumulator filled by fragmentByCoupling / maskByPrivacy across all scopes
+function createReport(mode, settings) {
+  return {
+    mode,
+    settings,
+    // fragment mode
+    fragments: [],
+    units: 0,
+    singletons: 0,
+    totalWeight: 0,
+    cutWeight: 0,
+    modularityTerms: [],
+    partition: [], // member ids of every group, drawn or not
+    unplaced: [], // tasks of groups below minSize that could not merge
+    edgeWeights: [], // every coupling-graph weight (flow and data)
+    inferredCouplings: [], // pairs with data coupling (dataCoupling on)
+    // mask mode
+    masked: [],
+    autoFlows: [],
+    autoGateways: [],
+    collapsedGateways: [],
+    propagated: [], // units whose privacy came from a neighbour (propagate on)
+    leaks: [], // what could give masked units away (leaks on)
+  };
+}
+
+/**
+ * Final report object. Modularity is Newman's weighted modularity of the
+ * whole partition (every unit, also the ones not drawn as a group) over all
+ * numeric cpl:coupling flows: sum over groups of L/m - (d/2m)^2.
+ */
+function finishReport(report) {
+  const { mode, settings } = report;
+  if (mode === 'mask') {
+    const result = {
+      mode,
+      settings,
+      model: {
+        masked: report.masked.length,
+        autoFlows: report.autoFlows.length,
+        autoGateways: report.autoGateways.length,
+        collapsedGateways: report.collapsedGateways.length,
+      },
+      masked: report.masked,
+      autoFlows: report.autoFlows,
+      autoGateways: report.autoGateways,
+      collapsedGateways: report.collapsedGateways,
+    };
+    if (settings.propagate) {
+      result.model.propagated = report.propagated.length;
+      result.propagated = report.propagated;
+    }
+    if (settings.leaks) {
+      result.model.leaks = report.leaks.length;
+      result.model.residualLeaks = report.leaks.filter(isResidualLeak).length;
+      result.leaks = report.leaks;
+    }
+    return result;
+  }
+
+  const m = report.totalWeight;
+  const modularity = m
+    ? round3(report.modularityTerms.reduce((q, { internal, degree }) => q + internal / m - (degree / (2 * m)) ** 2, 0))
+    : null;
+  const result = {
+    mode,
+    settings,
+    model: {
+      units: report.units,
+      fragments: report.fragments.length,
+      singletons: report.singletons,
+      modularity,
+      cutWeight: round3(report.cutWeight),
+      totalWeight: round3(m),
+    },
+    fragments: report.fragments,
+  };
+  if (settings.minSize > 1) {
+    result.model.unplaced = report.unplaced.length;
+    result.unplaced = report.unplaced;
+  }
+  if (settings.dataCoupling) {
+    result.model.inferredCouplings = report.inferredCouplings.length;
+    result.inferredCouplings = report.inferredCouplings;
+  }
+  return result;
+}
+
+function csvCell(v) {
+  if (v == null) return '';
+  const s = Array.isArray(v) ? v.join(' ') : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvTable(columns, rows) {
+  return [columns.join(','), ...rows.map((r) => columns.map((c) => csvCell(r[c])).join(','))].join('\n') + '\n';
+}
+
+/**
+ * One CSV row per record with a leading `type` column: `model` for the
+ * whole-model figures, then `fragment` rows (fragment mode), `masked`,
+ * `autoFlow`, `autoGateway`, `collapsedGateway`, `propagated` and `leak` rows (mask mode) or
+ * `masked` and `failingTrace` rows (log mode).
+ */
+function reportToCsv(r) {
+  const modelRow = { type: 'model', ...r.model };
+  if (r.mode === 'views') {
+    // one column per party in the task rows
+    const names = r.parties.map((p) => p.party);
+    const columns = [
+      'type',
+      'id',
+      'name',
+      'process',
+      'privacy',
+      'party',
+      'clearance',
+      'file',
+      'own',
+      'visible',
+      'masked',
+      'autoFlows',
+      ...Object.keys(r.model),
+      ...names.map((n) => `view:${n}`),
+    ];
+    return csvTable(columns, [
+      modelRow,
+      ...r.parties.map((p) => ({ type: 'party', ...p })),
+      ...r.matrix.map(({ views: seen, ...u }) => ({
+        type: 'task',
+        ...u,
+        ...Object.fromEntries(names.map((n) => [`view:${n}`, seen[n]])),
+      })),
+    ]);
+  }
+  if (r.mode === 'log') {
+    const columns = ['type', 'id', 'process', 'scope', 'replacement', 'trace', 'event', 'activity', 'reason', ...Object.keys(r.model)];
+    return csvTable(columns, [
+      modelRow,
+      ...r.masked.map((x) => ({ type: 'masked', ...x })),
+      ...r.failing.map((x) => ({ type: 'failingTrace', ...x })),
+    ]);
+  }
+  if (r.mode === 'mask') {
+    const columns = [
+      'type',
+      'id',
+      'process',
+      'scope',
+      'replacement',
+      'sourceRef',
+      'targetRef',
+      ...(r.propagated ? ['privacy', 'effective', 'from', 'hops', 'path'] : []),
+      ...(r.leaks ? ['kind', 'text', 'mentions', 'flow', 'target', 'action'] : []),
+      ...Object.keys(r.model),
+    ];
+    return csvTable(columns, [
+      modelRow,
+      ...r.masked.map((x) => ({ type: 'masked', ...x })),
+      ...r.autoFlows.map((x) => ({ type: 'autoFlow', ...x })),
+      ...r.autoGateways.map((x) => ({ type: 'autoGateway', ...x })),
+      ...r.collapsedGateways.map((x) => ({ type: 'collapsedGateway', ...x })),
+      ...(r.propagated || []).map((x) => ({ type: 'propagated', ...x })),
+      ...(r.leaks || []).map((x) => ({ type: 'leak', ...x })),
+    ]);
+  }
+  const columns = [
+    'type',
+    'id',
+    'name',
+    'process',
+    'scope',
+    'size',
+    'members',
+    'internalEdges',
+    'avgCoupling',
+    'minCoupling',
+    'crossCoupling',
+    'privacyMin',
+    'privacyMax',
+    'privacyMean',
+    'privacyBand',
+    'boxes',
+    'crowded',
+    ...(r.inferredCouplings ? ['sourceRef', 'targetRef', 'dataCoupling', 'flowCoupling', 'coupling'] : []),
+    ...Object.keys(r.model),
+  ];
+  return csvTable(columns, [
+    modelRow,
+    ...r.fragments.map((f) => ({ type: 'fragment', ...f })),
+    ...(r.unplaced || []).map((u) => ({ type: 'unplaced', ...u })),
+    ...(r.inferredCouplings || []).map((c) => ({ type: 'inferredCoupling', ...c })),
+  ]);
+}
+
+// `r` is a finished report (finishReport)
+function writeReport(path, r) {
+  if (/\.json$/i.test(path)) fs.writeFileSync(path, JSON.stringify(r, null, 2) + '\n', 'utf8');
+  else if (/\.csv$/i.test(path)) fs.writeFileSync(path, reportToCsv(r), 'utf8');
+  else throw new OptionError(`--report must end in .json or .csv: ${path}`);
+}
+
+// --- EXPORT (fragment mode) ---
+
+const EVENT_SIZE = 36;
+
+function definitionsSkeleton(id) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<bpmn:definitions xmlns:bpmn="${NS.bpmn}" xmlns:bpmndi="${NS.bpmndi}" xmlns:dc="${NS.dc}" xmlns:di="${NS.di}" xmlns:cpl="${NS.cpl}" id="${id}" targetNamespace="http://bpmn.io/schema/bpmn"/>`;
+}
+
+function createShape(doc, elId, r) {
+  const shape = doc.createElementNS(NS.bpmndi, 'bpmndi:BPMNShape');
+  shape.setAttribute('id', elId + '_di');
+  shape.setAttribute('bpmnElement', elId);
+  const b = doc.createElementNS(NS.dc, 'dc:Bounds');
+  [['x', r.x], ['y', r.y], ['width', r.w], ['height', r.h]].forEach(([k, v]) => b.setAttribute(k, String(v)));
+  shape.appendChild(b);
+  return shape;
+}
+
+function createEdge(doc, elId, points) {
+  const edge = doc.createElementNS(NS.bpmndi, 'bpmndi:BPMNEdge');
+  edge.setAttribute('id', elId + '_di');
+  edge.setAttribute('bpmnElement', elId);
+  points.forEach((p) => {
+    const wp = doc.createElementNS(NS.di, 'di:waypoint');
+    wp.setAttribute('x', String(Math.round(p.x)));
+    wp.setAttribute('y', String(Math.round(p.y)));
+    edge.appendChild(wp);
+  });
+  return edge;
+}
+
+function createFlowElement(doc, id, src, tgt) {
+  const f = doc.createElementNS(NS.bpmn, 'bpmn:sequenceFlow');
+  f.setAttribute('id', id);
+  f.setAttribute('sourceRef', src);
+  f.setAttribute('targetRef', tgt);
+  return f;
+}
+
+/**
+ * Work out the boundary of every exported fragment, each inside its scope.
+ * A cut flow leaving fragment X is an exit point of X, a cut flow entering Y
+ * an entry point of Y. An exit is wired to an entry when the entry flow can be
+ * reached from the exit flow through nodes that are not clustered themselves
+ * (gateways, events), e.g. X -> XOR -> Y. The walk enters an expanded
+ * sub-process at its start events and leaves it from its end events, so the
+ * fragments inside it are wired in between those before and after it.
+ */
+function fragmentBoundaries(ix, fragments, expandCollapsed) {
+  const fragmentOf = new Map();
+  fragments.forEach((fr) => fr.members.forEach((id) => fragmentOf.set(id, fr.id)));
+  const boundary = new Map(fragments.map((fr) => [fr.id, { internal: [], entries: [], exits: [] }]));
+  new Set(fragments.map((fr) => fr.scope)).forEach((scopeId) => {
+    childElements(ix.get(scopeId), 'bpmn:sequenceFlow').forEach((f) => {
+      const from = fragmentOf.get(f.getAttribute('sourceRef'));
+      const to = fragmentOf.get(f.getAttribute('targetRef'));
+      if (from && from === to) boundary.get(from).internal.push(f);
+      else {
+        if (to) boundary.get(to).entries.push(f);
+        if (from) boundary.get(from).exits.push(f);
+      }
+    });
+  });
+
+  // flows the walk takes from a node that is not clustered
+  const next = (id) => {
+    const el = ix.get(id);
+    if (isSubProcess(el)) {
+      const starts = childElements(el, 'bpmn:startEvent').flatMap((s) => ix.flowsFrom(s.getAttribute('id')));
+      if (starts.length) return starts;
+    }
+    const out = ix.flowsFrom(id);
+    if (out.length || !el || !isSubProcess(el.parentNode)) return out;
+    return ix.flowsFrom(el.parentNode.getAttribute('id'));
+  };
+  const links = [];
+  boundary.forEach(({ exits }, from) => {
+    exits.forEach((exit) => {
+      const seen = new Set();
+      const queue = [exit];
+      while (queue.length) {
+        const f = queue.shift();
+        if (seen.has(f)) continue;
+        seen.add(f);
+        const tgt = f.getAttribute('targetRef');
+        const to = fragmentOf.get(tgt);
+        if (to && to !== from) links.push({ exit, entry: f, from, to });
+        else if (!isTaskUnit(ix, ix.get(tgt), expandCollapsed)) queue.push(...next(tgt));
+      }
+    });
+  });
+  return { boundary, links };
+}
+
+/**
+ * Build the standalone model of one fragment as a list of semantic nodes and
+ * DI elements, owned by `out` (the document they will be written to). Member
+ * tasks keep their ids; every entry/exit flow gets a start/end event
+ * (Entry_<flow>/Exit_<flow>), a message event when another fragment is wired
+ * to it.
+ */
+function fragmentModel(ix, doc, defs, out, scopeEl, fragment, boundary, links) {
+  const plane = planeFor(ix, doc, defs, scopeEl);
+  const bmap = boundsMap(plane);
+  const processId = `Process_${fragment.id}`;
+  const nodes = [];
+  const di = [];
+  const boundsOf = new Map();
+
+  fragment.members.forEach((id) => {
+    const el = out.importNode(elementById(scopeEl, id), true);
+    select('./bpmn:incoming|./bpmn:outgoing', el).forEach((n) => el.removeChild(n));
+    nodes.push(el);
+    const shape = select(`.//bpmndi:BPMNShape[@bpmnElement="${id}"]`, plane)[0];
+    if (shape) di.push(out.importNode(shape, true));
+    else di.push(createShape(out, id, { x: 100, y: 100, w: 100, h: 80 }));
+    boundsOf.set(id, bmap.get(id) || { x: 100, y: 100, w: 100, h: 80 });
+  });
+
+  boundary.internal.forEach((f) => {
+    nodes.push(out.importNode(f, true));
+    const edge = select(`.//bpmndi:BPMNEdge[@bpmnElement="${f.getAttribute('id')}"]`, plane)[0];
+    if (edge) di.push(out.importNode(edge, true));
+  });
+
+  // one event per cut flow, stacked 50px apart beside the task it belongs to
+  const stacked = new Map();
+  const addEvent = (f, kind) => {
+    const entry = kind === 'entry';
+    const taskId = f.getAttribute(entry ? 'targetRef' : 'sourceRef');
+    const outside = elementById(scopeEl, f.getAttribute(entry ? 'sourceRef' : 'targetRef'));
+    const wired = links.some((l) => (entry ? l.entry : l.exit) === f);
+    const eventId = `${entry ? 'Entry' : 'Exit'}_${f.getAttribute('id')}`;
+
+    const ev = out.createElementNS(NS.bpmn, entry ? 'bpmn:startEvent' : 'bpmn:endEvent');
+    ev.setAttribute('id', eventId);
+    const name = outside && outside.getAttribute('name');
+    if (name) ev.setAttribute('name', name);
+    if (wired) {
+      const def = out.createElementNS(NS.bpmn, 'bpmn:messageEventDefinition');
+      def.setAttribute('id', eventId + '_MED');
+      ev.appendChild(def);
+    }
+    nodes.push(ev);
+
+    const key = `${kind}:${taskId}`;
+    const k = stacked.get(key) || 0;
+    stacked.set(key, k + 1);
+    const b = boundsOf.get(taskId);
+    const r = {
+      x: entry ? b.x - 50 - EVENT_SIZE : b.x + b.w + 50,
+      y: b.y + b.h / 2 - EVENT_SIZE / 2 + k * 50,
+      w: EVENT_SIZE,
+      h: EVENT_SIZE,
+    };
+    di.push(createShape(out, eventId, r));
+    boundsOf.set(eventId, r);
+
+    const flowId = `${eventId}_Flow`;
+    const cy = clamp(r.y + EVENT_SIZE / 2, b.y, b.y + b.h);
+    nodes.push(entry ? createFlowElement(out, flowId, eventId, taskId) : createFlowElement(out, flowId, taskId, eventId));
+    di.push(
+      createEdge(
+        out,
+        flowId,
+        entry
+          ? [{ x: r.x + EVENT_SIZE, y: r.y + EVENT_SIZE / 2 }, { x: b.x, y: cy }]
+          : [{ x: b.x + b.w, y: cy }, { x: r.x, y: r.y + EVENT_SIZE / 2 }]
+      )
+    );
+  };
+  boundary.entries.forEach((f) => addEvent(f, 'entry'));
+  boundary.exits.forEach((f) => addEvent(f, 'exit'));
+
+  let minx = Infinity,
+    miny = Infinity,
+    maxx = -Infinity,
+    maxy = -Infinity;
+  boundsOf.forEach((b) => {
+    minx = Math.min(minx, b.x);
+    miny = Math.min(miny, b.y);
+    maxx = Math.max(maxx, b.x + b.w);
+    maxy = Math.max(maxy, b.y + b.h);
+  });
+
+  return { fragment, processId, nodes, di, boundsOf, bbox: { x: minx, y: miny, w: maxx - minx, h: maxy - miny } };
+}
+
+// Shift every Bounds and waypoint below `el` by (dx, dy)
+function translateDI(el, dx, dy) {
+  select('.//dc:Bounds', el).forEach((b) => {
+    b.setAttribute('x', String(parseFloat(b.getAttribute('x')) + dx));
+    b.setAttribute('y', String(parseFloat(b.getAttribute('y')) + dy));
+  });
+  select('.//di:waypoint', el).forEach((w) => {
+    w.setAttribute('x', String(parseFloat(w.getAttribute('x')) + dx));
+    w.setAttribute('y', String(parseFloat(w.getAttribute('y')) + dy));
+  });
+}
+
+function appendProcess(out, model) {
+  const proc = out.createElementNS(NS.bpmn, 'bpmn:process');
+  proc.setAttribute('id', model.processId);
+  proc.setAttribute('name', model.fragment.id);
+  proc.setAttribute('isExecutable', 'false');
+  proc.setAttributeNS(NS.cpl, 'cpl:fragmentId', model.fragment.id);
+  model.nodes.forEach((n) => proc.appendChild(n));
+  out.documentElement.appendChild(proc);
+}
+
+function appendPlane(out, id, bpmnElement) {
+  const diagram = out.createElementNS(NS.bpmndi, 'bpmndi:BPMNDiagram');
+  diagram.setAttribute('id', `BPMNDiagram_${id}`);
+  const plane = out.createElementNS(NS.bpmndi, 'bpmndi:BPMNPlane');
+  plane.setAttribute('id', `BPMNPlane_${id}`);
+  plane.setAttribute('bpmnElement', bpmnElement);
+  diagram.appendChild(plane);
+  out.documentElement.appendChild(diagram);
+  return plane;
+}
+
+/**
+ * Write every fragment of the run as its own model (<dir>/<fragment id>.bpmn)
+ * plus <dir>/collaboration.bpmn, which holds all fragments as pools wired
+ * together by bpmn:messageFlow where a sequence flow was cut.
+ * `fragments` are the report records of the run (id, scope, members).
+ */
+function exportFragments(doc, defs, dir, fragments, expandCollapsed = false) {
+  fs.mkdirSync(dir, { recursive: true });
+  const written = [];
+  const collab = parseXml(definitionsSkeleton('Defs_Fragments'));
+  const collabModels = [];
+  const collabLinks = [];
+  const ix = modelIndex(doc);
+
+  const { boundary, links } = fragmentBoundaries(ix, fragments, expandCollapsed);
+  collabLinks.push(...links);
+  const byScope = new Map();
+  fragments.forEach((fr) => {
+    if (!byScope.has(fr.scope)) byScope.set(fr.scope, []);
+    byScope.get(fr.scope).push(fr);
+  });
+
+  byScope.forEach((scopeFragments, scopeId) => {
+    const scopeEl = ix.get(scopeId);
+    scopeFragments.forEach((fr) => {
+      const out = parseXml(definitionsSkeleton(`Defs_${fr.id}`));
+      const model = fragmentModel(ix, doc, defs, out, scopeEl, fr, boundary.get(fr.id), links);
+      appendProcess(out, model);
+      const plane = appendPlane(out, fr.id, model.processId);
+      model.di.forEach((n) => plane.appendChild(n));
+      const path = `${dir}/${fr.id}.bpmn`;
+      fs.writeFileSync(path, new XMLSerializer().serializeToString(out), 'utf8');
+      written.push(path);
+
+      collabModels.push(fragmentModel(ix, doc, defs, collab, scopeEl, fr, boundary.get(fr.id), links));
+    });
+  });
+
+  // collaboration: one pool per fragment, stacked top to bottom
+  const collaboration = collab.createElementNS(NS.bpmn, 'bpmn:collaboration');
+  collaboration.setAttribute('id', 'Collaboration_Fragments');
+  collab.documentElement.appendChild(collaboration);
+  collabModels.forEach((m) => appendProcess(collab, m));
+  const plane = appendPlane(collab, 'Fragments', 'Collaboration_Fragments');
+
+  const poolX = 100;
+  const labelBand = 30;
+  const pad = 30;
+  let y = 80;
+  const placed = new Map();
+  collabModels.forEach((m) => {
+    const participantId = `Participant_${m.fragment.id}`;
+    const participant = collab.createElementNS(NS.bpmn, 'bpmn:participant');
+    participant.setAttribute('id', participantId);
+    participant.setAttribute('name', m.fragment.id);
+    participant.setAttribute('processRef', m.processId);
+    collaboration.appendChild(participant);
+
+    const pool = { x: poolX, y, w: m.bbox.w + labelBand + 2 * pad, h: m.bbox.h + 2 * pad };
+    const shape = createShape(collab, participantId, pool);
+    shape.setAttribute('isHorizontal', 'true');
+    plane.appendChild(shape);
+
+    const dx = poolX + labelBand + pad - m.bbox.x;
+    const dy = y + pad - m.bbox.y;
+    m.di.forEach((n) => {
+      translateDI(n, dx, dy);
+      plane.appendChild(n);
+    });
+    m.boundsOf.forEach((b, id) => placed.set(id, { x: b.x + dx, y: b.y + dy, w: b.w, h: b.h }));
+    y += pool.h + 40;
+  });
+
+  // cut sequence flows, then message flows of the input that already ran between two fragments
+  const fragmentOf = new Map();
+  fragments.forEach((fr) => fr.members.forEach((id) => fragmentOf.set(id, fr.id)));
+  const wires = collabLinks.map((l) => {
+    const exitId = l.exit.getAttribute('id');
+    const entryId = l.entry.getAttribute('id');
+    return {
+      id: exitId === entryId ? `MessageFlow_${exitId}` : `MessageFlow_${exitId}_${entryId}`,
+      src: `Exit_${exitId}`,
+      tgt: `Entry_${entryId}`,
+    };
+  });
+  select('//bpmn:collaboration/bpmn:messageFlow', doc).forEach((mf) => {
+    const src = mf.getAttribute('sourceRef');
+    const tgt = mf.getAttribute('targetRef');
+    if (fragmentOf.has(src) && fragmentOf.has(tgt) && fragmentOf.get(src) !== fragmentOf.get(tgt)) {
+      wires.push({ id: mf.getAttribute('id'), src, tgt, name: mf.getAttribute('name') });
+    }
+  });
+
+  wires.forEach(({ id, src, tgt, name }) => {
+    const mf = collab.createElementNS(NS.bpmn, 'bpmn:messageFlow');
+    mf.setAttribute('id', id);
+    mf.setAttribute('sourceRef', src);
+    mf.setAttribute('targetRef', tgt);
+    if (name) mf.setAttribute('name', name);
+    collaboration.appendChild(mf);
+
+    // leave the source at the bottom or top, towards the other pool
+    const s = placed.get(src);
+    const t = placed.get(tgt);
+    const down = t.y > s.y;
+    plane.appendChild(
+      createEdge(collab, id, [
+        { x: s.x + s.w / 2, y: down ? s.y + s.h : s.y },
+        { x: t.x + t.w / 2, y: down ? t.y : t.y + t.h },
+      ])
+    );
+  });
+
+  const path = `${dir}/collaboration.bpmn`;
+  fs.writeFileSync(path, new XMLSerializer().serializeToString(collab), 'utf8');
+  written.push(path);
+  return written;
+}
+
+// --- UNMASK ---
+//
+// A mask run with --unmask-key writes a sidecar key holding what masking
+// removed, added and changed (unmaskKeyPayload), gzipped and encrypted
+// (AES-256-GCM, key derived from the passphrase with scrypt). --mode=unmask
+// replays it backwards on the masked file, keeping the edits made since as long
+// as none of them touches an element that masking removed, added or changed.
+
+const KEY_FORMAT = 'bpmn-unmask-key';
+
+function readPassphrase(opts) {
+  const pass = opts.passphraseFile
+    ? fs.readFileSync(opts.passphraseFile, 'utf8').trim()
+    : process.env.BPMN_UNMASK_PASSPHRASE;
+  if (!pass) throw new OptionError('--unmask-key needs a passphrase: use --passphrase-file=path or set BPMN_UNMASK_PASSPHRASE');
+  return pass;
+}
+
+function encryptKeyFile(payload, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(passphrase, salt, 32), iv);
+  const data = Buffer.concat([cipher.update(zlib.gzipSync(JSON.stringify(payload))), cipher.final()]);
+  return (
+    JSON.stringify(
+      {
+        format: KEY_FORMAT,
+        version: 2,
+        kdf: 'scrypt',
+        cipher: 'aes-256-gcm',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+      },
+      null,
+      2
+    ) + '\n'
+  );
+}
+
+function decryptKeyFile(text, passphrase) {
+  let box;
+  try {
+    box = JSON.parse(text);
+  } catch (e) {
+    box = null;
+  }
+  if (!box || box.format !== KEY_FORMAT) throw new UnmaskError('Not an unmask key file');
+  if (box.version !== 2) throw new UnmaskError(`Unsupported unmask key version ${box.version}`);
+  const salt = Buffer.from(box.salt, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', crypto.scryptSync(passphrase, salt, 32), Buffer.from(box.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+  try {
+    const plain = Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]);
+    return JSON.parse(zlib.gunzipSync(plain).toString('utf8'));
+  } catch (e) {
+    throw new UnmaskError('Wrong passphrase or damaged unmask key');
+  }
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+/**
+ * Every element with an id, with a signature of its own content: attributes,
+ * text and id-less children, but not the children that have an id of their
+ * own (those are compared separately). Parent and previous sibling (by id) say
+ * where it sits.
+ */
+function idIndex(doc) {
+  const index = new Map();
+  const serializer = new XMLSerializer();
+  const own = (el) => {
+    const copy = el.cloneNode(false);
+    for (let c = el.firstChild; c; c = c.nextSibling) {
+      if (c.nodeType === 1 && c.getAttribute('id')) continue;
+      copy.appendChild(c.nodeType === 1 ? own(c) : c.cloneNode(false));
+    }
+    return copy;
+  };
+  const walk = (el, parentId) => {
+    let prevId = null;
+    for (let c = el.firstChild; c; c = c.nextSibling) {
+      if (c.nodeType !== 1) continue;
+      const id = c.getAttribute('id');
+      if (id) {
+        index.set(id, { el: c, parentId, prevId, sig: serializer.serializeToString(own(c)) });
+        prevId = id;
+      }
+      walk(c, id || parentId);
+    }
+  };
+  const root = doc.documentElement;
+  index.set(root.getAttribute('id') || '', { el: root, parentId: null, prevId: null, sig: serializer.serializeToString(own(root)) });
+  walk(root, root.getAttribute('id') || '');
+  return index;
+}
+
+// Processing instruction that stands for a child with an id in a key record
+const SLOT = 'unmask-slot';
+
+// Copy of `el` with every element that has an id and passes `slot` (all of
+// them by default) left as a <?unmask-slot id?>, so the record only holds
+// what sits around them
+function slotted(el, slot = () => true) {
+  const doc = el.ownerDocument;
+  const copy = el.cloneNode(false);
+  for (let c = el.firstChild; c; c = c.nextSibling) {
+    const id = c.nodeType === 1 ? c.getAttribute('id') : null;
+    if (id && slot(id)) copy.appendChild(doc.createProcessingInstruction(SLOT, id));
+    else copy.appendChild(c.nodeType === 1 ? slotted(c, slot) : c.cloneNode(false));
+  }
+  return copy;
+}
+
+// Drop the namespace declarations a record picked up when it was written on
+// its own, now that it sits where its ancestors declare them
+function dropRedeclaredNs(el) {
+  const inScope = (node, name) => {
+    for (let n = node; n && n.nodeType === 1; n = n.parentNode) if (n.hasAttribute(name)) return n.getAttribute(name);
+    return null;
+  };
+  Array.from(el.attributes)
+    .filter((a) => a.name === 'xmlns' || a.name.startsWith('xmlns:'))
+    .forEach((a) => inScope(el.parentNode, a.name) === a.value && el.removeAttribute(a.name));
+  childElements(el).forEach(dropRedeclaredNs);
+}
+
+/**
+ * Undo a mask run. `maskedXml` is the (possibly edited) masked file, `key`
+ * the decrypted key (see unmaskKeyPayload). What masking removed goes back,
+ * what it changed gets its original content and children again, and what it
+ * added is taken out; everything else stays as it is in `maskedXml`, so later
+ * edits are kept. Returns { xml, edited } or throws when an edit touches
+ * something masking removed, added or changed.
+ */
+function restoreFromKey(maskedXml, key) {
+  const doc = parseXml(maskedXml);
+  const current = idIndex(doc);
+  const edited = sha256(maskedXml) !== key.maskedHash;
+  const added = new Set(key.added);
+  const records = (list) => list.map((xml) => parseXml(xml).documentElement);
+  const removed = records(key.removed);
+  const changed = records(key.changed);
+
+  const conflicts = [];
+  Object.entries(key.touched).forEach(([id, hash]) => {
+    const cur = current.get(id);
+    if (!cur || sha256(cur.sig) !== hash) conflicts.push(id);
+  });
+  removed.forEach((r) =>
+    [r, ...descendantElements(r)].forEach((el) => current.has(el.getAttribute('id')) && conflicts.push(el.getAttribute('id')))
+  );
+  // a new element may not sit inside one that masking added
+  current.forEach((cur, id) => !added.has(id) && added.has(cur.parentId) && conflicts.push(id));
+  if (conflicts.length) {
+    const ids = [...new Set(conflicts)];
+    throw new UnmaskError(`Cannot restore the original: the masked model was edited where masking changed it (${ids.join(', ')})`, ids);
+  }
+
+  const byId = new Map([...current].map(([id, cur]) => [id, cur.el]));
+  const childIds = new Map();
+  current.forEach((cur, id) => childIds.set(cur.parentId, [...(childIds.get(cur.parentId) || []), id]));
+  const placed = new Set();
+  // rebuild `target` below `record`, pulling the elements of its slots in by id
+  const fill = (target, record) => {
+    for (let c = record.firstChild; c; c = c.nextSibling) {
+      if (c.nodeType === 7 && c.target === SLOT) {
+        const el = byId.get(c.data);
+        // deleted since masking, which is an edit to keep
+        if (!el) continue;
+        placed.add(c.data);
+        target.appendChild(el);
+      } else if (c.nodeType === 1) {
+        const el = doc.importNode(c, false);
+        fill(el, c);
+        target.appendChild(el);
+      } else target.appendChild(doc.importNode(c, false));
+    }
+  };
+
+  removed.forEach((r) => {
+    const el = doc.importNode(r, false);
+    fill(el, r);
+    [el, ...descendantElements(el)].forEach((e) => e.getAttribute('id') && byId.set(e.getAttribute('id'), e));
+  });
+  changed.forEach((r) => {
+    const id = r.getAttribute('id') || '';
+    let el = byId.get(id);
+    // a placeholder keeps the id of the activity it stands for
+    if (el.nodeName !== r.nodeName) {
+      const original = doc.importNode(r, false);
+      if (el.parentNode) el.parentNode.replaceChild(original, el);
+      byId.set(id, original);
+      el = original;
+    }
+    while (el.attributes.length) el.removeAttribute(el.attributes[0].name);
+    for (let i = 0; i < r.attributes.length; i++) {
+      const a = r.attributes[i];
+      if (a.namespaceURI) el.setAttributeNS(a.namespaceURI, a.name, a.value);
+      else el.setAttribute(a.name, a.value);
+    }
+    while (el.firstChild) el.removeChild(el.firstChild);
+    fill(el, r);
+  });
+  // children added by later edits stay, after the sibling they followed or first
+  changed.forEach((r) => {
+    const id = r.getAttribute('id') || '';
+    const el = byId.get(id);
+    let prev = null;
+    (childIds.get(id) || []).forEach((childId) => {
+      const child = byId.get(childId);
+      if (!placed.has(childId) && !added.has(childId)) {
+        const first = childElements(el).find((c) => c.getAttribute('id'));
+        el.insertBefore(child, prev && prev.parentNode === el ? prev.nextSibling : first || null);
+        placed.add(childId);
+      }
+      if (placed.has(childId)) prev = child;
+    });
+    dropRedeclaredNs(el);
+  });
+
+  return { xml: new XMLSerializer().serializeToString(doc), edited };
+}
+
+/**
+ * Key for a finished mask run, holding only what masking changed:
+ * - `added`: ids it created (AutoFlows, AutoGateways, collapsed runs and their DI)
+ * - `removed`: what it took out (masked tasks, their flows and DI, collapsed
+ *   gateways), each subtree as XML
+ * - `changed`: elements it changed in place or whose children it removed,
+ *   added or moved, each with its original content and a slot per child
+ * - `touched`: a hash of every added and changed element as masking left it,
+ *   so unmask can tell whether it was edited since
+ */
+function unmaskKeyPayload(inputXml, maskedXml, settings) {
+  const orig = idIndex(parseXml(inputXml));
+  const masked = idIndex(parseXml(maskedXml));
+  const serializer = new XMLSerializer();
+  const added = [...masked.keys()].filter((id) => !orig.has(id));
+  const kept = [...orig.keys()].filter((id) => masked.has(id));
+  const gone = [...orig.keys()].filter((id) => !masked.has(id));
+  const moved = kept.filter((id) => masked.get(id).parentId !== orig.get(id).parentId);
+  const changed = new Set(kept.filter((id) => masked.get(id).sig !== orig.get(id).sig));
+  // and the parents that lost or gained a child
+  [...gone, ...moved].forEach((id) => masked.has(orig.get(id).parentId) && changed.add(orig.get(id).parentId));
+  [...added, ...moved].forEach((id) => orig.has(masked.get(id).parentId) && changed.add(masked.get(id).parentId));
+  const touched = {};
+  [...added, ...changed].forEach((id) => (touched[id] = sha256(masked.get(id).sig)));
+  return {
+    settings,
+    added,
+    removed: gone
+      .filter((id) => masked.has(orig.get(id).parentId))
+      .map((id) => serializer.serializeToString(slotted(orig.get(id).el, (childId) => masked.has(childId)))),
+    changed: [...changed].map((id) => serializer.serializeToString(slotted(orig.get(id).el))),
+    touched,
+    maskedHash: sha256(maskedXml),
+  };
+}
+
+// --- RUN ---
+
+/**
+ * Run fragment or mask mode over every selected process of `doc` and every
+ * nested scope in it. `opts` is the parsed command line. Returns the total
+ * count (groups or masked tasks) and a count per process for the log.
+ */
+function applyMode(doc, mode, opts, report = null, ix = null) {
+  const defs = select('/bpmn:definitions', doc)[0];
+  if (!defs) throw new ModelError('Not a BPMN model: no bpmn:definitions root');
+  const processes = selectProcesses(doc, opts.participants);
+  if (!processes.length) throw new ModelError('No bpmn:process found');
+
+  // one index for the whole run: every scope changes the document through it
+  ix = ix || modelIndex(doc);
+  const holes = mode === 'mask' && opts.compact ? new Map() : null;
+  let count = 0;
+  const perProcess = [];
+  processes.forEach(({ participant, processEl }) => {
+    // names live on the old groups, so they are read before --clear-old drops them
+    const names = mode === 'fragment' && opts.keepNames ? readFragmentNames(doc, processEl) : null;
+    if (opts.clearOld) clearOldFragments(ix, doc, processEl, defs);
+
+    // every nested scope is handled on its own: sequence flows never cross scope borders
+    let n = 0;
+    getScopes(ix, processEl, opts.expandCollapsed).forEach((scopeEl) => {
+      n +=
+        mode === 'mask'
+          ? maskByPrivacy(ix, doc, defs, scopeEl, { ...opts, holes }, report)
+          : fragmentByCoupling(ix, doc, defs, scopeEl, { ...opts, names }, report);
+    });
+    count += n;
+
+    const label = participant
+      ? `${participant.getAttribute('id')} (${participant.getAttribute('name') || processEl.getAttribute('id')})`
+      : processEl.getAttribute('id');
+    perProcess.push({ label, count: n });
+  });
+  // --compact: each plane once, after every scope drawn on it
+  if (holes) holes.forEach((removed, plane) => compactLayout(ix, plane, removed));
+  ix.flush();
+  return { count, perProcess };
+}
+
+// --- SWEEP ---
+
+// "0.5:0.9:0.1" (inclusive range) or "0.5,0.7,0.9"
+function parseSweepValues(flag, spec) {
+  const m = spec.match(/^([^:]+):([^:]+):([^:]+)$/);
+  if (!m) {
+    const values = spec.split(',').map(parseFloat);
+    if (!values.every(Number.isFinite)) throw new OptionError(`--${flag}=${spec}: expected numbers (a,b,…) or from:to:step`);
+    return values;
+  }
+  const [from, to, step] = m.slice(1).map(parseFloat);
+  if (![from, to, step].every(Number.isFinite) || step <= 0 || from > to) {
+    throw new OptionError(`Bad sweep range "${spec}" (use from:to:step, with from ≤ to and a step above 0)`);
+  }
+  const values = [];
+  for (let i = 0; from + i * step <= to + 1e-9; i++) values.push(round3(from + i * step));
+  return values;
+}
+
+function parseXml(xml) {
+  const errors = [];
+  const collect = (msg) => errors.push(String(msg).replace(/^\[xmldom \w+\]\s*/, '').split('\n')[0]);
+  const doc = new DOMParser({ errorHandler: { warning: () => {}, error: collect, fatalError: collect } }).parseFromString(
+    xml,
+    'text/xml'
+  );
+  if (errors.length || !doc || !doc.documentElement) throw new ModelError(`Unreadable XML: ${errors[0] || 'no root element'}`);
+  return doc;
+}
+
+/**
+ * Evaluate every combination of the coupling thresholds and privacy
+ * thresholds on a fresh copy of the model, with the same applyMode() a real
+ * run uses (mask first, then fragment when both are swept). Nothing is written
+ * back; only the figures are kept.
+ */
+function sweep(xml, options = {}) {
+  checkOptions(options);
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const thresholds = opts.sweepThresholds || [null];
+  const privacies = opts.sweepPrivacy || [null];
+  if (!opts.sweepThresholds && !opts.sweepPrivacy) {
+    throw new OptionError('--mode=sweep needs --sweep-thresholds and/or --sweep-privacy');
+  }
+
+  const rows = [];
+  privacies.forEach((privacy) => {
+    thresholds.forEach((threshold) => {
+      const doc = parseXml(xml);
+      const row = { threshold, privacy };
+      if (privacy != null) {
+        const r = createReport('mask', {});
+        applyMode(doc, 'mask', { ...opts, privacy }, r);
+        row.masked = r.masked.length;
+        row.bypassFlows = r.autoFlows.length;
+      }
+      if (threshold != null) {
+        const r = createReport('fragment', {});
+        applyMode(doc, 'fragment', { ...opts, threshold }, r);
+        row.fragments = r.fragments.length;
+        row.largest = r.fragments.reduce((mx, f) => Math.max(mx, f.size), 0);
+        row.singletons = r.singletons;
+      }
+      rows.push(row);
+    });
+  });
+
+  return { rows, merges: opts.sweepThresholds ? mergeOrder(xml, opts) : [] };
+}
+
+/**
+ * Dendrogram-style merge listing: fragment the model at every distinct
+ * cpl:coupling value, highest first, and record which fragments of the
+ * previous level come together at each value. Strategies that are not
+ * hierarchical (louvain) may regroup tasks instead of merging whole
+ * fragments; those steps are listed the same way.
+ */
+function mergeOrder(xml, opts) {
+  const runAt = (threshold) => {
+    const r = createReport('fragment', {});
+    applyMode(parseXml(xml), 'fragment', { ...opts, threshold }, r);
+    return r;
+  };
+  const partitionAt = (threshold) => runAt(threshold).partition;
+
+  const first = runAt(Infinity);
+  const levels = [...new Set(first.edgeWeights)].sort((a, b) => b - a);
+  const merges = [];
+  let prev = first.partition;
+  levels.forEach((threshold) => {
+    const cur = partitionAt(threshold);
+    cur.forEach((group) => {
+      const parts = prev.filter((p) => p.some((id) => group.includes(id)));
+      if (parts.length > 1) merges.push({ threshold, parts, result: group });
+    });
+    prev = cur;
+  });
+  return merges;
+}
+
+function sweepToText(result, opts) {
+  const cols = ['threshold', 'privacy', 'fragments', 'largest', 'singletons', 'masked', 'bypassFlows'];
+  const cell = (v) => (v == null ? '-' : String(v));
+  const widths = cols.map((c) => Math.max(c.length, ...result.rows.map((r) => cell(r[c]).length)));
+  const line = (vals) => vals.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+  const out = [
+    `Sweep of ${opts.input} (algorithm=${opts.algorithm}, privacy-dir=${opts.privacyDir})`,
+    '',
+    line(cols),
+    ...result.rows.map((r) => line(cols.map((c) => cell(r[c])))),
+  ];
+  if (result.merges.length) {
+    const set = (ids) => `{${ids.join(', ')}}`;
+    out.push('', 'Merge order (highest coupling threshold first)');
+    result.merges.forEach((m) => {
+      out.push(`${String(m.threshold).padEnd(6)} ${m.parts.map(set).join(' + ')} -> ${set(m.result)}`);
+    });
+  }
+  return out.join('\n') + '\n';
+}
+
+function writeSweep(path, result, opts) {
+  let text;
+  if (/\.json$/i.test(path)) text = JSON.stringify(result, null, 2) + '\n';
+  else if (/\.csv$/i.test(path)) {
+    const columns = ['type', 'threshold', 'privacy', 'fragments', 'largest', 'singletons', 'masked', 'bypassFlows', 'parts', 'result'];
+    text = csvTable(columns, [
+      ...result.rows.map((r) => ({ type: 'row', ...r })),
+      ...result.merges.map((m) => ({
+        type: 'merge',
+        threshold: m.threshold,
+        parts: m.parts.map((p) => p.join(' ')).join(' | '),
+        result: m.result,
+      })),
+    ]);
+  } else text = sweepToText(result, opts);
+
+  if (path === '-') process.stdout.write(text);
+  else {
+    fs.writeFileSync(path, text, 'utf8');
+    console.log(`Wrote ${path}`);
+  }
+}
+
+// --- API ---
+
+function toDoc(xmlOrDoc) {
+  if (typeof xmlOrDoc === 'string') return parseXml(xmlOrDoc);
+  if (xmlOrDoc && xmlOrDoc.documentElement) return xmlOrDoc;
+  throw new OptionError('Expected BPMN XML text or a parsed XML document');
+}
+
+// Every unknown key and bad value among the options of an API call, in one
+// OptionError; values are checked like pipeline options (optionProblem). An
+// undefined value, or null where the default is null, leaves the default.
+function checkOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) throw new OptionError('Options must be an object');
+  const problems = [];
+  Object.keys(options).forEach((k) => {
+    const value = options[k];
+    if (!API_OPTIONS.includes(k)) problems.push(`${k}: unknown option`);
+    else if (value === undefined || (value === null && (k === 'passphrase' || DEFAULT_OPTIONS[k] === null))) return;
+    // an empty id list masks nothing, as views() asks for a party that may see everything
+    else if (k === 'maskIds' && Array.isArray(value) && !value.length) return;
+    else if (k === 'passphrase') {
+      if (typeof value !== 'string' || !value) problems.push(`${k}: expected a non-empty string`);
+    } else if (OPTION_TYPES[k]) {
+      const problem = optionProblem(k, value);
+      if (problem) problems.push(`${k}: ${problem}`);
+    }
+  });
+  const range = sizeRangeProblem({ ...DEFAULT_OPTIONS, ...options });
+  if (range) problems.push(range);
+  if (problems.length) throw new OptionError(`Invalid options:\n  ${problems.join('\n  ')}`);
+}
+
+/**
+ * Draw fragments (bpmn:group + annotation) into a model.
+ * `xmlOrDoc` is BPMN XML text or an xmldom Document; a Document is changed in
+ * place. `options` are the DEFAULT_OPTIONS keys (threshold, algorithm, …).
+ * Returns { xml, doc, count, perProcess, groups, unplaced, report } where
+ * `groups` are the created fragments ({ id, process, scope, members, size,
+ * … }), `unplaced` the tasks of groups below minSize that had no neighbour
+ * to join ({ id, process, scope, size }) and `report` is what --report writes.
+ */
+function fragment(xmlOrDoc, options = {}) {
+  checkOptions(options);
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const doc = toDoc(xmlOrDoc);
+  const { threshold, algorithm, minSize, maxSize, resolution, privacyBands, includeSingletons } = opts;
+  const report = createReport('fragment', {
+    input: opts.input,
+    threshold,
+    algorithm,
+    minSize,
+    maxSize,
+    resolution,
+    privacyBands,
+    includeSingletons,
+    ...(opts.dataCoupling ? { dataCoupling: true, dataWeight: opts.dataWeight, writeCoupling: opts.writeCoupling } : {}),
+  });
+  const { count, perProcess } = applyMode(doc, 'fragment', opts, report);
+  const r = finishReport(report);
+  return {
+    xml: new XMLSerializer().serializeToString(doc),
+    doc,
+    count,
+    perProcess,
+    groups: r.fragments,
+    unplaced: r.unplaced || [],
+    report: r,
+  };
+}
+
+/**
+ * Mask tasks by cpl:privacy. Same input and options as fragment(); with
+ * `options.passphrase` the result also carries `unmaskKey`, the encrypted key
+ * text for unmask(). `options.propagate` spreads privacy to neighbours first
+ * and `options.leaks` checks (and scrubs) what still points at masked tasks,
+ * see planMask(). Returns { xml, doc, count, perProcess, masked, autoFlows,
+ * autoGateways, collapsedGateways, propagated, leaks, report, unmaskKey }.
+ */
+function mask(xmlOrDoc, options = {}) {
+  checkOptions(options);
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const { privacy, privacyDir, messageFlows, maskStyle, maskIds, compact, propagate, leaks } = opts;
+  const doc = toDoc(xmlOrDoc);
+  const inputXml = opts.passphrase
+    ? typeof xmlOrDoc === 'string'
+      ? xmlOrDoc
+      : new XMLSerializer().serializeToString(doc)
+    : null;
+  // an explicit id list has no privacy rule to propagate through
+  const spread = propagate && !maskIds;
+  const report = createReport('mask', {
+    input: opts.input,
+    ...(maskIds ? { maskIds } : { privacy, privacyDir }),
+    messageFlows,
+    maskStyle,
+    ...(compact ? { compact } : {}),
+    ...(spread ? { propagate, propagateCoupling: opts.propagateCoupling } : {}),
+    ...(spread && propagate === 'decay' ? { propagateDecay: opts.propagateDecay } : {}),
+    ...(leaks ? { leaks } : {}),
+  });
+  // checked before anything changes, so a Document is left as it was
+  const ix = modelIndex(doc);
+  const missing = maskIds ? missingMaskIds(ix, doc, opts) : [];
+  if (missing.length) throw new OptionError(`--mask-ids: no task to mask with id ${missing.join(', ')}`);
+  const plan = spread || leaks ? planMask(ix, doc, opts) : null;
+  if (plan) {
+    report.propagated.push(...plan.propagated);
+    report.leaks.push(...plan.leaks);
+  }
+  const { count, perProcess } = applyMode(doc, 'mask', plan ? { ...opts, maskIds: plan.maskIds } : opts, report, ix);
+  if (leaks) {
+    // nested activities of masked sub-processes went with them, so their names count too
+    const gone = new Set(report.masked.map((m) => m.id));
+    const mentionsIn = mentionFinder(new Map([...plan.labels].filter(([id]) => gone.has(id))));
+    const found = textLeaks(doc, mentionsIn);
+    if (leaks !== 'report') scrubTextLeaks(ix, doc, found);
+    found.forEach(({ el, ...leak }) =>
+      report.leaks.push(leaks === 'report' ? leak : { ...leak, action: leak.kind === 'name' ? 'unnamed' : 'removed' })
+    );
+  }
+  const r = finishReport(report);
+  const xml = new XMLSerializer().serializeToString(doc);
+
+  const result = {
+    xml,
+    doc,
+    count,
+    perProcess,
+    masked: r.masked,
+    autoFlows: r.autoFlows,
+    autoGateways: r.autoGateways,
+    collapsedGateways: r.collapsedGateways,
+    propagated: r.propagated || [],
+    leaks: r.leaks || [],
+    report: r,
+    unmaskKey: null,
+  };
+  if (opts.passphrase) {
+    const settings = { privacy, privacyDir, maskIds, messageFlows, maskStyle, participants: opts.participants };
+    result.unmaskKey = encryptKeyFile(unmaskKeyPayload(inputXml, xml, settings), opts.passphrase);
+  }
+  return result;
+}
+
+/**
+ * Undo a mask run: `maskedXml` is the masked model (edits allowed, see
+ * restoreFromKey), `keyText` the key written by mask(). Returns { xml,
+ * restored, edited } with the number of elements masking had removed, added
+ * or changed and whether the masked model was edited since.
+ */
+function unmask(maskedXml, keyText, passphrase) {
+  if (typeof passphrase !== 'string' || !passphrase) throw new OptionError('unmask() needs the passphrase the key was written with');
+  const key = decryptKeyFile(keyText, passphrase);
+  const { xml, edited } = restoreFromKey(maskedXml, key);
+  return { xml, restored: key.removed.length + key.added.length + key.changed.length, edited };
+}
+
+/**
+ * Remove every fragment (groups, notes, associations, DI, category values)
+ * and the coupling --write-coupling inferred, as --mode=clear does: on a
+ * fragmented model this gives back the model before fragment mode ran. With
+ * `options.clearMasking` what masking added goes as well (clearMasking), which
+ * leaves gaps where the masked tasks were. `options.participants` limits it
+ * to some pools. Namespaces --color-fragments declared are dropped once
+ * nothing uses them. Returns { xml, doc, count, masking, perProcess } with
+ * `count` the fragments and `masking` the masking elements removed.
+ */
+function clear(xmlOrDoc, options = {}) {
+  checkOptions(options);
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const doc = toDoc(xmlOrDoc);
+  const defs = select('/bpmn:definitions', doc)[0];
+  if (!defs) throw new ModelError('Not a BPMN model: no bpmn:definitions root');
+  const ix = modelIndex(doc);
+  const perProcess = selectProcesses(doc, opts.participants).map(({ participant, processEl }) => ({
+    label: participant
+      ? `${participant.getAttribute('id')} (${participant.getAttribute('name') || processEl.getAttribute('id')})`
+      : processEl.getAttribute('id'),
+    count: clearOldFragments(ix, doc, processEl, defs),
+    masking: opts.clearMasking ? clearMasking(ix, doc, processEl) : 0,
+  }));
+  ix.flush();
+  ['bioc', 'color'].forEach((prefix) => {
+    const used = select('//*', doc).some((el) => Array.from(el.attributes).some((a) => a.namespaceURI === NS[prefix]));
+    if (!used && defs.getAttribute(`xmlns:${prefix}`) === NS[prefix]) defs.removeAttribute(`xmlns:${prefix}`);
+  });
+  const count = perProcess.reduce((n, p) => n + p.count, 0);
+  const masking = perProcess.reduce((n, p) => n + p.masking, 0);
+  return { xml: new XMLSerializer().serializeToString(doc), doc, count, masking, perProcess };
+}
+
+// --- VALIDATE ---
+//
+// Lint a model for what the transformations would otherwise skip or guess
+// silently. Which cpl attributes may sit on which element, and their types,
+// come from cpl-plugin/cpl-moddle.json.
+
+const CPL_MODDLE = require('./cpl-plugin/cpl-moddle.json');
+
+// BPMN types whose cpl extensions also apply to their subtypes (bpmn-moddle inheritance)
+const BPMN_SUPERTYPE = {
+  'bpmn:UserTask': 'bpmn:Task',
+  'bpmn:ServiceTask': 'bpmn:Task',
+  'bpmn:ScriptTask': 'bpmn:Task',
+  'bpmn:ManualTask': 'bpmn:Task',
+  'bpmn:BusinessRuleTask': 'bpmn:Task',
+  'bpmn:SendTask': 'bpmn:Task',
+  'bpmn:ReceiveTask': 'bpmn:Task',
+  'bpmn:AdHocSubProcess': 'bpmn:SubProcess',
+  'bpmn:Transaction': 'bpmn:SubProcess',
+};
+
+// cpl attributes whose value is a share between 0 and 1
+const UNIT_INTERVAL_ATTRS = ['coupling', 'privacy', 'privacyMin', 'privacyMax', 'privacyMean', 'couplingThreshold'];
+
+const EVENT_TYPES = [
+  'startEvent',
+  'endEvent',
+  'intermediateCatchEvent',
+  'intermediateThrowEvent',
+  'boundaryEvent',
+];
+
+// Everything drawn as a shape inside a process (lanes and participants are checked apart)
+const SHAPE_TYPES = [
+  ...TASK_TYPES,
+  'callActivity',
+  ...SUBPROCESS_TYPES,
+  ...GATEWAY_TYPES,
+  ...EVENT_TYPES,
+  'dataObjectReference',
+  'dataStoreReference',
+  'textAnnotation',
+  'group',
+];
+
+// 'bpmn:Task' -> Map(property -> { type }) from every moddle type extending it
+function cplPropertiesByType() {
+  const byType = new Map();
+  CPL_MODDLE.types.forEach((type) => {
+    (type.extends || []).forEach((ext) => {
+      if (!byType.has(ext)) byType.set(ext, new Map());
+      type.properties.forEach((prop) => byType.get(ext).set(prop.name, prop));
+    });
+  });
+  return byType;
+}
+
+const bpmnTypeName = (el) => `bpmn:${el.localName[0].toUpperCase()}${el.localName.slice(1)}`;
+
+/**
+ * Problems of a parsed model as [{ severity: 'error'|'warning', rule, id, message }].
+ * Rules:
+ *  model             unreadable XML or no bpmn:definitions root
+ *  cpl-namespace     no cpl namespace / coupling-like attributes outside it
+ *  cpl-unsupported   cpl attribute not defined for the element type
+ *  cpl-type          value that does not parse as the declared type
+ *  cpl-range         coupling/privacy figure outside [0,1]
+ *  coupling-ignored  coupling on a flow that does not join two units
+ *  dangling-ref      reference to an id that does not exist (or is out of scope)
+ *  duplicate-id      the same id on several elements
+ *  disconnected      flow node off every path from a start event or to an end event
+ *  missing-di        element without BPMNShape / flow without BPMNEdge
+ *  leftover          Fragment_* / AutoFlow_* / AutoGateway_* from an earlier run
+ */
+function validateModel(doc) {
+  const problems = [];
+  const report = (severity, rule, id, message) => problems.push({ severity, rule, id: id || null, message });
+  const root = doc.documentElement;
+  if (!root || root.namespaceURI !== NS.bpmn || root.localName !== 'definitions') {
+    report('error', 'model', null, 'Not a BPMN model: no bpmn:definitions root');
+    return problems;
+  }
+
+  const all = select('//*[@id]', doc);
+  const byId = new Map();
+  all.forEach((el) => {
+    const id = el.getAttribute('id');
+    if (byId.has(id)) {
+      if (byId.get(id) !== null) report('error', 'duplicate-id', id, `id "${id}" is used more than once`);
+      byId.set(id, null);
+    } else byId.set(id, el);
+  });
+  const exists = (id) => byId.has(id);
+
+  // ---- cpl attributes ----
+  const props = cplPropertiesByType();
+  let cplAttrs = 0;
+  select('//*', doc).forEach((el) => {
+    for (let i = 0; i < el.attributes.length; i++) {
+      const a = el.attributes[i];
+      const id = el.getAttribute('id');
+      const local = a.localName || a.name.replace(/^.*:/, '');
+      if (a.namespaceURI !== NS.cpl) {
+        const known = CPL_MODDLE.types.some((ty) => ty.properties.some((pr) => pr.name === local));
+        if (known && a.namespaceURI !== NS.bpmn && !/^xmlns/.test(a.name)) {
+          report('warning', 'cpl-namespace', id, `${a.name} is not in the cpl namespace (${NS.cpl}) and is ignored`);
+        }
+        continue;
+      }
+      cplAttrs++;
+      const type = el.namespaceURI === NS.bpmn ? bpmnTypeName(el) : el.nodeName;
+      const prop =
+        (props.get(type) && props.get(type).get(local)) ||
+        (props.get(BPMN_SUPERTYPE[type]) && props.get(BPMN_SUPERTYPE[type]).get(local));
+      if (!prop) {
+        report('error', 'cpl-unsupported', id, `cpl:${local} is not defined for ${type}`);
+        continue;
+      }
+      const v = a.value.trim();
+      if (prop.type === 'Float' || prop.type === 'Integer') {
+        const ok = prop.type === 'Float' ? /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(v) : /^[+-]?\d+$/.test(v);
+        if (!ok) report('error', 'cpl-type', id, `cpl:${local}="${a.value}" is not ${prop.type === 'Float' ? 'a number' : 'a whole number'}`);
+        else if (UNIT_INTERVAL_ATTRS.includes(local) && (parseFloat(v) < 0 || parseFloat(v) > 1)) {
+          report('error', 'cpl-range', id, `cpl:${local}=${v} is outside [0,1]`);
+        }
+      }
+      if (local === 'mustLink' || local === 'cannotLink') {
+        v.split(/[\s,]+/)
+          .filter(Boolean)
+          .filter((ref) => !exists(ref))
+          .forEach((ref) => report('error', 'dangling-ref', id, `cpl:${local} names "${ref}", which does not exist`));
+      }
+    }
+  });
+  const rootAttrs = Array.from({ length: root.attributes.length }, (_, i) => root.attributes[i]);
+  const declared = rootAttrs.some((a) => /^xmlns/.test(a.name) && a.value === NS.cpl);
+  if (!declared && !cplAttrs) {
+    report('warning', 'cpl-namespace', root.getAttribute('id'), `the cpl namespace (${NS.cpl}) is not declared: nothing to fragment or mask`);
+  }
+
+  // ---- references ----
+  const ix = modelIndex(doc);
+  const scopes = select('/bpmn:definitions/bpmn:process', doc).flatMap((p) => getScopes(ix, p, true));
+  scopes.forEach((scopeEl) => {
+    const units = new Set(getTaskList(ix, scopeEl, false).map((u) => u.getAttribute('id')));
+    childElements(scopeEl, 'bpmn:sequenceFlow').forEach((f) => {
+      const id = f.getAttribute('id');
+      ['sourceRef', 'targetRef'].forEach((end) => {
+        const ref = f.getAttribute(end);
+        if (!ref) report('error', 'dangling-ref', id, `${end} is missing`);
+        else if (!ix.child(scopeEl, ref)) {
+          report('error', 'dangling-ref', id, `${end}="${ref}" ${exists(ref) ? 'is in another scope' : 'does not exist'}`);
+        }
+      });
+      const c = f.getAttributeNS(NS.cpl, 'coupling');
+      if (c && !(units.has(f.getAttribute('sourceRef')) && units.has(f.getAttribute('targetRef')))) {
+        report('warning', 'coupling-ignored', id, 'cpl:coupling on a flow that does not join two tasks is not used for fragmenting (masking only carries it onto bypass flows)');
+      }
+    });
+    childElements(scopeEl).filter((el) => el.hasAttribute('default')).forEach((el) => {
+      const ref = el.getAttribute('default');
+      const flow = ix.child(scopeEl, ref);
+      if (!flow || flow.getAttribute('sourceRef') !== el.getAttribute('id')) {
+        report('error', 'dangling-ref', el.getAttribute('id'), `default="${ref}" is not an outgoing flow of this element`);
+      }
+    });
+  });
+  select('//bpmn:messageFlow|//bpmn:association|//bpmn:dataInputAssociation|//bpmn:dataOutputAssociation', doc).forEach((f) => {
+    ['sourceRef', 'targetRef'].forEach((end) => {
+      const ref = f.getAttribute(end) || (select(`./bpmn:${end}`, f)[0] || { textContent: '' }).textContent.trim();
+      if (ref && !exists(ref)) report('error', 'dangling-ref', f.getAttribute('id'), `${end}="${ref}" does not exist`);
+    });
+  });
+  select('//bpmn:participant[@processRef]', doc).forEach((p) => {
+    const ref = p.getAttribute('processRef');
+    if (!exists(ref)) report('error', 'dangling-ref', p.getAttribute('id'), `processRef="${ref}" does not exist`);
+  });
+  select('//bpmn:lane/bpmn:flowNodeRef', doc).forEach((r) => {
+    const ref = r.textContent.trim();
+    if (!exists(ref)) report('error', 'dangling-ref', r.parentNode.getAttribute('id'), `flowNodeRef "${ref}" does not exist`);
+  });
+  select('//bpmndi:BPMNShape|//bpmndi:BPMNEdge', doc).forEach((di) => {
+    const ref = di.getAttribute('bpmnElement');
+    if (ref && !exists(ref)) report('error', 'dangling-ref', di.getAttribute('id'), `bpmnElement="${ref}" does not exist`);
+  });
+
+  // ---- connectivity ----
+  // in a scope with start (end) events, every flow node should lie on a path
+  // from (to) one; removing tasks without bypass flows breaks that
+  const FLOW_NODE_TYPES = [...TASK_TYPES, 'callActivity', ...SUBPROCESS_TYPES, ...GATEWAY_TYPES, ...EVENT_TYPES];
+  const hasLink = (el) => childElements(el, 'bpmn:linkEventDefinition').length > 0;
+  scopes.forEach((scopeEl) => {
+    if (!childElements(scopeEl, 'bpmn:sequenceFlow').length) return;
+    const nodes = childElements(scopeEl).filter(
+      (el) =>
+        el.namespaceURI === NS.bpmn &&
+        FLOW_NODE_TYPES.includes(el.localName) &&
+        el.getAttribute('triggeredByEvent') !== 'true' &&
+        el.getAttribute('isForCompensation') !== 'true' &&
+        !(el.localName === 'boundaryEvent' && childElements(el, 'bpmn:compensateEventDefinition').length)
+    );
+    const idOf = (el) => el.getAttribute('id');
+    const boundary = new Map();
+    nodes
+      .filter((el) => el.localName === 'boundaryEvent')
+      .forEach((el) => boundary.set(el.getAttribute('attachedToRef'), [...(boundary.get(el.getAttribute('attachedToRef')) || []), idOf(el)]));
+    const reach = (seeds, step) => {
+      const seen = new Set(seeds);
+      const queue = [...seeds];
+      while (queue.length) {
+        step(queue.shift()).forEach((id) => !seen.has(id) && seen.add(id) && queue.push(id));
+      }
+      return seen;
+    };
+    const starts = nodes.filter((el) => el.localName === 'startEvent' || (el.localName === 'intermediateCatchEvent' && hasLink(el)));
+    const ends = nodes.filter((el) => el.localName === 'endEvent' || (el.localName === 'intermediateThrowEvent' && hasLink(el)));
+    const reached = reach(starts.map(idOf), (id) => [
+      ...ix.flowsFrom(id).map((f) => f.getAttribute('targetRef')),
+      ...(boundary.get(id) || []),
+    ]);
+    const ending = reach(ends.map(idOf), (id) => ix.flowsTo(id).map((f) => f.getAttribute('sourceRef')));
+    nodes.forEach((el) => {
+      const gaps = [
+        starts.length && !reached.has(idOf(el)) ? 'no start event reaches it' : null,
+        ends.length && !ending.has(idOf(el)) ? 'it reaches no end event' : null,
+      ].filter(Boolean);
+      if (gaps.length) report('error', 'disconnected', idOf(el), `${bpmnTypeName(el)} is cut off: ${gaps.join(' and ')}`);
+    });
+  });
+
+  // ---- DI ----
+  if (!select('//bpmndi:BPMNDiagram', doc).length) {
+    report('warning', 'missing-di', root.getAttribute('id'), 'no BPMNDiagram: the model cannot be displayed, default positions are used');
+  } else {
+    const drawn = new Set(select('//bpmndi:BPMNShape/@bpmnElement|//bpmndi:BPMNEdge/@bpmnElement', doc).map((a) => a.value));
+    const planes = new Set(select('//bpmndi:BPMNPlane/@bpmnElement', doc).map((a) => a.value));
+    // children of a collapsed sub-process without a drill-down plane are legitimately undrawn
+    const undrawnScope = (el) => {
+      for (let p = el.parentNode; p && p.nodeType === 1; p = p.parentNode) {
+        if (isSubProcess(p) && isCollapsedSubProcess(ix, p) && !planes.has(p.getAttribute('id'))) return true;
+      }
+      return false;
+    };
+    select('//bpmn:process//*[@id]|//bpmn:collaboration/*[@id]', doc).forEach((el) => {
+      const id = el.getAttribute('id');
+      if (el.namespaceURI !== NS.bpmn || drawn.has(id) || undrawnScope(el)) return;
+      if (SHAPE_TYPES.includes(el.localName)) {
+        report('warning', 'missing-di', id, `${bpmnTypeName(el)} has no BPMNShape (a default 100,100 box is assumed)`);
+      } else if (['sequenceFlow', 'messageFlow'].includes(el.localName)) {
+        report('warning', 'missing-di', id, `${bpmnTypeName(el)} has no BPMNEdge`);
+      }
+    });
+  }
+
+  // ---- leftovers of earlier runs ----
+  select('//bpmn:group', doc).forEach((g) => {
+    if (g.getAttributeNS(NS.cpl, 'fragmentId') || /^Fragment_/.test(g.getAttribute('id') || '')) {
+      report('warning', 'leftover', g.getAttribute('id'), 'fragment group from an earlier run (use --clear-old to replace it)');
+    }
+  });
+  select('//bpmn:sequenceFlow[starts-with(@id,"AutoFlow_")]|//*[starts-with(@id,"AutoGateway_")]', doc).forEach((el) => {
+    report('warning', 'leftover', el.getAttribute('id'), 'generated by an earlier mask run');
+  });
+
+  return problems;
+}
+
+function validationToText(input, problems) {
+  const errors = problems.filter((p) => p.severity === 'error').length;
+  const lines = problems.map((p) => `${p.severity.padEnd(7)} ${p.rule.padEnd(16)} ${(p.id || '-').padEnd(24)} ${p.message}`);
+  lines.push(`${input}: ${errors} error(s), ${problems.length - errors} warning(s)`);
+  return lines.join('\n') + '\n';
+}
+
+// --- PIPELINE ---
+//
+// { "defaults": { …options for every step }, "steps": [ { "mask": { "privacy": 0.8 } }, "clear", … ] }
+// A step is { <type>: { …options } } or just "<type>". Options are the
+// DEFAULT_OPTIONS keys that make sense for the step type.
+
+const OPTION_TYPES = {
+  threshold: 'unit',
+  privacy: 'unit',
+  privacyDir: ['above', 'below'],
+  includeSingletons: 'boolean',
+  clearOld: 'boolean',
+  clearMasking: 'boolean',
+  participants: 'ids',
+  messageFlows: ['reroute', 'remove'],
+  expandCollapsed: 'boolean',
+  algorithm: Object.keys(CLUSTERING_ALGORITHMS),
+  minSize: 'count',
+  maxSize: 'count',
+  resolution: 'positive',
+  privacyBands: 'numbers',
+  sweepThresholds: 'units',
+  sweepPrivacy: 'units',
+  annotateStats: 'boolean',
+  colorFragments: 'boolean',
+  keepNames: 'boolean',
+  maskStyle: MASK_STYLES,
+  maskIds: 'taskIds',
+  compact: 'boolean',
+  dataCoupling: 'boolean',
+  dataWeight: 'unit',
+  writeCoupling: 'boolean',
+  propagate: PROPAGATION_RULES,
+  propagateDecay: 'unit',
+  propagateCoupling: 'number',
+  leaks: LEAK_MODES,
+};
+
+const COMMON_STEP_OPTIONS = ['participants', 'expandCollapsed', 'clearOld'];
+const PIPELINE_STEPS = {
+  mask: [
+    ...COMMON_STEP_OPTIONS,
+    'privacy',
+    'privacyDir',
+    'messageFlows',
+    'maskStyle',
+    'maskIds',
+    'compact',
+    'propagate',
+    'propagateDecay',
+    'propagateCoupling',
+    'leaks',
+  ],
+  fragment: [
+    ...COMMON_STEP_OPTIONS,
+    'threshold',
+    'includeSingletons',
+    'algorithm',
+    'minSize',
+    'maxSize',
+    'resolution',
+    'privacyBands',
+    'annotateStats',
+    'colorFragments',
+    'keepNames',
+    'dataCoupling',
+    'dataWeight',
+    'writeCoupling',
+  ],
+  clear: ['participants', 'clearMasking'],
+};
+
+// Problem with one option value, or null
+function optionProblem(name, value) {
+  const type = OPTION_TYPES[name];
+  if (Array.isArray(type)) return type.includes(value) ? null : `expected one of ${type.join('|')}`;
+  switch (type) {
+    case 'number':
+      return Number.isFinite(value) ? null : 'expected a number';
+    case 'unit':
+      return Number.isFinite(value) && value >= 0 && value <= 1 ? null : 'expected a number between 0 and 1';
+    case 'positive':
+      return Number.isFinite(value) && value > 0 ? null : 'expected a number above 0';
+    case 'count':
+      return Number.isInteger(value) && value >= 0 ? null : 'expected a whole number ≥ 0';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'expected true or false';
+    case 'ids':
+      return Array.isArray(value) && value.length && value.every((v) => typeof v === 'string' && v)
+        ? null
+        : 'expected a list of participant or process ids';
+    case 'taskIds':
+      return Array.isArray(value) && value.length && value.every((v) => typeof v === 'string' && v)
+        ? null
+        : 'expected a list of task ids';
+    case 'numbers':
+      return Array.isArray(value) && value.every(Number.isFinite) ? null : 'expected a list of numbers';
+    case 'units':
+      return Array.isArray(value) && value.length && value.every((v) => Number.isFinite(v) && v >= 0 && v <= 1)
+        ? null
+        : 'expected a list of numbers between 0 and 1';
+    default:
+      return 'unknown option';
+  }
+}
+
+// Problem with minSize and maxSize together, or null
+function sizeRangeProblem({ minSize, maxSize }) {
+  return Number.isInteger(minSize) && Number.isInteger(maxSize) && maxSize > 0 && minSize > maxSize
+    ? `minSize ${minSize} is above maxSize ${maxSize}, so no fragment fits`
+    : null;
+}
+
+/**
+ * Check a pipeline config and return its steps as [{ type, options }], with
+ * `defaults` merged into every step (only the keys that apply to it). Every
+ * problem found is listed in one OptionError, so nothing runs on a bad config.
+ * Given the model `doc`, the participants and maskIds of every step must also
+ * be found in it.
+ */
+function validatePipeline(config, doc = null) {
+  const problems = [];
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  if (!isObject(config)) throw new OptionError('Pipeline config must be an object with a "steps" list');
+
+  Object.keys(config)
+    .filter((k) => k !== 'steps' && k !== 'defaults')
+    .forEach((k) => problems.push(`${k}: unknown key (use "defaults" and "steps")`));
+
+  const defaults = config.defaults || {};
+  if (!isObject(defaults)) problems.push('defaults: expected an object of options');
+  else {
+    const stepOptions = new Set(Object.values(PIPELINE_STEPS).flat());
+    Object.keys(defaults).forEach((k) => {
+      const problem = OPTION_TYPES[k] && !stepOptions.has(k) ? 'not an option of any step' : optionProblem(k, defaults[k]);
+      if (problem) problems.push(`defaults.${k}: ${problem}`);
+    });
+  }
+
+  const steps = [];
+  if (!Array.isArray(config.steps) || !config.steps.length) problems.push('steps: expected a non-empty list');
+  else {
+    config.steps.forEach((step, i) => {
+      const where = `steps[${i}]`;
+      let type;
+      let params = {};
+      if (typeof step === 'string') type = step;
+      else if (isObject(step) && Object.keys(step).length === 1) {
+        type = Object.keys(step)[0];
+        params = step[type] == null ? {} : step[type];
+      } else {
+        problems.push(`${where}: expected "<type>" or { <type>: { …options } }`);
+        return;
+      }
+      const allowed = PIPELINE_STEPS[type];
+      if (!allowed) {
+        problems.push(`${where}: unknown step "${type}" (use ${Object.keys(PIPELINE_STEPS).join('|')})`);
+        return;
+      }
+      if (!isObject(params)) {
+        problems.push(`${where}.${type}: expected an object of options`);
+        return;
+      }
+      Object.keys(params).forEach((k) => {
+        if (!allowed.includes(k)) problems.push(`${where}.${type}.${k}: not an option of a ${type} step`);
+        else {
+          const problem = optionProblem(k, params[k]);
+          if (problem) problems.push(`${where}.${type}.${k}: ${problem}`);
+        }
+      });
+      const inherited = isObject(defaults) ? Object.keys(defaults).filter((k) => allowed.includes(k)) : [];
+      const options = {};
+      inherited.forEach((k) => (options[k] = defaults[k]));
+      steps.push({ type, options: { ...options, ...params } });
+      const range = sizeRangeProblem({ ...options, ...params });
+      if (range) problems.push(`${where}.${type}: ${range}`);
+    });
+  }
+
+  if (doc && !problems.length) {
+    const ix = modelIndex(doc);
+    steps.forEach(({ type, options }, i) => {
+      const where = `steps[${i}].${type}`;
+      try {
+        selectProcesses(doc, options.participants);
+      } catch (e) {
+        if (!(e instanceof ModelError)) throw e;
+        problems.push(`${where}.participants: ${e.message}`);
+        return;
+      }
+      const missing = type === 'mask' && options.maskIds ? missingMaskIds(ix, doc, { ...DEFAULT_OPTIONS, ...options }) : [];
+      if (missing.length) problems.push(`${where}.maskIds: no task to mask with id ${missing.join(', ')}`);
+    });
+  }
+
+  if (problems.length) throw new OptionError(`Invalid pipeline config:\n  ${problems.join('\n  ')}`);
+  return steps;
+}
+
+// "privacy=0.8, privacyDir=above"
+const describeOptions = (options) =>
+  Object.keys(options)
+    .map((k) => `${k}=${Array.isArray(options[k]) ? options[k].join(',') : options[k]}`)
+    .join(', ');
+
+/**
+ * Run the steps of a pipeline config one after another on the same document.
+ * `base` options (e.g. from CLI flags) sit under the config's defaults.
+ * A Document is only changed once every step has run: the steps work on a
+ * copy, so a step that throws leaves it as it was.
+ * Returns { xml, doc, steps: [{ type, options, count, summary }] }.
+ */
+function pipeline(xmlOrDoc, config, base = {}) {
+  const given = toDoc(xmlOrDoc);
+  const doc = typeof xmlOrDoc === 'string' ? given : parseXml(new XMLSerializer().serializeToString(given));
+  const steps = validatePipeline(config, doc);
+  const done = steps.map(({ type, options }) => {
+    const opts = { ...DEFAULT_OPTIONS, ...base, ...options };
+    let count;
+    let summary;
+    if (type === 'mask') {
+      const r = mask(doc, opts);
+      count = r.count;
+      summary = `masked ${r.count} task(s), ${r.autoFlows.length} bypass flow(s), ${r.autoGateways.length} gateway(s) added`;
+    } else if (type === 'fragment') {
+      const r = fragment(doc, opts);
+      count = r.count;
+      summary = `${r.count} group(s)${r.unplaced.length ? `, ${r.unplaced.length} task(s) left out` : ''}`;
+    } else {
+      const r = clear(doc, opts);
+      count = r.count;
+      summary = `removed ${count} fragment(s)${r.masking ? `, ${r.masking} masking element(s)` : ''}`;
+    }
+    return { type, options, count, summary };
+  });
+  if (given !== doc) {
+    while (given.firstChild) given.removeChild(given.firstChild);
+    for (let c = doc.firstChild; c; c = c.nextSibling) given.appendChild(given.importNode(c, true));
+  }
+  return { xml: new XMLSerializer().serializeToString(given), doc: given, steps: done };
+}
+
+// JSON, or YAML for .yaml/.yml files (pipeline configs, view policies)
+function loadConfigFile(path, what = 'pipeline config') {
+  const text = fs.readFileSync(path, 'utf8');
+  try {
+    return /\.ya?ml$/i.test(path) ? require('yaml').parse(text) : JSON.parse(text);
+  } catch (e) {
+    throw new OptionError(`Cannot read ${what} ${path}: ${e.message.split('\n')[0]}`);
+  }
+}
+
+// --- VIEWS ---
+//
+// { "defaults": { …mask options }, "parties": { "<name>": { "clearance": 0.5, "lanes": [...], "pools": [...] } } }
+// One masked copy of the model per party: its own tasks (those in its lanes
+// or pools) stay, the others are masked when their cpl:privacy is above the
+// party's clearance. A party with neither lanes nor pools is a role.
+
+// per party; participants and expandCollapsed decide the tasks of the matrix, so they are policy-wide
+const VIEW_OPTIONS = ['clearOld', 'messageFlows', 'maskStyle', 'compact'];
+const VIEW_DEFAULTS = ['participants', 'expandCollapsed', ...VIEW_OPTIONS];
+
+/**
+ * Check a view policy against the model and return its parties as
+ * [{ name, clearance, options, own }], `own` being the set of activity ids
+ * in the party's lanes (nested lanes and the content of sub-processes
+ * included) and pools. Lanes and pools are given by id or name. Every
+ * problem is listed in one OptionError, as with pipeline configs.
+ */
+function validatePolicy(policy, doc) {
+  const problems = [];
+  const ix = modelIndex(doc);
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  if (!isObject(policy)) throw new OptionError('View policy must be an object with a "parties" map');
+  Object.keys(policy)
+    .filter((k) => k !== 'parties' && k !== 'defaults')
+    .forEach((k) => problems.push(`${k}: unknown key (use "defaults" and "parties")`));
+
+  const checkOptions = (where, options, allowed) => {
+    if (!isObject(options)) return problems.push(`${where}: expected an object of options`);
+    Object.keys(options).forEach((k) => {
+      if (!allowed.includes(k)) problems.push(`${where}.${k}: not an option here (use ${allowed.join('|')})`);
+      else {
+        const problem = optionProblem(k, options[k]);
+        if (problem) problems.push(`${where}.${k}: ${problem}`);
+      }
+    });
+  };
+  const defaults = policy.defaults || {};
+  checkOptions('defaults', defaults, VIEW_DEFAULTS);
+
+  const activitiesIn = (el) => select('.//*', el).filter(isActivity);
+  const byRef = (path, ref) =>
+    select(path, doc).filter((el) => el.getAttribute('id') === ref || el.getAttribute('name') === ref);
+  const laneNodes = (lane) =>
+    select('.//bpmn:flowNodeRef', lane).flatMap((r) => {
+      const el = ix.get(r.textContent.trim());
+      return el ? [el, ...activitiesIn(el)] : [];
+    });
+  const poolNodes = (pool) => {
+    const processRef = pool.localName === 'participant' ? pool.getAttribute('processRef') : pool.getAttribute('id');
+    const processEl = select(`/bpmn:definitions/bpmn:process[@id="${processRef}"]`, doc)[0];
+    return processEl ? activitiesIn(processEl) : [];
+  };
+  const list = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+  const parties = [];
+  if (!isObject(policy.parties) || !Object.keys(policy.parties).length) problems.push('parties: expected a non-empty map');
+  else {
+    const files = new Map();
+    Object.keys(policy.parties).forEach((name) => {
+      const where = `parties.${name}`;
+      const party = policy.parties[name];
+      if (!isObject(party)) return problems.push(`${where}: expected { clearance, lanes, pools }`);
+      const { clearance, lanes, pools, ...options } = party;
+      if (!Number.isFinite(clearance) || clearance < 0 || clearance > 1) {
+        problems.push(`${where}.clearance: expected a number between 0 and 1`);
+      }
+      checkOptions(where, options, VIEW_OPTIONS);
+      const file = viewFileName(name);
+      if (files.has(file)) problems.push(`${where}: same file name as party "${files.get(file)}" (${file}.bpmn)`);
+      files.set(file, name);
+
+      const own = new Set();
+      const add = (kind, path, nodesOf) =>
+        list(kind === 'lanes' ? lanes : pools).forEach((ref) => {
+          const found = typeof ref === 'string' ? byRef(path, ref) : [];
+          if (!found.length) problems.push(`${where}.${kind}: no ${kind === 'lanes' ? 'lane' : 'pool'} with id or name "${ref}"`);
+          found.forEach((el) => nodesOf(el).forEach((n) => isActivity(n) && own.add(n.getAttribute('id'))));
+        });
+      add('lanes', '//bpmn:lane', laneNodes);
+      add('pools', '/bpmn:definitions/bpmn:collaboration/bpmn:participant | /bpmn:definitions/bpmn:process', poolNodes);
+      parties.push({ name, clearance, options: { ...(isObject(defaults) ? defaults : {}), ...options }, own });
+    });
+  }
+
+  if (problems.length) throw new OptionError(`Invalid view policy:\n  ${problems.join('\n  ')}`);
+  return { parties, defaults };
+}
+
+// "Sales & Marketing" -> "Sales_Marketing", for <dir>/<party>.bpmn
+const viewFileName = (name) => String(name).replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'party';
+
+/**
+ * Write one masked view of the model per party of `policy` (see
+ * validatePolicy), each with mask() on its own copy, so every view gets the
+ * same bypass flows, gateways and mask styles as a mask run. `base` options
+ * (e.g. CLI flags) sit under the policy's defaults. Returns { views: [{ party,
+ * clearance, file, xml, doc, count, masked }], matrix, report }: the matrix
+ * has one row per maskable unit with 'own', 'visible' or 'masked' per party.
+ */
+function views(xml, policy, base = {}) {
+  const text = typeof xml === 'string' ? xml : new XMLSerializer().serializeToString(xml);
+  const { parties, defaults } = validatePolicy(policy, toDoc(text));
+  const opts = { ...DEFAULT_OPTIONS, ...base, ...defaults };
+
+  // the units a mask run considers: the rows of the matrix
+  const units = [];
+  const doc = toDoc(text);
+  const ix = modelIndex(doc);
+  selectProcesses(doc, opts.participants).forEach(({ processEl }) =>
+    getScopes(ix, processEl, opts.expandCollapsed).forEach((scope) =>
+      getTaskList(ix, scope, opts.expandCollapsed).forEach((t) => {
+        const p = cplNumber(t, 'privacy');
+        units.push({
+          id: t.getAttribute('id'),
+          name: t.getAttribute('name') || '',
+          process: processEl.getAttribute('id'),
+          privacy: Number.isFinite(p) ? p : null,
+          views: {},
+        });
+      })
+    )
+  );
+
+  const done = parties.map((party) => {
+    const shows = (u) => party.own.has(u.id) || u.privacy == null || u.privacy <= party.clearance;
+    const maskIds = units.filter((u) => !shows(u)).map((u) => u.id);
+    const r = mask(toDoc(text), { ...opts, ...party.options, maskIds });
+    const masked = new Set(r.masked.map((m) => m.id));
+    units.forEach((u) => (u.views[party.name] = party.own.has(u.id) ? 'own' : masked.has(u.id) ? 'masked' : 'visible'));
+    return {
+      party: party.name,
+      clearance: party.clearance,
+      file: `${viewFileName(party.name)}.bpmn`,
+      xml: r.xml,
+      doc: r.doc,
+      count: r.count,
+      masked: r.masked,
+      autoFlows: r.autoFlows,
+    };
+  });
+
+  const report = {
+    mode: 'views',
+    settings: { input: base.input || null },
+    model: { parties: done.length, tasks: units.length },
+    parties: done.map((v, i) => ({
+      party: v.party,
+      clearance: v.clearance,
+      file: v.file,
+      own: units.filter((u) => parties[i].own.has(u.id)).length,
+      visible: units.length - v.count,
+      masked: v.count,
+      autoFlows: v.autoFlows.length,
+    })),
+    matrix: units,
+  };
+  return { views: done, matrix: units, report };
+}
+
+function viewsToText(result) {
+  const names = result.views.map((v) => v.party);
+  const cols = ['task', 'privacy', ...names];
+  const shown = { own: 'own', visible: 'yes', masked: '-' };
+  const cell = (row, c, i) =>
+    i === 0 ? row.id : i === 1 ? (row.privacy == null ? '-' : String(row.privacy)) : shown[row.views[c]];
+  const widths = cols.map((c, i) => Math.max(c.length, ...result.matrix.map((r) => cell(r, c, i).length)));
+  const line = (vals) => vals.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(cols), ...result.matrix.map((r) => line(cols.map((c, i) => cell(r, c, i))))].join('\n') + '\n';
+}
+
+/**
+ * Lint a model (see validateModel). Unreadable XML is reported as a problem,
+ * not thrown. Returns { valid, errors, warnings, problems }; `valid` means no
+ * errors (warnings allowed).
+ */
+function validate(xmlOrDoc) {
+  let problems;
+  try {
+    problems = validateModel(toDoc(xmlOrDoc));
+  } catch (e) {
+    if (!(e instanceof ModelError)) throw e;
+    problems = [{ severity: 'error', rule: 'model', id: null, message: e.message }];
+  }
+  const errors = problems.filter((p) => p.severity === 'error').length;
+  return { valid: errors === 0, errors, warnings: problems.length - errors, problems };
+}
+
+// --- DIFF ---
+//
+// Compare two outputs of the tool (or an output with the next one): which
+// fragments survived, changed, split, merged, came or went, which tasks moved
+// between fragments, and what masking changed.
+
+// What diff reads from one model: fragments by cpl:fragmentId (boxes of one
+// fragment together), activities with how they are shown, and bypass flows.
+function diffSide(doc) {
+  const fragments = new Map();
+  select('//bpmn:group', doc).forEach((g) => {
+    const gid = g.getAttribute('id') || '';
+    const id = g.getAttributeNS(NS.cpl, 'fragmentId') || (/^Fragment_/.test(gid) ? gid : null);
+    if (!id) return;
+    const f = fragments.get(id) || { id, name: id, members: new Set() };
+    const cv = select(`//bpmn:categoryValue[@id="${g.getAttribute('categoryValueRef')}"]`, doc)[0];
+    if (f.name === id) f.name = (cv && cv.getAttribute('value')) || g.getAttributeNS(NS.cpl, 'fragmentName') || id;
+    select(`//bpmn:association[@sourceRef="${gid}"]`, doc).forEach((a) => f.members.add(a.getAttribute('targetRef')));
+    fragments.set(id, f);
+  });
+
+  // collapsed runs (MaskedSubProcess_N) stand for tasks, they are not tasks of their own
+  const activities = new Map();
+  select('//*[@id]', doc)
+    .filter((el) => isActivity(el) && el.getAttributeNS(NS.cpl, 'masked') !== 'collapse')
+    .forEach((el) =>
+      activities.set(el.getAttribute('id'), {
+        name: el.getAttribute('name') || '',
+        masked: el.getAttributeNS(NS.cpl, 'masked') || null,
+      })
+    );
+
+  const autoFlows = select('//bpmn:sequenceFlow[starts-with(@id, "AutoFlow_")]', doc).map((f) => {
+    const cond = select('./bpmn:conditionExpression', f)[0];
+    return {
+      id: f.getAttribute('id'),
+      sourceRef: f.getAttribute('sourceRef'),
+      targetRef: f.getAttribute('targetRef'),
+      name: f.getAttribute('name') || null,
+      condition: cond ? normalizeLabel(cond.textContent) : null,
+      coupling: Number.isFinite(cplNumber(f, 'coupling')) ? cplNumber(f, 'coupling') : null,
+    };
+  });
+  const masked = autoFlows.length > 0 || select('//*[@cpl:masked] | //*[starts-with(@id, "AutoGateway_")]', doc).length > 0;
+  return { fragments: [...fragments.values()], activities, autoFlows, masked };
+}
+
+// Rand index of two partitions of the same tasks: the share of task pairs
+// both put together or both keep apart. From the contingency table, so it
+// stays linear in the number of tasks.
+function randIndex(pairs) {
+  const n = pairs.length;
+  if (n < 2) return null;
+  const c2 = (k) => (k * (k - 1)) / 2;
+  const count = (key) => pairs.reduce((m, p) => m.set(key(p), (m.get(key(p)) || 0) + 1), new Map());
+  const sum = (m) => [...m.values()].reduce((s, k) => s + c2(k), 0);
+  const both = sum(count((p) => `${p[0]}\u0000${p[1]}`));
+  const agree = c2(n) + 2 * both - sum(count((p) => p[0])) - sum(count((p) => p[1]));
+  return round3(agree / c2(n));
+}
+
+const jaccard = (a, b) => {
+  const shared = [...a].filter((x) => b.has(x)).length;
+  return a.size + b.size - shared ? round3(shared / (a.size + b.size - shared)) : 1;
+};
+
+/**
+ * Match the fragments of two models by their members. A fragment of `a`
+ * "goes to" the fragment of `b` holding more than half of its members that
+ * are still fragmented in `b`, and a fragment of `b` "comes from" a fragment
+ * of `a` the same way. Both ways at once is a match (unchanged or changed);
+ * several fragments of `b` coming from one of `a` is a split, several of `a`
+ * going to one of `b` a merge. Whatever is left was removed or added. Tasks
+ * whose fragment in `b` is none of the counterparts of their fragment in `a`
+ * have moved.
+ */
+function matchFragments(fa, fb) {
+  const whereA = new Map();
+  const whereB = new Map();
+  fa.forEach((f) => f.members.forEach((m) => whereA.set(m, f)));
+  fb.forEach((f) => f.members.forEach((m) => whereB.set(m, f)));
+  const majority = (f, where) => {
+    const counts = new Map();
+    let total = 0;
+    f.members.forEach((m) => {
+      const o = where.get(m);
+      if (!o) return;
+      total++;
+      counts.set(o, (counts.get(o) || 0) + 1);
+    });
+    const hit = [...counts].find(([, k]) => 2 * k > total);
+    return hit ? hit[0] : null;
+  };
+  const goesTo = new Map(fa.map((f) => [f, majority(f, whereB)]));
+  const comesFrom = new Map(fb.map((f) => [f, majority(f, whereA)]));
+  const ref = (f) => ({ id: f.id, name: f.name });
+  const union = (fs) => new Set(fs.flatMap((f) => [...f.members]));
+
+  const counterparts = new Map(fa.map((f) => [f, new Set()]));
+  const usedB = new Set();
+  const result = { unchanged: [], changed: [], split: [], merged: [], added: [], removed: [] };
+
+  fa.forEach((f) => {
+    const into = fb.filter((g) => comesFrom.get(g) === f);
+    if (into.length > 1) {
+      result.split.push({ from: ref(f), into: into.map(ref), similarity: jaccard(f.members, union(into)) });
+      into.forEach((g) => {
+        counterparts.get(f).add(g);
+        usedB.add(g);
+      });
+    }
+  });
+  fb.forEach((g) => {
+    const from = fa.filter((f) => goesTo.get(f) === g);
+    if (from.length > 1) {
+      result.merged.push({ from: from.map(ref), into: ref(g), similarity: jaccard(union(from), g.members) });
+      from.forEach((f) => counterparts.get(f).add(g));
+      usedB.add(g);
+    }
+  });
+  fa.forEach((f) => {
+    const g = goesTo.get(f);
+    if (counterparts.get(f).size) return;
+    if (g && comesFrom.get(g) === f) {
+      counterparts.get(f).add(g);
+      usedB.add(g);
+      const gained = [...g.members].filter((m) => !f.members.has(m)).sort();
+      const lost = [...f.members].filter((m) => !g.members.has(m)).sort();
+      if (!gained.length && !lost.length) result.unchanged.push({ from: ref(f), into: ref(g) });
+      else result.changed.push({ from: ref(f), into: ref(g), similarity: jaccard(f.members, g.members), gained, lost });
+    } else result.removed.push({ ...ref(f), members: [...f.members].sort() });
+  });
+  fb.filter((g) => !usedB.has(g)).forEach((g) => result.added.push({ ...ref(g), members: [...g.members].sort() }));
+
+  const moved = [];
+  const pairs = [];
+  whereA.forEach((f, task) => {
+    const g = whereB.get(task);
+    if (!g) return;
+    pairs.push([f.id, g.id]);
+    if (!counterparts.get(f).has(g)) moved.push({ task, from: ref(f), to: ref(g) });
+  });
+  moved.sort((x, y) => x.task.localeCompare(y.task));
+  return { ...result, moved, similarity: randIndex(pairs), sharedTasks: pairs.length };
+}
+
+/**
+ * Compare two models (typically two outputs of fragment or mask mode):
+ * fragments matched by member overlap (see matchFragments) with a Jaccard
+ * similarity per match and the Rand index of the two fragmentations over the
+ * tasks fragmented in both; tasks added or removed; and, when either model
+ * is masked, the tasks newly masked or shown again and the AutoFlow_* bypass
+ * flows added, removed or changed (matched by their ends, as ids are
+ * renumbered between runs). Returns a plain, JSON-ready object.
+ */
+function diff(xmlA, xmlB) {
+  const a = diffSide(toDoc(xmlA));
+  const b = diffSide(toDoc(xmlB));
+  const result = {
+    fragments: { count: [a.fragments.length, b.fragments.length], ...matchFragments(a.fragments, b.fragments) },
+  };
+
+  // a task missing from a masked model counts as masked (remove style), not as deleted
+  const task = (id, side) => ({ id, name: side.activities.get(id).name });
+  const tasks = { added: [], removed: [] };
+  const masking = { masked: [], unmasked: [], autoFlows: { added: [], removed: [], changed: [] } };
+  a.activities.forEach((act, id) => {
+    const now = b.activities.get(id);
+    if (!now) {
+      if (b.masked) masking.masked.push({ ...task(id, a), as: 'removed' });
+      else tasks.removed.push(task(id, a));
+    } else if (!act.masked && now.masked) masking.masked.push({ ...task(id, a), as: now.masked });
+    else if (act.masked && !now.masked) masking.unmasked.push(task(id, b));
+  });
+  b.activities.forEach((act, id) => {
+    if (a.activities.has(id)) return;
+    if (a.masked && !act.masked) masking.unmasked.push(task(id, b));
+    else if (!act.masked) tasks.added.push(task(id, b));
+  });
+  result.tasks = tasks;
+
+  if (a.masked || b.masked) {
+    const ends = (f) => `${f.sourceRef}\u0000${f.targetRef}`;
+    const before = new Map(a.autoFlows.map((f) => [ends(f), f]));
+    const after = new Map(b.autoFlows.map((f) => [ends(f), f]));
+    after.forEach((f, k) => {
+      const old = before.get(k);
+      if (!old) masking.autoFlows.added.push(f);
+      else if (['name', 'condition', 'coupling'].some((p) => old[p] !== f[p])) {
+        masking.autoFlows.changed.push({ from: old, to: f });
+      }
+    });
+    before.forEach((f, k) => {
+      if (!after.has(k)) masking.autoFlows.removed.push(f);
+    });
+    result.masking = masking;
+  } else result.masking = null;
+  return result;
+}
+
+function diffToText(a, b, result) {
+  const f = result.fragments;
+  const label = (r) => (r.name && r.name !== r.id ? `${r.id} "${r.name}"` : r.id);
+  const list = (ids) => ids.join(', ');
+  const flow = (fl) => `${fl.id} ${fl.sourceRef} -> ${fl.targetRef}${fl.condition ? ` [${fl.condition}]` : ''}`;
+  const out = [`Diff of ${a} and ${b}`];
+
+  if (f.count[0] || f.count[1]) {
+    out.push(
+      '',
+      `Fragments: ${f.count[0]} -> ${f.count[1]}` +
+        (f.similarity != null ? `, similarity ${f.similarity} (Rand index over ${f.sharedTasks} task(s))` : '')
+    );
+  }
+  if (f.unchanged.length) out.push(`  unchanged ${f.unchanged.length}`);
+  f.changed.forEach((c) => {
+    const delta = [...c.gained.map((m) => `+${m}`), ...c.lost.map((m) => `-${m}`)].join(' ');
+    out.push(`  changed   ${label(c.from)} -> ${label(c.into)} (${c.similarity}): ${delta}`);
+  });
+  f.split.forEach((s) => out.push(`  split     ${label(s.from)} -> ${list(s.into.map(label))} (${s.similarity})`));
+  f.merged.forEach((m) => out.push(`  merged    ${list(m.from.map(label))} -> ${label(m.into)} (${m.similarity})`));
+  f.added.forEach((x) => out.push(`  added     ${label(x)}: ${list(x.members)}`));
+  f.removed.forEach((x) => out.push(`  removed   ${label(x)}: ${list(x.members)}`));
+  if (f.moved.length) {
+    out.push('', `Moved tasks: ${f.moved.length}`);
+    f.moved.forEach((m) => out.push(`  ${m.task}: ${label(m.from)} -> ${label(m.to)}`));
+  }
+  if (result.tasks.added.length || result.tasks.removed.length) {
+    out.push('', 'Tasks');
+    result.tasks.added.forEach((t) => out.push(`  added     ${t.id}${t.name ? ` (${t.name})` : ''}`));
+    result.tasks.removed.forEach((t) => out.push(`  removed   ${t.id}${t.name ? ` (${t.name})` : ''}`));
+  }
+  const m = result.masking;
+  if (m) {
+    out.push('', `Masking: ${m.masked.length} newly masked, ${m.unmasked.length} shown again`);
+    m.masked.forEach((t) => out.push(`  masked    ${t.id}${t.name ? ` (${t.name})` : ''}, ${t.as}`));
+    m.unmasked.forEach((t) => out.push(`  unmasked  ${t.id}${t.name ? ` (${t.name})` : ''}`));
+    m.autoFlows.added.forEach((fl) => out.push(`  + ${flow(fl)}`));
+    m.autoFlows.removed.forEach((fl) => out.push(`  - ${flow(fl)}`));
+    m.autoFlows.changed.forEach((c) => out.push(`  ~ ${flow(c.from)} => ${flow(c.to)}`));
+  }
+  if (out.length === 1) out.push('', 'No differences in fragments, tasks or masking');
+  return out.join('\n') + '\n';
+}
+
+// --- RENDER ---
+//
+// Draw a model straight from its BPMN-DI as SVG, or as an HTML page with
+// every diagram, a legend and hover tooltips, without a browser or modeler.
+
+const RENDER_MARGIN = 20;
+const RENDER_FONT = 12;
+const MASKED_COLOR = '#d81b60';
+const RENDER_FORMATS = { svg: /\.svg$/i, html: /\.html?$/i };
+
+const escapeXml = (s) =>
+  String(s).replace(/[&<>"'\n]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;', '\n': '&#10;' })[c]);
+const px = (v) => String(Math.round(v * 10) / 10);
+
+function renderFormat(path) {
+  const format = Object.keys(RENDER_FORMATS).find((f) => RENDER_FORMATS[f].test(path));
+  if (!format) throw new OptionError(`--render must end in .svg or .html: ${path}`);
+  return format;
+}
+
+// Word wrap by an average glyph width; line breaks in the text are kept
+function wrapLabel(text, width) {
+  const max = Math.max(4, Math.floor(width / (RENDER_FONT * 0.55)));
+  return String(text || '')
+    .split('\n')
+    .flatMap((line) => {
+      const lines = [];
+      normalizeLabel(line)
+        .split(' ')
+        .filter(Boolean)
+        .forEach((word) => {
+          const last = lines.length ? lines[lines.length - 1] : null;
+          if (last != null && last.length + 1 + word.length <= max) lines[lines.length - 1] = `${last} ${word}`;
+          else lines.push(word);
+        });
+      return lines;
+    });
+}
+
+// Text block centred on (x, y), or hanging from it with anchor 'start'
+function svgText(lines, x, y, { anchor = 'middle', color = '#222', size = RENDER_FONT } = {}) {
+  if (!lines.length) return '';
+  const lh = size * 1.2;
+  const top = anchor === 'start' ? y + size : y - ((lines.length - 1) * lh) / 2 + size * 0.35;
+  const spans = lines.map((l, i) => `<tspan x="${px(x)}" y="${px(top + i * lh)}">${escapeXml(l)}</tspan>`).join('');
+  return `<text font-size="${size}" text-anchor="${anchor}" fill="${color}">${spans}</text>`;
+}
+
+/**
+ * What the renderer needs from the whole model: elements by id, fragments
+ * (colour, name, member ids) by fragment id, and the fragment each task
+ * belongs to. A fragment keeps the colour --color-fragments gave it, else it
+ * takes the next one of FRAGMENT_COLORS.
+ */
+function renderIndex(doc) {
+  const byId = new Map();
+  select('//*[@id]', doc).forEach((el) => {
+    if (el.namespaceURI === NS.bpmn) byId.set(el.getAttribute('id'), el);
+  });
+  const fragments = new Map();
+  const fragmentOf = new Map();
+  select('//bpmn:group[@cpl:fragmentId]', doc).forEach((g) => {
+    const id = g.getAttributeNS(NS.cpl, 'fragmentId');
+    const shape = select(`//bpmndi:BPMNShape[@bpmnElement="${g.getAttribute('id')}"]`, doc)[0];
+    const given = shape && (shape.getAttributeNS(NS.bioc, 'stroke') || shape.getAttributeNS(NS.color, 'border-color'));
+    const f = fragments.get(id) || {
+      id,
+      name: g.getAttributeNS(NS.cpl, 'fragmentName') || id,
+      color: null,
+      groups: [],
+      members: [],
+    };
+    f.color = f.color || given || null;
+    f.groups.push(g);
+    select(`//bpmn:association[@sourceRef="${g.getAttribute('id')}"]`, doc).forEach((a) => {
+      f.members.push(a.getAttribute('targetRef'));
+      fragmentOf.set(a.getAttribute('targetRef'), f);
+    });
+    fragments.set(id, f);
+  });
+  [...fragments.values()]
+    .filter((f) => !f.color)
+    .forEach((f, i) => (f.color = FRAGMENT_COLORS[i % FRAGMENT_COLORS.length]));
+  return { byId, fragments, fragmentOf };
+}
+
+// Tooltip lines: type and id, name, every cpl attribute, the fragment
+function tipLines(el, index) {
+  const lines = [`${el.localName} ${el.getAttribute('id')}`];
+  if (el.getAttribute('name')) lines.push(normalizeLabel(el.getAttribute('name')));
+  const cond = select('./bpmn:conditionExpression', el)[0];
+  if (cond) lines.push(`condition: ${normalizeLabel(cond.textContent)}`);
+  Array.from(el.attributes)
+    .filter((a) => a.namespaceURI === NS.cpl)
+    .forEach((a) => lines.push(`cpl:${a.localName}=${a.value}`));
+  const f = index.fragmentOf.get(el.getAttribute('id'));
+  if (f) lines.push(`fragment: ${f.name}`);
+  return lines;
+}
+
+// One drawn element, with a native <title> tooltip (svg) or a data-tip for the page script (html)
+function tipped(body, lines, html) {
+  const tip = lines.join('\n');
+  return html ? `<g data-tip="${escapeXml(tip)}">${body}</g>` : `<g><title>${escapeXml(tip)}</title>${body}</g>`;
+}
+
+function eventMarker(el, r) {
+  const cx = r.x + r.w / 2;
+  const cy = r.y + r.h / 2;
+  if (select('./bpmn:messageEventDefinition', el).length) {
+    const w = r.w * 0.5;
+    const h = r.h * 0.34;
+    const x = cx - w / 2;
+    const y = cy - h / 2;
+    return `<path d="M${px(x)},${px(y)} h${px(w)} v${px(h)} h${px(-w)} z M${px(x)},${px(y)} L${px(cx)},${px(cy)} L${px(x + w)},${px(y)}" fill="none" stroke="#222"/>`;
+  }
+  if (select('./bpmn:timerEventDefinition', el).length) {
+    return `<circle cx="${px(cx)}" cy="${px(cy)}" r="${px(r.w * 0.3)}" fill="none" stroke="#222"/><path d="M${px(cx)},${px(cy)} v${px(-r.h * 0.22)} M${px(cx)},${px(cy)} h${px(r.w * 0.16)}" stroke="#222"/>`;
+  }
+  return '';
+}
+
+function gatewayMarker(type, r) {
+  const cx = r.x + r.w / 2;
+  const cy = r.y + r.h / 2;
+  const d = r.w * 0.2;
+  const line = (path) => `<path d="${path}" stroke="#222" stroke-width="3" fill="none"/>`;
+  switch (type) {
+    case 'exclusiveGateway':
+      return line(`M${px(cx - d)},${px(cy - d)} L${px(cx + d)},${px(cy + d)} M${px(cx + d)},${px(cy - d)} L${px(cx - d)},${px(cy + d)}`);
+    case 'parallelGateway':
+      return line(`M${px(cx)},${px(cy - d * 1.3)} V${px(cy + d * 1.3)} M${px(cx - d * 1.3)},${px(cy)} H${px(cx + d * 1.3)}`);
+    case 'inclusiveGateway':
+      return `<circle cx="${px(cx)}" cy="${px(cy)}" r="${px(d * 1.2)}" fill="none" stroke="#222" stroke-width="2.5"/>`;
+    case 'complexGateway':
+      return line(
+        `M${px(cx)},${px(cy - d * 1.3)} V${px(cy + d * 1.3)} M${px(cx - d * 1.3)},${px(cy)} H${px(cx + d * 1.3)} ` +
+          `M${px(cx - d)},${px(cy - d)} L${px(cx + d)},${px(cy + d)} M${px(cx + d)},${px(cy - d)} L${px(cx - d)},${px(cy + d)}`
+      );
+    case 'eventBasedGateway':
+      return `<circle cx="${px(cx)}" cy="${px(cy)}" r="${px(d * 1.5)}" fill="none" stroke="#222"/><circle cx="${px(cx)}" cy="${px(cy)}" r="${px(d * 1.2)}" fill="none" stroke="#222"/>`;
+    default:
+      return '';
+  }
+}
+
+// Label of an event, gateway or data element: its BPMNLabel bounds, else below the shape
+function outsideLabel(shape, el, r) {
+  const name = el.getAttribute('name');
+  if (!name) return '';
+  const lb = select('./bpmndi:BPMNLabel/dc:Bounds', shape)[0];
+  if (lb) {
+    const l = rectFromBoundsEl(lb);
+    return svgText(wrapLabel(name, Math.max(l.w, 90)), l.cx, l.cy);
+  }
+  const lines = wrapLabel(name, 90);
+  return svgText(lines, r.x + r.w / 2, r.y + r.h + 6 + (lines.length * RENDER_FONT * 1.2) / 2);
+}
+
+/**
+ * SVG for one shape. Masked placeholders and collapsed runs (cpl:masked) and
+ * AutoGateway_* gateways are drawn in MASKED_COLOR, fragment groups in their
+ * fragment's colour with a light tint.
+ */
+function renderShape(shape, el, index, html) {
+  const b = select('./dc:Bounds', shape)[0];
+  if (!b) return '';
+  const r = rectFromBoundsEl(b);
+  const type = el.localName;
+  const id = el.getAttribute('id');
+  const masked = el.getAttributeNS(NS.cpl, 'masked') || /^AutoGateway_/.test(id);
+  const stroke = masked ? MASKED_COLOR : '#222';
+  const fill = masked ? '#fce4ec' : '#fff';
+  const dash = masked ? ' stroke-dasharray="6 3"' : '';
+  const rect = (extra = '') =>
+    `<rect x="${px(r.x)}" y="${px(r.y)}" width="${px(r.w)}" height="${px(r.h)}"${extra}/>`;
+  const tip = (body) => tipped(body, tipLines(el, index), html);
+
+  if (type === 'participant' || type === 'lane') {
+    const band = 30;
+    const cx = r.x + band / 2;
+    const name = el.getAttribute('name') || '';
+    return (
+      rect(` fill="none" stroke="#222"`) +
+      `<path d="M${px(r.x + band)},${px(r.y)} V${px(r.y + r.h)}" stroke="#222"/>` +
+      `<g transform="rotate(-90 ${px(cx)} ${px(r.cy)})">${svgText(wrapLabel(name, r.h - 10), cx, r.cy)}</g>`
+    );
+  }
+  if (type === 'group') {
+    const f = index.fragments.get(el.getAttributeNS(NS.cpl, 'fragmentId'));
+    const color = f ? f.color : '#666';
+    const cv = select(`//bpmn:categoryValue[@id="${el.getAttribute('categoryValueRef')}"]`, el.ownerDocument)[0];
+    const name = (cv && cv.getAttribute('value')) || (f && f.name) || '';
+    const lines = f ? [...tipLines(el, index), `members: ${f.members.join(', ')}`] : tipLines(el, index);
+    return tipped(
+      rect(` rx="8" fill="${color}" fill-opacity="${f ? 0.08 : 0}" stroke="${color}" stroke-width="1.5" stroke-dasharray="8 4 2 4"`) +
+        svgText(wrapLabel(name, r.w - 12), r.x + 6, r.y + 2, { anchor: 'start', color, size: 11 }),
+      lines,
+      html
+    );
+  }
+  if (type === 'textAnnotation') {
+    const text = select('./bpmn:text', el)[0];
+    return (
+      `<path d="M${px(r.x + 10)},${px(r.y)} H${px(r.x)} V${px(r.y + r.h)} H${px(r.x + 10)}" fill="none" stroke="#666"/>` +
+      svgText(wrapLabel(text ? text.textContent : '', r.w - 8), r.x + 5, r.y + 2, { anchor: 'start', color: '#444', size: 11 })
+    );
+  }
+  if (type === 'dataObjectReference' || type === 'dataObject') {
+    const c = Math.min(12, r.w / 3);
+    return tip(
+      `<path d="M${px(r.x)},${px(r.y)} H${px(r.x + r.w - c)} L${px(r.x + r.w)},${px(r.y + c)} V${px(r.y + r.h)} H${px(r.x)} Z M${px(r.x + r.w - c)},${px(r.y)} V${px(r.y + c)} H${px(r.x + r.w)}" fill="#fff" stroke="#222"/>` +
+        outsideLabel(shape, el, r)
+    );
+  }
+  if (type === 'dataStoreReference') {
+    const e = r.h * 0.12;
+    return tip(
+      `<path d="M${px(r.x)},${px(r.y + e)} A${px(r.w / 2)},${px(e)} 0 0 1 ${px(r.x + r.w)},${px(r.y + e)} V${px(r.y + r.h - e)} A${px(r.w / 2)},${px(e)} 0 0 1 ${px(r.x)},${px(r.y + r.h - e)} Z" fill="#fff" stroke="#222"/>` +
+        `<path d="M${px(r.x)},${px(r.y + e)} A${px(r.w / 2)},${px(e)} 0 0 0 ${px(r.x + r.w)},${px(r.y + e)}" fill="none" stroke="#222"/>` +
+        outsideLabel(shape, el, r)
+    );
+  }
+  if (EVENT_TYPES.includes(type)) {
+    const cx = r.x + r.w / 2;
+    const cy = r.y + r.h / 2;
+    const rad = r.w / 2;
+    const width = type === 'endEvent' ? 4 : 1.5;
+    const inner =
+      type.startsWith('intermediate') || type === 'boundaryEvent'
+        ? `<circle cx="${px(cx)}" cy="${px(cy)}" r="${px(rad - 3)}" fill="none" stroke="${stroke}"/>`
+        : '';
+    return tip(
+      `<circle cx="${px(cx)}" cy="${px(cy)}" r="${px(rad)}" fill="${fill}" stroke="${stroke}" stroke-width="${width}"${dash}/>` +
+        inner +
+        eventMarker(el, r) +
+        outsideLabel(shape, el, r)
+    );
+  }
+  if (GATEWAY_TYPES.includes(type)) {
+    const cx = r.x + r.w / 2;
+    const cy = r.y + r.h / 2;
+    return tip(
+      `<path d="M${px(cx)},${px(r.y)} L${px(r.x + r.w)},${px(cy)} L${px(cx)},${px(r.y + r.h)} L${px(r.x)},${px(cy)} Z" fill="${fill}" stroke="${stroke}" stroke-width="${masked ? 2 : 1.5}"${dash}/>` +
+        gatewayMarker(type, r) +
+        outsideLabel(shape, el, r)
+    );
+  }
+  if (isActivity(el)) {
+    const expanded = isSubProcess(el) && shape.getAttribute('isExpanded') === 'true';
+    const width = type === 'callActivity' ? 4 : masked ? 2 : 1.5;
+    let body = rect(` rx="10" fill="${expanded ? 'none' : fill}" stroke="${stroke}" stroke-width="${width}"${dash}`);
+    if (type === 'transaction') {
+      body += `<rect x="${px(r.x + 3)}" y="${px(r.y + 3)}" width="${px(r.w - 6)}" height="${px(r.h - 6)}" rx="8" fill="none" stroke="${stroke}"/>`;
+    }
+    if (expanded) return tip(body + svgText(wrapLabel(el.getAttribute('name'), r.w - 12), r.x + 6, r.y + 2, { anchor: 'start' }));
+    if (isSubProcess(el)) {
+      const s = 14;
+      const x = r.x + r.w / 2 - s / 2;
+      const y = r.y + r.h - s - 2;
+      body += `<rect x="${px(x)}" y="${px(y)}" width="${s}" height="${s}" fill="none" stroke="${stroke}"/><path d="M${px(x + 3)},${px(y + s / 2)} H${px(x + s - 3)} M${px(x + s / 2)},${px(y + 3)} V${px(y + s - 3)}" stroke="${stroke}"/>`;
+    }
+    return tip(body + svgText(wrapLabel(el.getAttribute('name'), r.w - 10), r.x + r.w / 2, r.y + r.h / 2, { color: masked ? MASKED_COLOR : '#222' }));
+  }
+  return '';
+}
+
+// SVG for one edge: flows with arrows, AutoFlow_* bypass flows in MASKED_COLOR
+function renderEdge(edge, el, html) {
+  const points = select('./di:waypoint', edge).map((w) => ({ x: parseFloat(w.getAttribute('x')), y: parseFloat(w.getAttribute('y')) }));
+  if (points.length < 2) return '';
+  const d = points.map((p, i) => `${i ? 'L' : 'M'}${px(p.x)},${px(p.y)}`).join(' ');
+  const type = el.localName;
+  const auto = /^AutoFlow_/.test(el.getAttribute('id'));
+  let style;
+  if (type === 'sequenceFlow') {
+    style = auto
+      ? `stroke="${MASKED_COLOR}" stroke-width="2.5" marker-end="url(#arrow-masked)"`
+      : 'stroke="#222" stroke-width="1.5" marker-end="url(#arrow)"';
+  } else if (type === 'messageFlow') style = 'stroke="#222" stroke-dasharray="8 4" marker-start="url(#dot)" marker-end="url(#open-arrow)"';
+  else if (type === 'association') style = 'stroke="#666" stroke-dasharray="2 3"';
+  else style = 'stroke="#444" stroke-dasharray="2 3" marker-end="url(#open-arrow)"'; // data associations
+
+  let label = '';
+  const name = el.getAttribute('name');
+  if (name) {
+    const lb = select('./bpmndi:BPMNLabel/dc:Bounds', edge)[0];
+    const mid = Math.floor((points.length - 1) / 2);
+    const at = lb
+      ? rectFromBoundsEl(lb)
+      : { cx: (points[mid].x + points[mid + 1].x) / 2, cy: (points[mid].y + points[mid + 1].y) / 2 - 10 };
+    label = svgText(wrapLabel(name, 100), at.cx, at.cy, { color: auto ? MASKED_COLOR : '#222', size: 11 });
+  }
+  const hit = `<path d="${d}" fill="none" stroke="transparent" stroke-width="8"/>`; // wider hover target
+  const body = `<path d="${d}" fill="none" ${style}/>${hit}${label}`;
+  const lines = [`${type} ${el.getAttribute('id')}`];
+  if (name) lines.push(normalizeLabel(name));
+  const cond = select('./bpmn:conditionExpression', el)[0];
+  if (cond) lines.push(`condition: ${normalizeLabel(cond.textContent)}`);
+  Array.from(el.attributes)
+    .filter((a) => a.namespaceURI === NS.cpl)
+    .forEach((a) => lines.push(`cpl:${a.localName}=${a.value}`));
+  return type === 'association' ? body : tipped(body, lines, html);
+}
+
+const RENDER_DEFS =
+  '<defs>' +
+  '<marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto"><path d="M0,0 L10,5 L0,10 Z" fill="#222"/></marker>' +
+  `<marker id="arrow-masked" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0 L10,5 L0,10 Z" fill="${MASKED_COLOR}"/></marker>` +
+  '<marker id="open-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto"><path d="M0,0 L10,5 L0,10" fill="none" stroke="#222"/></marker>' +
+  '<marker id="dot" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="6" markerHeight="6"><circle cx="5" cy="5" r="4" fill="#fff" stroke="#222"/></marker>' +
+  '</defs>';
+
+/**
+ * SVG of one BPMNPlane. Pools and lanes go first, then expanded
+ * sub-processes, groups, the outlines of `ghosts` (masked activities'
+ * old places), edges and the remaining shapes on top.
+ */
+function renderPlane(plane, index, ghosts, html) {
+  const layers = [[], [], [], [], [], []];
+  const extent = [];
+  select('./bpmndi:BPMNShape', plane).forEach((shape) => {
+    const el = index.byId.get(shape.getAttribute('bpmnElement'));
+    const b = select('./dc:Bounds', shape)[0];
+    if (!el || !b) return;
+    extent.push(rectFromBoundsEl(b));
+    const layer =
+      el.localName === 'participant' || el.localName === 'lane'
+        ? 0
+        : isSubProcess(el) && shape.getAttribute('isExpanded') === 'true'
+          ? 1
+          : el.localName === 'group'
+            ? 2
+            : 5;
+    layers[layer].push(renderShape(shape, el, index, html));
+  });
+  ghosts.forEach((g) => {
+    extent.push(g);
+    layers[3].push(
+      tipped(
+        `<rect x="${px(g.x)}" y="${px(g.y)}" width="${px(g.w)}" height="${px(g.h)}" rx="10" fill="none" stroke="${MASKED_COLOR}" stroke-dasharray="4 4"/>` +
+          svgText(['masked'], g.x + g.w / 2, g.y + g.h / 2, { color: MASKED_COLOR, size: 11 }),
+        [`masked ${g.id}`, ...(g.name ? [normalizeLabel(g.name)] : [])],
+        html
+      )
+    );
+  });
+  select('./bpmndi:BPMNEdge', plane).forEach((edge) => {
+    const el = index.byId.get(edge.getAttribute('bpmnElement'));
+    if (!el) return;
+    select('./di:waypoint', edge).forEach((w) =>
+      extent.push({ x: parseFloat(w.getAttribute('x')), y: parseFloat(w.getAttribute('y')), w: 0, h: 0 })
+    );
+    layers[4].push(renderEdge(edge, el, html));
+  });
+  select('.//bpmndi:BPMNLabel/dc:Bounds', plane).forEach((b) => extent.push(rectFromBoundsEl(b)));
+  if (!extent.length) return null;
+
+  const box = unionRect(extent);
+  const x = box.x - RENDER_MARGIN;
+  const y = box.y - RENDER_MARGIN;
+  const w = box.w + 2 * RENDER_MARGIN;
+  const h = box.h + 2 * RENDER_MARGIN + RENDER_FONT * 3; // room for labels below the lowest shapes
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${px(x)} ${px(y)} ${px(w)} ${px(h)}" width="${px(w)}" height="${px(h)}" ` +
+    `font-family="Arial, Helvetica, sans-serif">` +
+    RENDER_DEFS +
+    `<rect x="${px(x)}" y="${px(y)}" width="${px(w)}" height="${px(h)}" fill="#fff"/>` +
+    layers.map((l) => l.join('')).join('') +
+    '</svg>'
+  );
+}
+
+// Activities of `original` missing from `doc`, with their old bounds, by the plane they sat on
+function maskedGhosts(original, doc) {
+  const ghosts = new Map();
+  const present = new Set(select('//*[@id]', doc).map((el) => el.getAttribute('id')));
+  const collapsed = select('//*[@cpl:masked="collapse"]', doc).map((el) => el.getAttribute('id'));
+  select('//bpmndi:BPMNPlane', original).forEach((plane) => {
+    const runs = collapsed
+      .map((id) => select(`//bpmndi:BPMNShape[@bpmnElement="${id}"]/dc:Bounds`, doc)[0])
+      .filter(Boolean)
+      .map(rectFromBoundsEl);
+    select('./bpmndi:BPMNShape', plane).forEach((shape) => {
+      const id = shape.getAttribute('bpmnElement');
+      const el = select(`//*[@id="${id}"]`, original)[0];
+      const b = select('./dc:Bounds', shape)[0];
+      if (!el || !b || !isActivity(el) || present.has(id)) return;
+      const r = rectFromBoundsEl(b);
+      // tasks folded into a MaskedSubProcess are shown by it
+      if (runs.some((run) => rectsOverlap(run, r))) return;
+      const key = plane.getAttribute('bpmnElement');
+      ghosts.set(key, [...(ghosts.get(key) || []), { id, name: el.getAttribute('name'), ...r }]);
+    });
+  });
+  return ghosts;
+}
+
+/**
+ * Draw a model from its BPMN-DI. `options.format` is 'svg' (the first
+ * diagram) or 'html' (a page with every diagram, a legend and tooltips).
+ * With `options.original`, the model before masking, masked activities that
+ * are gone are outlined at their old place. Returns the text.
+ */
+function render(xmlOrDoc, options = {}) {
+  const { format = 'svg', title = 'BPMN model', original = null } = options;
+  if (!RENDER_FORMATS[format]) throw new OptionError(`Unknown render format "${format}" (use svg|html)`);
+  const doc = toDoc(xmlOrDoc);
+  const html = format === 'html';
+  const index = renderIndex(doc);
+  const ghosts = original ? maskedGhosts(toDoc(original), doc) : new Map();
+  const planes = select('//bpmndi:BPMNPlane', doc);
+  const drawn = (html ? planes : planes.slice(0, 1))
+    .map((plane) => {
+      const el = index.byId.get(plane.getAttribute('bpmnElement'));
+      const svg = renderPlane(plane, index, ghosts.get(plane.getAttribute('bpmnElement')) || [], html);
+      return svg && { name: (el && (el.getAttribute('name') || el.getAttribute('id'))) || plane.getAttribute('id'), svg };
+    })
+    .filter(Boolean);
+  if (!drawn.length) throw new ModelError('Nothing to render: the model has no BPMN-DI shapes');
+  if (!html) return `<?xml version="1.0" encoding="UTF-8"?>\n${drawn[0].svg}\n`;
+
+  const legend = [
+    ...[...index.fragments.values()].map(
+      (f) => `<li><span class="swatch" style="border-color:${f.color};background:${f.color}22"></span>${escapeXml(f.name)} (${f.members.length})</li>`
+    ),
+    `<li><span class="swatch" style="border-color:${MASKED_COLOR};background:#fce4ec"></span>masked, bypass flows and gateways</li>`,
+  ].join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeXml(title)}</title>
+<style>
+body { font-family: Arial, Helvetica, sans-serif; margin: 20px; color: #222; }
+h1 { font-size: 18px; } h2 { font-size: 15px; margin-top: 24px; }
+.legend { list-style: none; padding: 0; display: flex; flex-wrap: wrap; gap: 4px 16px; font-size: 13px; }
+.swatch { display: inline-block; width: 14px; height: 10px; border: 2px dashed; margin-right: 6px; vertical-align: middle; }
+svg { max-width: 100%; height: auto; border: 1px solid #ddd; }
+[data-tip]:hover { filter: drop-shadow(0 0 3px #1e88e5); }
+#tip { position: absolute; display: none; background: #fffde7; border: 1px solid #999; padding: 4px 6px; font-size: 12px; white-space: pre; pointer-events: none; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+<ul class="legend">${legend}</ul>
+${drawn.map((d) => `<h2>${escapeXml(d.name)}</h2>\n${d.svg}`).join('\n')}
+<div id="tip"></div>
+<script>
+var tip = document.getElementById('tip');
+document.addEventListener('mousemove', function (e) {
+  var g = e.target.closest && e.target.closest('[data-tip]');
+  if (!g) { tip.style.display = 'none'; return; }
+  tip.textContent = g.getAttribute('data-tip');
+  tip.style.left = e.pageX + 12 + 'px';
+  tip.style.top = e.pageY + 12 + 'px';
+  tip.style.display = 'block';
+});
+</script>
+</body>
+</html>
+`;
+}
+
+// --- EVENT LOGS ---
+//
+// Project an execution log (XES or CSV) through the same masking decision as
+// the model, so the published log does not show what the masked model hides,
+// then replay every projected trace on the masked model.
+
+const LOG_STYLES = ['drop', 'anonymise'];
+const CSV_CASE_COLUMNS = ['case:concept:name', 'case', 'case_id', 'caseid', 'case id'];
+const CSV_ACTIVITY_COLUMNS = ['concept:name', 'activity', 'activity_name', 'activity name'];
+const CSV_LIFECYCLE_COLUMNS = ['lifecycle:transition', 'lifecycle', 'transition'];
+// markings explored per replay step before a trace is given up as undecided
+const REPLAY_STATE_LIMIT = 20000;
+// tokens per place beyond which a marking is not explored (unbounded silent loops)
+const REPLAY_TOKEN_LIMIT = 3;
+
+const ACTIVITY_TYPES = [...TASK_TYPES, 'callActivity', ...SUBPROCESS_TYPES];
+const isActivity = (el) => el.namespaceURI === NS.bpmn && ACTIVITY_TYPES.includes(el.localName);
+const isFlowNode = (el) =>
+  el.namespaceURI === NS.bpmn && [...ACTIVITY_TYPES, ...GATEWAY_TYPES, ...EVENT_TYPES].includes(el.localName);
+// event and activity names are compared with their whitespace (line breaks from modelers) collapsed
+const normalizeLabel = (s) => String(s || '').replace(/\s+/g, ' ').trim();
+const activityLabel = (el) => normalizeLabel(el.getAttribute('name') || el.getAttribute('id'));
+
+// RFC 4180 rows: quoted cells may hold commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else cell += c;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Both log readers return { format, traces, serialize } where every trace is
+ * { name, events } and every event { activity, lifecycle, rename(name),
+ * remove() }. Events are changed in place; serialize() writes the log back
+ * with everything else untouched.
+ */
+function readXesLog(text) {
+  let doc;
+  try {
+    doc = parseXml(text);
+  } catch (e) {
+    throw new LogError(`Unreadable event log: ${e.message.replace(/^Unreadable XML: /, '')}`);
+  }
+  if (doc.documentElement.localName !== 'log') throw new LogError('Not an XES event log: the root element is not <log>');
+  const children = (el, name) => select('./*', el).filter((c) => c.localName === name);
+  const attr = (el, key) => select('./*', el).find((c) => c.getAttribute('key') === key);
+  const traces = children(doc.documentElement, 'trace').map((t, i) => {
+    const name = attr(t, 'concept:name');
+    return {
+      name: name ? name.getAttribute('value') : String(i + 1),
+      events: children(t, 'event').map((ev) => {
+        const activity = attr(ev, 'concept:name');
+        const lifecycle = attr(ev, 'lifecycle:transition');
+        return {
+          activity: activity ? activity.getAttribute('value') : '',
+          lifecycle: lifecycle ? lifecycle.getAttribute('value').toLowerCase() : null,
+          rename: (n) => activity && activity.setAttribute('value', n),
+          remove: () => {
+            // the indentation before the event goes with it
+            const prev = ev.previousSibling;
+            if (prev && prev.nodeType === 3 && !prev.data.trim()) prev.parentNode.removeChild(prev);
+            ev.parentNode.removeChild(ev);
+          },
+        };
+      }),
+    };
+  });
+  return { format: 'xes', traces, serialize: () => new XMLSerializer().serializeToString(doc) };
+}
+
+// One trace per case, in order of first appearance; rows keep their order within a case
+function readCsvLog(text, caseColumn = null, activityColumn = null) {
+  const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!rows.length) throw new LogError('Empty CSV event log');
+  const header = rows[0];
+  const column = (given, names, what) => {
+    const i = given ? header.indexOf(given) : header.findIndex((h) => names.includes(h.trim().toLowerCase()));
+    if (i >= 0) return i;
+    throw new LogError(
+      given
+        ? `CSV event log has no column "${given}"`
+        : `CSV event log needs a ${what} column (${names.join(', ')}) or --${what}-column=name`
+    );
+  };
+  const ci = column(caseColumn, CSV_CASE_COLUMNS, 'case');
+  const ai = column(activityColumn, CSV_ACTIVITY_COLUMNS, 'activity');
+  const li = header.findIndex((h) => CSV_LIFECYCLE_COLUMNS.includes(h.trim().toLowerCase()));
+
+  const records = rows.slice(1).map((cells) => ({ cells, removed: false }));
+  const byCase = new Map();
+  records.forEach((rec) => {
+    const id = rec.cells[ci] || '';
+    if (!byCase.has(id)) byCase.set(id, { name: id, events: [] });
+    byCase.get(id).events.push({
+      activity: rec.cells[ai] || '',
+      lifecycle: li >= 0 && rec.cells[li] ? rec.cells[li].toLowerCase() : null,
+      rename: (n) => {
+        rec.cells[ai] = n;
+      },
+      remove: () => {
+        rec.removed = true;
+      },
+    });
+  });
+  const serialize = () =>
+    [header, ...records.filter((r) => !r.removed).map((r) => r.cells)].map((cells) => cells.map(csvCell).join(',')).join('\n') +
+    '\n';
+  return { format: 'csv', traces: [...byCase.values()], serialize };
+}
+
+/**
+ * How masking treats the events of each activity, keyed by normalized label
+ * (name, else id) and by id: { replacement, name, multi } where `replacement`
+ * is the element standing in for it in the masked model (null with
+ * mask-style=remove), `name` what anonymised events are called and `multi`
+ * whether the replacement stands for several activities (collapsed region,
+ * masked sub-process). Activities inside masked sub-processes count as masked.
+ * A label shared by a masked and an unmasked activity is treated as masked.
+ */
+function logMasking(doc, maskedDoc, masked) {
+  const [ix, maskedIx] = [modelIndex(doc), modelIndex(maskedDoc)];
+  const replacementOf = new Map();
+  masked.forEach(({ id, replacement }) => {
+    const el = ix.get(id);
+    if (!el) return;
+    [el, ...select('.//*[@id]', el).filter(isActivity)].forEach((a) => replacementOf.set(a.getAttribute('id'), replacement || null));
+  });
+  const standsFor = new Map();
+  replacementOf.forEach((r) => r && standsFor.set(r, (standsFor.get(r) || 0) + 1));
+
+  const byLabel = new Map();
+  replacementOf.forEach((replacement, id) => {
+    const el = ix.get(id);
+    const stand = replacement && maskedIx.get(replacement);
+    const info = {
+      replacement,
+      name: stand ? stand.getAttribute('name') || PLACEHOLDER_NAME : PLACEHOLDER_NAME,
+      multi: (standsFor.get(replacement) || 0) > 1,
+    };
+    [activityLabel(el), id].forEach((key) => byLabel.has(key) || byLabel.set(key, info));
+  });
+  return byLabel;
+}
+
+/**
+ * Drop or anonymise the masked events of one trace. With anonymise, a run of
+ * consecutive events whose activities share one multi-activity replacement
+ * becomes a single activity: the first event of each lifecycle transition is
+ * kept, the last one for `complete`. Returns the events the published trace
+ * still shows, for the replay.
+ */
+function projectTrace(trace, maskingOf, logStyle, counts) {
+  const shown = [];
+  const events = trace.events.map((ev) => ({ ev, m: maskingOf.get(normalizeLabel(ev.activity)) || null }));
+  for (let i = 0; i < events.length; ) {
+    const { ev, m } = events[i];
+    if (!m) {
+      shown.push({ activity: normalizeLabel(ev.activity), lifecycle: ev.lifecycle, bypassed: false });
+      i++;
+      continue;
+    }
+    if (logStyle === 'drop') {
+      ev.remove();
+      counts.dropped++;
+      i++;
+      continue;
+    }
+    let j = i + 1;
+    if (m.multi) while (j < events.length && events[j].m && events[j].m.replacement === m.replacement) j++;
+    const run = events.slice(i, j);
+    const keep = new Map();
+    run.forEach(({ ev: e }, k) => {
+      const lc = e.lifecycle || 'complete';
+      if (lc === 'complete' || !keep.has(lc)) keep.set(lc, k);
+    });
+    const kept = new Set(keep.values());
+    run.forEach(({ ev: e }, k) => {
+      if (!kept.has(k)) {
+        e.remove();
+        counts.dropped++;
+        return;
+      }
+      e.rename(m.name);
+      counts.anonymised++;
+      // without a replacement the masked model routes around the activity (AutoFlow_*)
+      shown.push({ activity: m.name, lifecycle: e.lifecycle, bypassed: !m.replacement });
+    });
+    i = j;
+  }
+  return shown;
+}
+
+// non-empty subsets of a list (the branches an inclusive gateway may take)
+function nonEmptySubsets(list) {
+  const out = [];
+  for (let bits = 1; bits < 1 << list.length; bits++) out.push(list.filter((_, k) => bits & (1 << k)));
+  return out;
+}
+
+/**
+ * Token-game view of a process for replaying traces. Places are sequence
+ * flows, plus `<id>#in` for nodes without incoming flows and `<id>#end` for
+ * the completed paths of each sub-process, whose content is flattened into
+ * the net. Activities and events take one token from any incoming flow and
+ * put one on every outgoing flow (or on those of one of their boundary
+ * events); exclusive and event-based gateways pick one branch, parallel
+ * gateways synchronise, inclusive and complex gateways take any non-empty set
+ * of branches. Activities are the only visible transitions, labelled with
+ * their name and id; a sub-process may also complete silently. Activities in
+ * `silent` (ids) fire without an event, like gateways. Returns
+ * { transitions, labels, initial }.
+ */
+function replayNet(processEl, silent = new Set()) {
+  const transitions = [];
+  const push = (map, key, v) => map.set(key, [...(map.get(key) || []), v]);
+
+  const walk = (scope, endPlace) => {
+    const children = select('./*', scope).filter((el) => el.namespaceURI === NS.bpmn && el.getAttribute('id'));
+    const inside = [];
+    const incoming = new Map();
+    const outgoing = new Map();
+    children
+      .filter((el) => el.localName === 'sequenceFlow')
+      .forEach((f) => {
+        inside.push(f.getAttribute('id'));
+        push(outgoing, f.getAttribute('sourceRef'), f.getAttribute('id'));
+        push(incoming, f.getAttribute('targetRef'), f.getAttribute('id'));
+      });
+    const boundaryOf = new Map();
+    children
+      .filter((el) => el.localName === 'boundaryEvent')
+      .forEach((b) => push(boundaryOf, b.getAttribute('attachedToRef'), b.getAttribute('id')));
+    const nodes = children.filter(
+      (el) => isFlowNode(el) && el.localName !== 'boundaryEvent' && el.getAttribute('triggeredByEvent') !== 'true'
+    );
+
+    const inPlaces = (id) => incoming.get(id) || [`${id}#in`];
+    const outPlaces = (id) => outgoing.get(id) || (endPlace ? [endPlace] : []);
+    const outcomes = (id) => [outPlaces(id), ...(boundaryOf.get(id) || []).map(outPlaces)];
+    const add = (labels, consume, produce, extra = {}) => transitions.push({ labels, consume, produce, ...extra });
+
+    nodes.forEach((n) => {
+      const id = n.getAttribute('id');
+      if (!incoming.has(id)) inside.push(`${id}#in`);
+      if (isGateway(n)) {
+        const ins = inPlaces(id);
+        const outs = outPlaces(id);
+        if (n.localName === 'parallelGateway') add(null, ins, outs);
+        else if (n.localName === 'inclusiveGateway' || n.localName === 'complexGateway') {
+          nonEmptySubsets(ins).forEach((c) => (outs.length ? nonEmptySubsets(outs) : [[]]).forEach((p) => add(null, c, p)));
+        } else ins.forEach((i) => (outs.length ? outs.map((o) => [o]) : [[]]).forEach((p) => add(null, [i], p)));
+      } else if (isSubProcess(n) && select('./*', n).some(isFlowNode)) {
+        const end = `${id}#end`;
+        const inner = walk(n, end);
+        inside.push(...inner.inside, end);
+        const entry = inner.starts.length ? inner.starts : inner.sources;
+        inPlaces(id).forEach((i) => add(null, [i], entry.map((s) => `${s}#in`)));
+        // a log may record the sub-process itself when it completes, or only its content
+        outcomes(id).forEach((o) =>
+          [null, [activityLabel(n), id]].forEach((labels) => add(labels, [], o, { drain: end, empty: inner.inside }))
+        );
+      } else {
+        const labels = isActivity(n) && !silent.has(id) ? [activityLabel(n), id] : null;
+        inPlaces(id).forEach((i) => outcomes(id).forEach((o) => add(labels, [i], o)));
+      }
+    });
+    return {
+      inside,
+      starts: nodes.filter((n) => n.localName === 'startEvent').map((n) => n.getAttribute('id')),
+      sources: nodes.filter((n) => !incoming.has(n.getAttribute('id'))).map((n) => n.getAttribute('id')),
+    };
+  };
+
+  const top = walk(processEl, null);
+  // several start events are alternatives; without any, every node lacking incoming flows starts
+  const initial = top.starts.length ? top.starts.map((s) => [`${s}#in`]) : [top.sources.map((s) => `${s}#in`)];
+  const labels = new Set();
+  transitions.forEach((t) => t.labels && t.labels.forEach((l) => labels.add(l)));
+  return { transitions, labels, initial };
+}
+
+const markingKey = (mk) =>
+  Object.keys(mk)
+    .sort()
+    .map((p) => `${p}:${mk[p]}`)
+    .join('|');
+
+function fireTransition(mk, t) {
+  if (t.drain && !mk[t.drain]) return null;
+  if (t.empty && t.empty.some((p) => mk[p])) return null;
+  const need = {};
+  t.consume.forEach((p) => (need[p] = (need[p] || 0) + 1));
+  if (Object.keys(need).some((p) => (mk[p] || 0) < need[p])) return null;
+  const next = { ...mk };
+  Object.keys(need).forEach((p) => (next[p] -= need[p]));
+  if (t.drain) next[t.drain] = 0;
+  t.produce.forEach((p) => (next[p] = (next[p] || 0) + 1));
+  Object.keys(next).forEach((p) => next[p] || delete next[p]);
+  if (t.produce.some((p) => next[p] > REPLAY_TOKEN_LIMIT)) return null;
+  return next;
+}
+
+// every marking reachable through silent transitions; null past REPLAY_STATE_LIMIT
+function silentClosure(net, states) {
+  const seen = new Map(states);
+  const queue = [...states.values()];
+  while (queue.length) {
+    const mk = queue.shift();
+    for (const t of net.transitions) {
+      if (t.labels) continue;
+      const next = fireTransition(mk, t);
+      if (!next) continue;
+      const key = markingKey(next);
+      if (seen.has(key)) continue;
+      if (seen.size >= REPLAY_STATE_LIMIT) return null;
+      seen.set(key, next);
+      queue.push(next);
+    }
+  }
+  return seen;
+}
+
+/**
+ * Replay one projected trace. Only completions are replayed (events without a
+ * lifecycle, or `complete`); anonymised events the masked model routes
+ * around are skipped. Returns null when the trace fits, else { event,
+ * activity, reason } with the 1-based position of the first event that does
+ * not fit (null when the trace only fails to complete).
+ */
+function replayTrace(net, shown) {
+  const steps = shown
+    .map((e, k) => ({ ...e, event: k + 1 }))
+    .filter((e) => !e.bypassed && (!e.lifecycle || e.lifecycle === 'complete'));
+  let states = new Map(
+    net.initial.map((places) => {
+      const mk = {};
+      places.forEach((p) => (mk[p] = (mk[p] || 0) + 1));
+      return [markingKey(mk), mk];
+    })
+  );
+  const undecided = (step) => ({
+    event: step ? step.event : null,
+    activity: step ? step.activity : null,
+    reason: `not decided: more than ${REPLAY_STATE_LIMIT} markings`,
+  });
+  for (const step of steps) {
+    const closure = silentClosure(net, states);
+    if (!closure) return undecided(step);
+    const next = new Map();
+    closure.forEach((mk) =>
+      net.transitions.forEach((t) => {
+        if (!t.labels || !t.labels.includes(step.activity)) return;
+        const n = fireTransition(mk, t);
+        if (n) next.set(markingKey(n), n);
+      })
+    );
+    if (!next.size) {
+      const reason = net.labels.has(step.activity) ? 'cannot happen here' : 'is not an activity of the masked model';
+      return { event: step.event, activity: step.activity, reason: `"${step.activity}" ${reason}` };
+    }
+    states = next;
+  }
+  const closure = silentClosure(net, states);
+  if (!closure) return undecided(null);
+  if ([...closure.values()].some((mk) => !Object.keys(mk).length)) return null;
+  return { event: null, activity: null, reason: 'the process cannot complete after the last event' };
+}
+
+/**
+ * Mask the model with `options` (the privacy rule, or `maskIds`) and project
+ * `logText`, an XES or CSV event log, to match: events of masked activities
+ * are dropped or, with logStyle 'anonymise', renamed after whatever stands in
+ * for them in the masked model. Trace order is kept. Every projected trace is
+ * then replayed on the masked model (any of its processes); identical traces
+ * are replayed once. The model itself is not changed.
+ * Returns { log, format, traces, events, dropped, anonymised, masked, fitting,
+ * failing, maskedXml, report } with `failing` as [{ trace, event, activity,
+ * reason }].
+ */
+function projectLog(xmlOrDoc, logText, options = {}) {
+  checkOptions(options);
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  if (!LOG_STYLES.includes(opts.logStyle)) {
+    throw new OptionError(`Unknown log style "${opts.logStyle}" (use ${LOG_STYLES.join('|')})`);
+  }
+  const doc = toDoc(xmlOrDoc);
+  const masked = mask(new XMLSerializer().serializeToString(doc), opts);
+  const log = /^\s*</.test(logText) ? readXesLog(logText) : readCsvLog(logText, opts.caseColumn, opts.activityColumn);
+
+  const maskingOf = logMasking(doc, masked.doc, masked.masked);
+  // traces may come from any pool, also from those masking left alone; with
+  // logStyle 'drop' no event is left for the placeholders and collapsed
+  // regions that stand in for masked tasks, so they fire silently
+  const silent = new Set(opts.logStyle === 'drop' ? masked.masked.map((m) => m.replacement).filter(Boolean) : []);
+  const nets = selectProcesses(masked.doc, null).map(({ processEl }) => replayNet(processEl, silent));
+  const counts = { dropped: 0, anonymised: 0 };
+  const byVariant = new Map();
+  const failing = [];
+  let events = 0;
+  log.traces.forEach((trace) => {
+    events += trace.events.length;
+    const shown = projectTrace(trace, maskingOf, opts.logStyle, counts);
+    const variant = shown.map((e) => `${e.activity}\u0001${e.lifecycle}\u0001${e.bypassed}`).join('\u0000');
+    if (!byVariant.has(variant)) {
+      // fits one of the processes, else the failure that got furthest
+      const results = nets.map((net) => replayTrace(net, shown));
+      byVariant.set(
+        variant,
+        results.includes(null) ? null : results.sort((a, b) => (b.event || Infinity) - (a.event || Infinity))[0] || null
+      );
+    }
+    const failure = byVariant.get(variant);
+    if (failure) failing.push({ trace: trace.name, ...failure });
+  });
+
+  const result = {
+    log: log.serialize(),
+    format: log.format,
+    traces: log.traces.length,
+    events,
+    dropped: counts.dropped,
+    anonymised: counts.anonymised,
+    masked: masked.masked,
+    fitting: log.traces.length - failing.length,
+    failing,
+    maskedXml: masked.xml,
+  };
+  const { input, logStyle } = opts;
+  result.report = {
+    mode: 'log',
+    settings: { ...masked.report.settings, input, log: opts.log, logStyle },
+    model: {
+      traces: result.traces,
+      events,
+      dropped: result.dropped,
+      anonymised: result.anonymised,
+      masked: result.masked.length,
+      fitting: result.fitting,
+      failing: failing.length,
+    },
+    masked: result.masked,
+    failing,
+  };
+  return result;
+}
+
+// --- CLI ---
+
+function main() {
+  const opts = parseArgs();
+  const { input, output, mode, report: reportPath } = opts;
+  // what the library calls get; paths, --format and the like stay with the CLI
+  const options = Object.fromEntries(API_OPTIONS.filter((k) => k in opts).map((k) => [k, opts[k]]));
+  const xml = fs.readFileSync(input, 'utf8');
+  if (opts.clearMasking && mode !== 'clear' && !opts.config) {
+    throw new OptionError('--clear-masking only works with --mode=clear or --config');
+  }
+
+  // --render draws the model a run writes; checked before the run
+  if (opts.render) {
+    if (['validate', 'sweep', 'diff', 'log', 'views'].includes(mode)) throw new OptionError(`--render does not work with --mode=${mode}`);
+    renderFormat(opts.render);
+  }
+  const writeRender = (model, original = null) => {
+    if (!opts.render) return;
+    fs.writeFileSync(opts.render, render(model, { format: renderFormat(opts.render), title: output, original }), 'utf8');
+    console.log(`Wrote ${opts.render}`);
+  };
+
+  if (mode === 'validate') {
+    const result = validate(xml);
+    const json = opts.format ? opts.format === 'json' : /\.json$/i.test(output || '');
+    const text = json ? JSON.stringify({ input, ...result }, null, 2) + '\n' : validationToText(input, result.problems);
+    if (!output || output === '-') process.stdout.write(text);
+    else {
+      fs.writeFileSync(output, text, 'utf8');
+      console.log(`Wrote ${output}`);
+    }
+    // exit status for CI: 1 on errors (or on warnings with --strict)
+    if (result.errors || (opts.strict && result.warnings)) process.exitCode = 1;
+    return;
+  }
+
+  if (mode === 'diff') {
+    if (reportPath || opts.config) throw new OptionError('--mode=diff takes no --report or --config (use --format=json)');
+    const result = diff(xml, fs.readFileSync(opts.other, 'utf8'));
+    const json = opts.format ? opts.format === 'json' : /\.json$/i.test(output || '');
+    const text = json ? JSON.stringify({ a: input, b: opts.other, ...result }, null, 2) + '\n' : diffToText(input, opts.other, result);
+    if (!output || output === '-') process.stdout.write(text);
+    else {
+      fs.writeFileSync(output, text, 'utf8');
+      console.log(`Wrote ${output}`);
+    }
+    return;
+  }
+
+  if (mode === 'log') {
+    if (!opts.log) throw new OptionError('--mode=log needs --log=in.xes|in.csv');
+    if (opts.config) throw new OptionError('--config cannot be combined with --mode=log');
+    if (reportPath && !/\.(json|csv)$/i.test(reportPath)) throw new OptionError(`--report must end in .json or .csv: ${reportPath}`);
+    const result = projectLog(xml, fs.readFileSync(opts.log, 'utf8'), options);
+    if (!output.toLowerCase().endsWith(`.${result.format}`)) {
+      throw new OptionError(`The projected log is ${result.format.toUpperCase()}: name the output *.${result.format}`);
+    }
+    fs.writeFileSync(output, result.log, 'utf8');
+    console.log(
+      `Projected ${result.traces} trace(s) through ${result.masked.length} masked task(s): ` +
+        `dropped ${result.dropped}, anonymised ${result.anonymised} of ${result.events} event(s)`
+    );
+    console.log(`Wrote ${output}`);
+    console.log(`Replay on the masked model: ${result.fitting} of ${result.traces} trace(s) fit`);
+    result.failing.slice(0, 10).forEach((f) => console.log(`  ${f.trace}: ${f.event ? `event ${f.event}: ` : ''}${f.reason}`));
+    if (result.failing.length > 10) console.log(`  … and ${result.failing.length - 10} more (see --report)`);
+    if (reportPath) {
+      writeReport(reportPath, result.report);
+      console.log(`Wrote report ${reportPath}`);
+    }
+    // like --mode=validate: --strict makes traces that do not fit fail the run
+    if (opts.strict && result.failing.length) process.exitCode = 1;
+    return;
+  }
+
+  if (mode === 'views') {
+    if (!opts.policy) throw new OptionError('--mode=views needs --policy=policy.yaml|policy.json');
+    ['config', 'exportFragments', 'unmaskKey'].forEach((k) => {
+      if (opts[k]) throw new OptionError(`--mode=views cannot be combined with --${k.replace(/[A-Z]/g, (c) => '-' + c.toLowerCase())}`);
+    });
+    if (reportPath && !/\.(json|csv)$/i.test(reportPath)) throw new OptionError(`--report must end in .json or .csv: ${reportPath}`);
+    const result = views(xml, loadConfigFile(opts.policy, 'view policy'), options);
+    fs.mkdirSync(output, { recursive: true });
+    result.views.forEach((v) => {
+      fs.writeFileSync(`${output}/${v.file}`, v.xml, 'utf8');
+      console.log(`${v.party} (clearance ${v.clearance}): masked ${v.count} task(s), wrote ${output}/${v.file}`);
+    });
+    console.log('');
+    process.stdout.write(viewsToText(result));
+    if (reportPath) {
+      writeReport(reportPath, result.report);
+      console.log(`Wrote report ${reportPath}`);
+    }
+    return;
+  }
+
+  if (opts.config) {
+    ['report', 'exportFragments', 'unmaskKey'].forEach((k) => {
+      if (opts[k]) throw new OptionError(`--config cannot be combined with --${k.replace(/[A-Z]/g, (c) => '-' + c.toLowerCase())}`);
+    });
+    // the config is checked as a whole before the first step runs
+    const result = pipeline(xml, loadConfigFile(opts.config), options);
+    result.steps.forEach((s, i) => {
+      const params = describeOptions(s.options);
+      console.log(`Step ${i + 1}/${result.steps.length} ${s.type}${params ? ` (${params})` : ''}: ${s.summary}`);
+    });
+    fs.writeFileSync(output, result.xml, 'utf8');
+    console.log(`Wrote ${output}`);
+    writeRender(result.doc);
+    return;
+  }
+
+  if (mode === 'sweep') {
+    writeSweep(output, sweep(xml, options), opts);
+    return;
+  }
+
+  if (mode === 'unmask') {
+    const keyPath = opts.unmaskKey || `${input}.key`;
+    const { xml: restored, restored: n, edited } = unmask(xml, fs.readFileSync(keyPath, 'utf8'), readPassphrase(opts));
+    fs.writeFileSync(output, restored, 'utf8');
+    console.log(`Restored ${n} element(s) masking had changed${edited ? ', kept the edits made since' : ''}`);
+    console.log(`Wrote ${output}`);
+    writeRender(restored);
+    return;
+  }
+
+  if (opts.unmaskKey && mode !== 'mask') throw new OptionError('--unmask-key only works with --mode=mask or --mode=unmask');
+  if (opts.exportFragments && (mode === 'mask' || mode === 'clear')) throw new OptionError('--export-fragments only works in fragment mode');
+  if (reportPath && !/\.(json|csv)$/i.test(reportPath)) throw new OptionError(`--report must end in .json or .csv: ${reportPath}`);
+
+  if (mode === 'clear') {
+    if (reportPath) throw new OptionError('--report does not work with --mode=clear');
+    const result = clear(xml, options);
+    fs.writeFileSync(output, result.xml, 'utf8');
+    console.log(`Removed ${result.count} fragment(s)${result.masking ? ` and ${result.masking} masking element(s)` : ''}`);
+    console.log(`Wrote ${output}`);
+    writeRender(result.doc);
+    return;
+  }
+
+  const result =
+    mode === 'mask'
+      ? mask(xml, { ...options, passphrase: opts.unmaskKey ? readPassphrase(opts) : null })
+      : fragment(xml, options);
+  if (result.perProcess.length > 1) {
+    result.perProcess.forEach(({ label, count: n }) =>
+      console.log(`  ${label}: ${n} ${mode === 'mask' ? 'masked task(s)' : 'group(s)'}`)
+    );
+  }
+
+  if (mode === 'mask') {
+    console.log(`Masked ${result.count} task(s)`);
+    process.stdout.write(maskAnalysisToText(result));
+    // like --mode=validate: --strict fails the run, and here nothing that still leaks is written
+    const left = result.leaks.filter(isResidualLeak).length;
+    if (opts.strict && left) {
+      console.error(`Not written: ${left} leak(s) left (--strict)`);
+      process.exitCode = 1;
+      return;
+    }
+  } else {
+    console.log(`Fragmented into ${result.count} group(s)`);
+    process.stdout.write(unplacedToText(result, opts.minSize));
+  }
+
+  fs.writeFileSync(output, result.xml, 'utf8');
+  console.log(`Wrote ${output}`);
+  // masked tasks are outlined where they were, unless --compact moved the rest
+  writeRender(result.doc, mode === 'mask' && !opts.compact ? xml : null);
+
+  if (opts.unmaskKey) {
+    fs.writeFileSync(opts.unmaskKey, result.unmaskKey, 'utf8');
+    console.log(`Wrote unmask key ${opts.unmaskKey}`);
+  }
+
+  if (opts.exportFragments) {
+    const defs = select('/bpmn:definitions', result.doc)[0];
+    const files = exportFragments(result.doc, defs, opts.exportFragments, result.groups, opts.expandCollapsed);
+    console.log(`Exported ${files.length - 1} fragment model(s) and collaboration.bpmn to ${opts.exportFragments}`);
+  }
+
+  if (reportPath) {
+    writeReport(reportPath, result.report);
+    console.log(`Wrote report ${reportPath}`);
+  }
+}
+
+module.exports = {
+  fragment,
+  mask,
+  unmask,
+  clear,
+  sweep,
+  pipeline,
+  diff,
+  render,
+  views,
+  validatePipeline,
+  validate,
+  projectLog,
+  DEFAULT_OPTIONS,
+  TransformError,
+  OptionError,
+  ModelError,
+  ConstraintError,
+  UnmaskError,
+  LogError,
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (e) {
+    // option/model errors and missing files get a one-line message, anything else is a bug
+    if (!(e instanceof TransformError) && !e.syscall) throw e;
+    console.error(`Error: ${e.message}`);
+    process.exitCode = 1;
+  }
+}